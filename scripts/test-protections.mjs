@@ -4,6 +4,7 @@ import WebSocket from "ws";
 
 const PORT = process.argv[2] || 3001;
 const URL = `ws://localhost:${PORT}`;
+const ROOM = "world-1";
 
 const wait = (ms) => new Promise((r) => setTimeout(r, ms));
 
@@ -44,7 +45,7 @@ check("5th connection rejected", rejMsg?.type === "rejected");
 console.log(`       reason: ${rejMsg?.reason}`);
 
 // --- Test 2: normal join still works on an allowed connection
-conns[0].send(JSON.stringify({ type: "join", name: "smoke", color: "#fff" }));
+conns[0].send(JSON.stringify({ type: "join", room: ROOM, name: "smoke", color: "#fff" }));
 const joinMsg = await nextMessage(conns[0]);
 check("normal join works", joinMsg?.type === "joined");
 
@@ -56,7 +57,7 @@ check("message flood terminated", flooder.readyState !== WebSocket.OPEN);
 
 // --- Test 4: oversized payload closes connection (maxPayload 4096)
 const fat = conns[2];
-fat.send(JSON.stringify({ type: "join", name: "x".repeat(8000), color: "#fff" }));
+fat.send(JSON.stringify({ type: "join", room: ROOM, name: "x".repeat(8000), color: "#fff" }));
 await wait(500);
 check("oversized payload closed", fat.readyState !== WebSocket.OPEN);
 
@@ -77,7 +78,7 @@ function waitFor(ws, type, timeoutMs = 2000) {
 }
 
 const pjPromise = waitFor(conns[0], "playerJoined");
-conns[3].send(JSON.stringify({ type: "join", name: "Z".repeat(200), color: "not-a-color" }));
+conns[3].send(JSON.stringify({ type: "join", room: ROOM, name: "Z".repeat(200), color: "not-a-color" }));
 const pj = await pjPromise;
 check("join name clamped to 16 chars", pj?.name?.length === 16);
 check("join bad color defaulted to hex", /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/.test(pj?.color || ""));
@@ -0,0 +1,207 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { sanitizeChat } from "./sanitize.js";
+
+// =============================================================================
+// Admin console
+// =============================================================================
+// Moderation commands, reachable two ways: as chat slash commands from a
+// player who has logged in with `/login <secret>`, and over the local-only
+// POST /api/admin endpoint (see index.js). Both need ADMIN_SECRET; without it
+// the console is off. Commands are a line of words, e.g. "ban Bob 2h spam".
+
+const DEFAULT_BAN = "1d";
+const DEFAULT_MUTE = "10m";
+const DURATION_UNITS = { s: 1000, m: 60_000, h: 3_600_000, d: 86_400_000 };
+
+// "30m", "12h", "7d"... or "perm". Returns ms, null for permanent, or
+// undefined for anything else.
+export function parseDuration(text) {
+  if (text === "perm") return null;
+  const match = /^(\d+)([smhd])$/.exec(text ?? "");
+  if (!match) return undefined;
+  return Number(match[1]) * DURATION_UNITS[match[2]];
+}
+
+function describeDuration(text) {
+  return text === "perm" ? "until lifted" : `for ${text}`;
+}
+
+// Comparing digests keeps the comparison constant-time whatever the lengths
+function digest(text) {
+  return createHash("sha256").update(String(text)).digest();
+}
+
+const COMMANDS = {
+  help: {
+    usage: "help",
+    run(admin) {
+      return `Commands: ${Object.values(COMMANDS)
+        .map((c) => c.usage)
+        .join(" | ")}`;
+    },
+  },
+
+  kick: {
+    usage: "kick <player> [reason]",
+    run(admin, [target, ...reason], ctx) {
+      const found = admin.findPlayer(target, ctx);
+      if (typeof found === "string") return found;
+      found.room.kick(found.player, reason.join(" ") || "Kicked by an admin");
+      return `Kicked ${found.player.name}.`;
+    },
+  },
+
+  // A player's IP, or an IP typed out; everyone on it is kicked
+  ban: {
+    usage: "ban <player|ip> [30m|12h|7d|perm] [reason]",
+    run(admin, [target, ...rest], ctx) {
+      if (!target) return `Usage: ${this.usage}`;
+      let duration = DEFAULT_BAN;
+      if (rest.length && parseDuration(rest[0]) !== undefined) duration = rest.shift();
+      const reason = rest.join(" ") || "Banned by an admin";
+
+      let ip = target;
+      const found = admin.findPlayer(target, ctx);
+      if (typeof found !== "string") ip = found.player.ip;
+      else if (!/[.:]/.test(target)) return found;
+
+      admin.moderation.ban(ip, parseDuration(duration), reason);
+      let kicked = 0;
+      for (const room of admin.rooms.values()) kicked += room.kickIp(ip, reason);
+      return `Banned ${ip} ${describeDuration(duration)}; ${kicked} connection(s) kicked.`;
+    },
+  },
+
+  unban: {
+    usage: "unban <ip>",
+    run(admin, [ip]) {
+      if (!ip) return `Usage: ${this.usage}`;
+      return admin.moderation.unban(ip) ? `Unbanned ${ip}.` : `${ip} isn't banned.`;
+    },
+  },
+
+  mute: {
+    usage: "mute <player> [30m|12h|7d|perm]",
+    run(admin, [target, duration = DEFAULT_MUTE], ctx) {
+      const found = admin.findPlayer(target, ctx);
+      if (typeof found === "string") return found;
+      const ms = parseDuration(duration);
+      if (ms === undefined) return `Usage: ${this.usage}`;
+      admin.moderation.mute(found.player.token, ms);
+      found.room.sendTo(found.player, { type: "chatNotice", text: `You've been muted ${describeDuration(duration)}.` });
+      return `Muted ${found.player.name} ${describeDuration(duration)}.`;
+    },
+  },
+
+  unmute: {
+    usage: "unmute <player>",
+    run(admin, [target], ctx) {
+      const found = admin.findPlayer(target, ctx);
+      if (typeof found === "string") return found;
+      if (!admin.moderation.unmute(found.player.token)) return `${found.player.name} isn't muted.`;
+      found.room.sendTo(found.player, { type: "chatNotice", text: "You can chat again." });
+      return `Unmuted ${found.player.name}.`;
+    },
+  },
+
+  // Every world hears announcements
+  announce: {
+    usage: "announce <message>",
+    run(admin, words) {
+      const text = sanitizeChat(words.join(" "));
+      if (!text) return `Usage: ${this.usage}`;
+      for (const room of admin.rooms.values()) room.broadcast({ type: "chatNotice", text: `Announcement: ${text}` });
+      return "Announced.";
+    },
+  },
+
+  // The rest act on the admin's own world, or every world over HTTP without
+  // a room
+  npcs: {
+    usage: "npcs <count|auto>",
+    run(admin, [value], ctx) {
+      const count = value === "auto" ? null : Number(value);
+      if (count !== null && !Number.isInteger(count)) return `Usage: ${this.usage}`;
+      let set = null;
+      for (const room of admin.targetRooms(ctx)) set = room.world.setNpcCount(count);
+      return set === null ? "NPC count follows the players again." : `NPC count set to ${set}.`;
+    },
+  },
+
+  respawnnpcs: {
+    usage: "respawnnpcs",
+    run(admin, args, ctx) {
+      const counts = admin.targetRooms(ctx).map((room) => `${room.id}: ${room.world.respawnNpcs()}`);
+      return `Respawned NPCs (${counts.join(", ")}).`;
+    },
+  },
+};
+
+export class AdminConsole {
+  constructor({ secret, rooms, moderation }) {
+    this.secretDigest = secret ? digest(secret) : null;
+    this.rooms = rooms;
+    this.moderation = moderation;
+  }
+
+  get enabled() {
+    return this.secretDigest !== null;
+  }
+
+  checkSecret(candidate) {
+    return this.enabled && timingSafeEqual(digest(candidate), this.secretDigest);
+  }
+
+  /**
+   * A chat line starting with "/" from `player` in `room`. Returns the reply
+   * to show them. `/login` is the only command open to everyone.
+   */
+  handleChat(room, player, text) {
+    const [name, ...args] = text.slice(1).split(/\s+/);
+    if (name === "login") {
+      if (!this.enabled) return "Admin commands are disabled on this server.";
+      if (!this.checkSecret(args.join(" "))) {
+        room.log(`Failed admin login from "${player.name}" (id=${player.id}, ip=${player.ip}).`);
+        return "Wrong admin secret.";
+      }
+      player.admin = true;
+      room.log(`"${player.name}" (id=${player.id}) logged in as admin.`);
+      return "Logged in as admin. Type /help for commands.";
+    }
+    if (!player.admin) return "Unknown command.";
+    return this.run(text.slice(1), { room, by: `"${player.name}" (id=${player.id})` });
+  }
+
+  /**
+   * Runs one command line and returns what happened. `room` is where it
+   * applies (null for every world); `by` names the admin in the log.
+   */
+  run(line, { room = null, by }) {
+    const [name, ...args] = String(line).trim().split(/\s+/);
+    const command = COMMANDS[name?.toLowerCase()];
+    if (!command) return `Unknown command "${name}". Type help for a list.`;
+    const result = command.run(this, args, { room });
+    console.log(`Admin ${by}${room ? ` in ${room.id}` : ""}: ${line} -> ${result}`);
+    return result;
+  }
+
+  targetRooms({ room }) {
+    return room ? [room] : [...this.rooms.values()];
+  }
+
+  // { room, player } for an id or (case-insensitive) name in the target
+  // rooms, or a message saying why there isn't exactly one
+  findPlayer(query, ctx) {
+    if (!query) return "Name a player.";
+    const lower = query.toLowerCase();
+    const matches = [];
+    for (const room of this.targetRooms(ctx)) {
+      for (const player of room.players.values()) {
+        if (player.id === query || player.name.toLowerCase() === lower) matches.push({ room, player });
+      }
+    }
+    if (matches.length === 0) return `No player "${query}".`;
+    if (matches.length > 1) return `"${query}" matches ${matches.length} players; use their id.`;
+    return matches[0];
+  }
+}
@@ -0,0 +1,54 @@
+import { sanitizeName, sanitizeColor } from "./sanitize.js";
+
+// =============================================================================
+// Join admission
+// =============================================================================
+// Decides what a player "join" turns into, before anything is sent or saved:
+// resuming a boar already in a world, being turned away, or joining fresh.
+// Profiles are only created (and so written to disk) once a join is let in,
+// so clients reconnecting without a token can't grow the profile file with
+// joins that were refused.
+
+/**
+ * @param {Map<string, import("./room.js").Room>} rooms
+ * @param {import("./room.js").Room} target — the world being joined
+ * @param {import("./profiles.js").ProfileStore} profiles
+ * @param {object} msg — the join message
+ * @returns one of
+ *   { type: "resume", room, player } — reattach to the held or live boar
+ *   { type: "reject", reason }
+ *   { type: "full" }
+ *   { type: "join", token, profile } — profile created or updated already
+ */
+export function admitPlayer(rooms, target, profiles, msg) {
+  const known = profiles.find(msg.token);
+
+  // A boar already in the world under this token is either waiting out its
+  // reconnect grace (resume it) or still live — which is only allowed when
+  // the client names that session in `resume`, because it noticed the drop
+  // before we did.
+  if (known) {
+    for (const r of rooms.values()) {
+      const existing = r.findByToken(msg.token);
+      if (!existing) continue;
+      if (r === target && (!existing.ws || msg.resume === existing.id)) {
+        return { type: "resume", room: r, player: existing };
+      }
+      if (existing.ws) return { type: "reject", reason: "This profile is already playing" };
+      // Joining a different world gives up the held slot
+      r.leave(existing.id);
+    }
+  }
+
+  if (target.isFull) return { type: "full" };
+
+  // A name or color sent with the join overrides the saved one — that's how
+  // the character editor changes them
+  if (!known) {
+    return { type: "join", ...profiles.create({ name: sanitizeName(msg.name), color: sanitizeColor(msg.color) }) };
+  }
+  const name = msg.name === undefined ? known.name : sanitizeName(msg.name);
+  const color = msg.color === undefined ? known.color : sanitizeColor(msg.color);
+  profiles.update(msg.token, { name, color });
+  return { type: "join", token: msg.token, profile: known };
+}
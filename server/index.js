@@ -3,48 +3,31 @@ import { readFile } from "node:fs/promises";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
 import { WebSocketServer } from "ws";
-import { createNpcs, updateNpcs, serializeNpcs, hitNpc, shouldDespawn, createNpc, killNpc } from "./npcs.js";
-import {
-  ATTACK_RANGE,
-  GRENADE_RANGE,
-  GRENADE_FUSE,
-  GRENADE_EXPLOSION_RADIUS,
-  NPC_RESPAWN_DELAY,
-} from "../src/config.js";
+import { AdminConsole } from "./admin.js";
+import { admitPlayer } from "./admission.js";
+import { Moderation } from "./moderation.js";
+import { ProfileStore } from "./profiles.js";
+import { Room, TICK_RATE } from "./room.js";
+import { buildLeaderboards } from "./stats.js";
 
 const PORT = Number(process.env.PORT) || 3001;
-const MAX_PLAYERS = 30;
-const TICK_RATE = 20;
-
-// =============================================================================
-// Join input sanitization
-// =============================================================================
-// The legit client clamps the name to 16 chars (Menu.svelte maxlength) and only
-// sends a hex color from BOAR_COLOR_PRESETS. A crafted join could otherwise send
-// a multi-KB name — which renders as a giant nametag sprite for EVERY player
-// (the nametag canvas is sized to measureText(name).width) — or a bogus color
-// string. Coerce both to the shape the real client produces.
-const MAX_NAME_LENGTH = 16;
-const DEFAULT_NAME = "Player";
-const DEFAULT_COLOR = "#ffffff";
-const HEX_COLOR = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
-
-function sanitizeName(raw) {
-  if (typeof raw !== "string") return DEFAULT_NAME;
-  // Strip control chars (newlines/tabs would distort the nametag canvas), trim,
-  // then clamp to the client's maxlength.
-  const cleaned = raw.replace(/[\x00-\x1f\x7f]/g, "").trim().slice(0, MAX_NAME_LENGTH);
-  return cleaned || DEFAULT_NAME;
-}
-
-function sanitizeColor(raw) {
-  return typeof raw === "string" && HEX_COLOR.test(raw) ? raw : DEFAULT_COLOR;
-}
+const MAX_PLAYERS_PER_ROOM = 30;
+// Spectators don't take player slots but still cost a snapshot stream each
+const MAX_SPECTATORS_PER_ROOM = 10;
+const serverDir = path.dirname(fileURLToPath(import.meta.url));
+const PROFILES_PATH = process.env.PROFILES_PATH || path.join(serverDir, "data/profiles.json");
+// Set to record every world's matches there (see replayRecorder.js)
+const REPLAY_DIR = process.env.REPLAY_DIR || null;
+const BANS_PATH = process.env.BANS_PATH || path.join(serverDir, "data/bans.json");
+// Shared secret for the admin console (admin.js); unset turns it off
+const ADMIN_SECRET = process.env.ADMIN_SECRET || null;
+// Admin requests carry at most a command line
+const MAX_ADMIN_BODY_BYTES = 4096;
 
 // Serve the built client (dist/) from the same process so site + game server
 // share one host/port in production. In dev, Vite serves the client instead
 // and this just 404s (harmlessly) for anything but the WebSocket upgrade.
-const distDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "../dist");
+const distDir = path.resolve(serverDir, "../dist");
 const MIME_TYPES = {
   ".html": "text/html",
   ".js": "text/javascript",
@@ -58,7 +41,45 @@ const MIME_TYPES = {
 
 const httpServer = createServer(async (req, res) => {
   try {
-    const urlPath = decodeURIComponent(new URL(req.url, "http://localhost").pathname);
+    const url = new URL(req.url, "http://localhost");
+    const urlPath = decodeURIComponent(url.pathname);
+
+    // Server browser feed. CORS is open because in dev the client is served
+    // by Vite from a different port; the data is public anyway.
+    if (urlPath === "/api/rooms") {
+      res.writeHead(200, {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-store",
+        "Access-Control-Allow-Origin": "*",
+      });
+      res.end(JSON.stringify({ rooms: [...rooms.values()].map((room) => room.summary()) }));
+      return;
+    }
+
+    if (urlPath === "/api/admin") {
+      await handleAdminRequest(req, res);
+      return;
+    }
+
+    // Scoreboards: every world's current players (or just `?room=`'s) and
+    // the all-time boards across every profile
+    if (urlPath === "/api/leaderboard") {
+      const roomId = url.searchParams.get("room");
+      const listed = roomId ? [rooms.get(roomId)].filter(Boolean) : [...rooms.values()];
+      res.writeHead(200, {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-store",
+        "Access-Control-Allow-Origin": "*",
+      });
+      res.end(
+        JSON.stringify({
+          rooms: listed.map((room) => ({ id: room.id, name: room.name, players: room.scoreboard() })),
+          allTime: buildLeaderboards(profiles.profiles.values()),
+        }),
+      );
+      return;
+    }
+
     let filePath = path.normalize(path.join(distDir, urlPath));
     if (!filePath.startsWith(distDir)) {
       res.writeHead(403);
@@ -87,12 +108,110 @@ const httpServer = createServer(async (req, res) => {
 });
 
 const wss = new WebSocketServer({ server: httpServer, maxPayload: 4096 });
-const players = new Map();
-const npcs = createNpcs();
+const profiles = new ProfileStore(PROFILES_PATH);
+profiles.load();
+const moderation = new Moderation(BANS_PATH);
+moderation.load();
 let nextId = 1;
-let nextNpcIndex = npcs.length;
-const respawnQueue = []; // { timer, index }
-const pendingGrenades = []; // { timer, x, z, attackerId }
+
+// Every world runs in this one process, each with its own population and tick
+// timer. Ids are what clients send in "join"; names are what the browser shows.
+// npcSpawnWeights overrides the default archetype mix (NPC_ARCHETYPES in
+// config.js) for that world, e.g. { influencer: 10 }; npcSpawnZones replaces
+// DEFAULT_SPAWN_ZONES (populationDirector.js) with [{ x, z, radius, weight }].
+// grenadeCharges caps how many grenades a boar carries there (unlimited,
+// cooldown only, by default).
+const WORLDS = [
+  { name: "BoarScape World 1" },
+  { name: "BoarScape World 2" },
+  { name: "BoarScape World 3", npcSpawnWeights: { runner: 25, teen: 20 } },
+];
+const rooms = new Map(
+  WORLDS.map(({ name, npcSpawnWeights, npcSpawnZones, grenadeCharges }, i) => {
+    const id = `world-${i + 1}`;
+    const room = new Room({
+      id,
+      name,
+      maxPlayers: MAX_PLAYERS_PER_ROOM,
+      maxSpectators: MAX_SPECTATORS_PER_ROOM,
+      profiles,
+      moderation,
+      onChatCommand: (room, player, text) => admin.handleChat(room, player, text),
+      npcSpawnWeights,
+      npcSpawnZones,
+      grenadeCharges,
+      replayDir: REPLAY_DIR,
+    });
+    return [id, room];
+  }),
+);
+const admin = new AdminConsole({ secret: ADMIN_SECRET, rooms, moderation });
+
+// =============================================================================
+// Admin endpoint
+// =============================================================================
+// POST /api/admin with { command, room? } and the secret as a bearer token.
+// Only answers connections from this machine that didn't come through a
+// proxy; to anyone else (or with the console off) it doesn't exist.
+const LOOPBACK_ADDRESSES = new Set(["127.0.0.1", "::1", "::ffff:127.0.0.1"]);
+
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > limit) {
+        reject(new Error("Body too large"));
+        req.destroy();
+      }
+    });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+async function handleAdminRequest(req, res) {
+  const sendJson = (status, data) => {
+    res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+    res.end(JSON.stringify(data));
+  };
+  const local =
+    LOOPBACK_ADDRESSES.has(req.socket.remoteAddress) &&
+    !req.headers["x-forwarded-for"] &&
+    !req.headers["cf-connecting-ip"];
+  if (!admin.enabled || !local) {
+    sendJson(404, { error: "Not found" });
+    return;
+  }
+  if (req.method !== "POST") {
+    sendJson(405, { error: "Use POST" });
+    return;
+  }
+  const [scheme, token] = (req.headers.authorization ?? "").split(" ");
+  if (scheme !== "Bearer" || !admin.checkSecret(token ?? "")) {
+    sendJson(401, { error: "Wrong admin secret" });
+    return;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(await readBody(req, MAX_ADMIN_BODY_BYTES));
+  } catch {
+    sendJson(400, { error: "Expected a JSON body" });
+    return;
+  }
+  if (typeof body?.command !== "string") {
+    sendJson(400, { error: "Missing command" });
+    return;
+  }
+  const room = body.room === undefined ? null : rooms.get(body.room);
+  if (room === undefined) {
+    sendJson(400, { error: "Unknown world" });
+    return;
+  }
+  sendJson(200, { result: admin.run(body.command, { room, by: "over HTTP" }) });
+}
 
 // =============================================================================
 // Connection protection
@@ -147,6 +266,8 @@ setInterval(() => {
 
 wss.on("connection", (ws, req) => {
   let playerId = null;
+  let spectatorId = null;
+  let room = null;
   const ip = getClientIp(req);
 
   // Without this, a protocol error (e.g. payload over maxPayload) emits an
@@ -156,6 +277,13 @@ wss.on("connection", (ws, req) => {
     console.log(`Socket error from ${ip}: ${err.message}`);
   });
 
+  // Banned by an admin (admin.js)
+  const ban = moderation.banFor(ip);
+  if (ban) {
+    rejectConnection(ws, `Banned: ${ban.reason}`);
+    return;
+  }
+
   // Per-IP concurrent connection cap (e.g. someone opening 30 tabs)
   const liveCount = (ipConnections.get(ip) || 0) + 1;
   if (liveCount > MAX_CONNECTIONS_PER_IP) {
@@ -199,7 +327,7 @@ wss.on("connection", (ws, req) => {
     }
     if (++msgCount > MAX_MESSAGES_PER_SECOND) {
       kicked = true;
-      console.log(`Kicking ${ip} (player ${playerId ?? "?"}): message flood`);
+      console.log(`Kicking ${ip} (player ${playerId ?? spectatorId ?? "?"}): message flood`);
       ws.terminate();
       return;
     }
@@ -212,253 +340,83 @@ wss.on("connection", (ws, req) => {
     }
 
     if (msg.type === "join") {
-      if (players.size >= MAX_PLAYERS) {
-        ws.send(JSON.stringify({ type: "full" }));
-        ws.close();
+      if (room) return;
+      const target = rooms.get(msg.room);
+      if (!target) {
+        rejectConnection(ws, "Unknown world");
         return;
       }
 
-      const name = sanitizeName(msg.name);
-      const color = sanitizeColor(msg.color);
-
-      playerId = String(nextId++);
-      players.set(playerId, {
-        id: playerId,
-        name,
-        color,
-        level: 1,
-        x: 0,
-        y: 0,
-        z: 0,
-        ry: 0,
-        anim: "idle",
-        ws,
-      });
-
-      // Send join confirmation with all existing players
-      const others = [];
-      for (const [id, p] of players) {
-        if (id !== playerId) {
-          others.push({
-            id: p.id,
-            name: p.name,
-            color: p.color,
-            level: p.level,
-            x: p.x,
-            y: p.y,
-            z: p.z,
-            ry: p.ry,
-            anim: p.anim,
-          });
+      // Spectators skip profiles entirely: no token, no boar, no resume
+      if (msg.spectate === true) {
+        if (target.isFullOfSpectators) {
+          ws.send(JSON.stringify({ type: "full" }));
+          ws.close();
+          return;
         }
+        room = target;
+        spectatorId = String(nextId++);
+        room.spectate(ws, spectatorId, { ip, binarySnapshots: msg.snapshots === "binary" });
+        return;
       }
-      ws.send(JSON.stringify({ type: "joined", id: playerId, players: others, npcs: serializeNpcs(npcs) }));
-
-      // Notify everyone else
-      broadcast(
-        {
-          type: "playerJoined",
-          id: playerId,
-          name,
-          color,
-          level: 1,
-        },
-        playerId,
-      );
 
-      console.log(
-        `Player "${name}" joined (id=${playerId}). ${players.size}/${MAX_PLAYERS} online.`,
-      );
-    }
-
-    if (msg.type === "state" && playerId) {
-      const player = players.get(playerId);
-      if (player) {
-        player.x = msg.x;
-        player.y = msg.y;
-        player.z = msg.z;
-        player.ry = msg.ry;
-        player.anim = msg.anim;
+      const connection = {
+        ip,
+        binarySnapshots: msg.snapshots === "binary",
+        serverMovement: msg.movement === "input",
+      };
+      const admission = admitPlayer(rooms, target, profiles, msg);
+      if (admission.type === "resume") {
+        room = admission.room;
+        playerId = admission.player.id;
+        room.resume(admission.player, ws, connection);
+        return;
       }
-    }
-
-    if (msg.type === "attack" && playerId) {
-      const npc = npcs.find(n => n.id === msg.npcId);
-      if (!npc) return;
-
-      const player = players.get(playerId);
-      if (!player) return;
-
-      // Validate range (client clamps too). Slack accounts for latency between
-      // the client firing and the server's last known positions.
-      const adx = npc.x - player.x;
-      const adz = npc.z - player.z;
-      const maxDist = ATTACK_RANGE + 2;
-      if (adx * adx + adz * adz > maxDist * maxDist) return;
-
-      const result = hitNpc(npc);
-      if (!result) return;
-
-      // Broadcast hit to ALL clients so everyone sees the phone + addiction update
-      broadcast({
-        type: "npcHit",
-        npcId: npc.id,
-        addiction: npc.addiction,
-        attackerId: playerId,
-        attackerX: player.x,
-        attackerY: player.y,
-        attackerZ: player.z,
-      });
-
-      if (result.died) {
-        broadcast({
-          type: "npcDied",
-          npcId: npc.id,
-          killerId: playerId,
-        });
+      if (admission.type === "reject") {
+        rejectConnection(ws, admission.reason);
+        return;
+      }
+      if (admission.type === "full") {
+        ws.send(JSON.stringify({ type: "full" }));
+        ws.close();
+        return;
       }
-    }
-
-    if (msg.type === "grenade" && playerId) {
-      const player = players.get(playerId);
-      if (!player) return;
-
-      const targetX = Number(msg.x);
-      const targetZ = Number(msg.z);
-      if (!Number.isFinite(targetX) || !Number.isFinite(targetZ)) return;
-
-      // Validate range; reject anything beyond GRENADE_RANGE (client clamps too)
-      const dx = targetX - player.x;
-      const dz = targetZ - player.z;
-      if (dx * dx + dz * dz > GRENADE_RANGE * GRENADE_RANGE + 0.01) return;
-
-      pendingGrenades.push({
-        timer: GRENADE_FUSE,
-        x: targetX,
-        z: targetZ,
-        attackerId: playerId,
-      });
 
-      broadcast({
-        type: "grenadeThrown",
-        attackerId: playerId,
-        startX: player.x,
-        startY: player.y,
-        startZ: player.z,
-        targetX,
-        targetZ,
-      });
+      room = target;
+      playerId = String(nextId++);
+      // Binary snapshots and server-simulated movement are opt-in so clients
+      // that predate them keep receiving JSON "positions" and sending "state".
+      room.join(ws, playerId, { token: admission.token, profile: admission.profile, ...connection });
+      return;
     }
 
-    if (msg.type === "levelUp" && playerId) {
-      const player = players.get(playerId);
-      if (!player) return;
-      const newLevel = Number(msg.level);
-      if (!Number.isFinite(newLevel) || newLevel <= player.level) return;
-      player.level = newLevel;
-      broadcast({ type: "playerLevelUp", id: playerId, level: newLevel });
+    if (room && playerId) {
+      room.handleMessage(playerId, ws, msg, nowMs);
+    } else if (room && spectatorId) {
+      room.handleSpectatorMessage(spectatorId, ws, msg);
     }
   });
 
   ws.on("close", () => {
-    if (playerId) {
-      const player = players.get(playerId);
-      console.log(
-        `Player "${player?.name}" left (id=${playerId}). ${players.size - 1}/${MAX_PLAYERS} online.`,
-      );
-      players.delete(playerId);
-      broadcast({ type: "playerLeft", id: playerId });
-    }
+    if (room && playerId) room.disconnect(playerId, ws);
+    if (room && spectatorId) room.removeSpectator(spectatorId, ws);
   });
 });
 
-function broadcast(msg, excludeId = null) {
-  const data = JSON.stringify(msg);
-  for (const [id, p] of players) {
-    if (id !== excludeId && p.ws.readyState === 1) {
-      p.ws.send(data);
-    }
-  }
+// Flush any pending profile save before exiting so the last few kills
+// before a deploy/restart aren't lost, and finish any ban or replay being
+// written.
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.on(signal, () => {
+    const replaysWritten = [...rooms.values()].map((room) => room.stop());
+    Promise.allSettled([profiles.flush(), moderation.flush(), ...replaysWritten]).finally(() => process.exit(0));
+  });
 }
 
-// Tick: update NPCs and broadcast all positions
-const tickDt = 1 / TICK_RATE;
-setInterval(() => {
-  updateNpcs(npcs, tickDt);
-
-  // Check for NPCs that should despawn
-  for (let i = npcs.length - 1; i >= 0; i--) {
-    if (shouldDespawn(npcs[i])) {
-      const removed = npcs[i];
-      broadcast({ type: "npcRemoved", npcId: removed.id });
-      npcs.splice(i, 1);
-      respawnQueue.push({ timer: NPC_RESPAWN_DELAY, name: removed.name, id: removed.id });
-      console.log(`NPC ${removed.id} despawned after death. Respawning in ${NPC_RESPAWN_DELAY}s.`);
-    }
-  }
-
-  // Process pending grenades — detonate when fuse runs out
-  for (let i = pendingGrenades.length - 1; i >= 0; i--) {
-    pendingGrenades[i].timer -= tickDt;
-    if (pendingGrenades[i].timer > 0) continue;
-
-    const g = pendingGrenades[i];
-    pendingGrenades.splice(i, 1);
-
-    const radiusSq = GRENADE_EXPLOSION_RADIUS * GRENADE_EXPLOSION_RADIUS;
-    for (const npc of npcs) {
-      const dx = npc.x - g.x;
-      const dz = npc.z - g.z;
-      if (dx * dx + dz * dz > radiusSq) continue;
-      if (killNpc(npc)) {
-        broadcast({ type: "npcDied", npcId: npc.id, killerId: g.attackerId });
-      }
-    }
-  }
-
-  // Process respawn queue
-  for (let i = respawnQueue.length - 1; i >= 0; i--) {
-    respawnQueue[i].timer -= tickDt;
-    if (respawnQueue[i].timer <= 0) {
-      const entry = respawnQueue[i];
-      respawnQueue.splice(i, 1);
-      const npc = createNpc(nextNpcIndex++);
-      npc.id = entry.id;
-      npc.name = entry.name;
-      npcs.push(npc);
-      broadcast({ type: "npcSpawned", npc: { id: npc.id, name: npc.name, x: npc.x, y: npc.y, z: npc.z, ry: npc.ry, anim: npc.anim, addiction: npc.addiction } });
-      console.log(`NPC ${npc.id} spawned. ${npcs.length} NPCs active.`);
-    }
-  }
-
-  if (players.size === 0) return;
-
-  const playerStates = [];
-  for (const [, p] of players) {
-    playerStates.push({
-      id: p.id,
-      x: p.x,
-      y: p.y,
-      z: p.z,
-      ry: p.ry,
-      anim: p.anim,
-    });
-  }
-
-  const data = JSON.stringify({
-    type: "positions",
-    players: playerStates,
-    npcs: serializeNpcs(npcs),
-  });
-  for (const [, p] of players) {
-    if (p.ws.readyState === 1) {
-      p.ws.send(data);
-    }
-  }
-}, 1000 / TICK_RATE);
+for (const room of rooms.values()) room.start();
 
 httpServer.listen(PORT, () => {
   console.log(`BoarScape server running on http://localhost:${PORT} (ws on same port)`);
-  console.log(`Max players: ${MAX_PLAYERS}, tick rate: ${TICK_RATE}Hz`);
-  console.log(`${npcs.length} NPCs spawned`);
+  console.log(`${rooms.size} worlds, max players per world: ${MAX_PLAYERS_PER_ROOM}, tick rate: ${TICK_RATE}Hz`);
+  console.log(`${profiles.profiles.size} saved profiles`);
 });
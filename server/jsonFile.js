@@ -0,0 +1,27 @@
+import { readFileSync } from "node:fs";
+import { mkdir, rename, writeFile } from "node:fs/promises";
+import path from "node:path";
+
+// The small JSON files the server keeps its state in (profiles, bans)
+
+// The parsed file, or null if there isn't one yet
+export function readJsonFile(filePath) {
+  let raw;
+  try {
+    raw = readFileSync(filePath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  return JSON.parse(raw);
+}
+
+// Write-then-rename so a crash mid-write never leaves a truncated file.
+// `data` is serialized straight away, so later changes wait for the next save.
+export async function writeJsonFile(filePath, data) {
+  const json = JSON.stringify(data);
+  const tmpPath = `${filePath}.tmp`;
+  await mkdir(path.dirname(filePath), { recursive: true });
+  await writeFile(tmpPath, json);
+  await rename(tmpPath, filePath);
+}
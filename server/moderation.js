@@ -0,0 +1,85 @@
+import { readJsonFile, writeJsonFile } from "./jsonFile.js";
+
+/**
+ * Who's been banned or muted by an admin (see admin.js). Bans are by IP,
+ * persisted to a JSON file so they survive restarts, and checked on every
+ * new connection. Mutes are by profile token and only last as long as the
+ * process: a restart is a fresh start for chat.
+ *
+ * Expiries are epoch milliseconds; null means until lifted.
+ */
+export class Moderation {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.bans = new Map(); // ip -> { until, reason }
+    this.mutes = new Map(); // profile token -> until
+    this._saving = Promise.resolve();
+  }
+
+  load() {
+    const data = readJsonFile(this.filePath);
+    if (!data) return;
+    for (const [ip, ban] of Object.entries(data.bans ?? {})) {
+      this.bans.set(ip, ban);
+    }
+  }
+
+  // The ban on this IP, or null. Expired bans are dropped as they're found.
+  banFor(ip, now = Date.now()) {
+    const ban = this.bans.get(ip);
+    if (!ban) return null;
+    if (ban.until !== null && ban.until <= now) {
+      this.bans.delete(ip);
+      this.saveInBackground();
+      return null;
+    }
+    return ban;
+  }
+
+  ban(ip, durationMs, reason) {
+    this.bans.set(ip, { until: durationMs === null ? null : Date.now() + durationMs, reason });
+    this.saveInBackground();
+  }
+
+  // Returns whether there was a ban to lift
+  unban(ip) {
+    const had = this.bans.delete(ip);
+    if (had) this.saveInBackground();
+    return had;
+  }
+
+  isMuted(token, now = Date.now()) {
+    const until = this.mutes.get(token);
+    if (until === undefined) return false;
+    if (until !== null && until <= now) {
+      this.mutes.delete(token);
+      return false;
+    }
+    return true;
+  }
+
+  mute(token, durationMs) {
+    this.mutes.set(token, durationMs === null ? null : Date.now() + durationMs);
+  }
+
+  unmute(token) {
+    return this.mutes.delete(token);
+  }
+
+  // Bans are rare; each change is written straight away, one write at a
+  // time so two never race over the temp file
+  saveInBackground() {
+    this._saving = this._saving
+      .then(() => this.save())
+      .catch((err) => console.error(`Failed to save bans: ${err.message}`));
+  }
+
+  // Resolves once every change so far is on disk
+  flush() {
+    return this._saving;
+  }
+
+  save() {
+    return writeJsonFile(this.filePath, { bans: Object.fromEntries(this.bans) });
+  }
+}
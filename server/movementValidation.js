@@ -0,0 +1,56 @@
+import { TREE_COLLIDERS } from "./terrain.js";
+import { FIELD_SIZE, GROUND_Y, GRAVITY, JUMP_SPEED, RUN_SPEED } from "../src/config.js";
+
+// Anims a client may report for itself ("dead" is server-only)
+const CLIENT_ANIMS = new Set(["idle", "walk", "jump"]);
+
+// Slack for network jitter: updates can arrive bunched, so the allowance is
+// a speed margin plus a flat distance on top.
+const SPEED_SLACK = 1.25;
+const DISTANCE_SLACK = 1.0;
+const HEIGHT_SLACK = 0.3;
+// A full jump lasts 2 * JUMP_SPEED / GRAVITY (~0.8s); hanging in the air much
+// longer than that is flying.
+const MAX_AIRTIME_MS = (2 * JUMP_SPEED / GRAVITY) * 1000 + 500;
+const MAX_JUMP_HEIGHT = (JUMP_SPEED * JUMP_SPEED) / (2 * GRAVITY);
+// Updates this close together are treated as this far apart, so two packets
+// delivered back-to-back aren't measured as near-infinite speed.
+const MIN_ELAPSED_S = 0.05;
+
+/**
+ * Checks a self-reported "state" update from a legacy (non-input) client
+ * against the player's last accepted state. Returns a short reason string
+ * for the first rule broken, or null if the update is plausible.
+ */
+export function validateStateUpdate(player, msg, nowMs) {
+  const { x, y, z, ry } = msg;
+  if (![x, y, z, ry].every(Number.isFinite)) return "non-finite coordinates";
+  if (typeof msg.anim !== "string" || !CLIENT_ANIMS.has(msg.anim)) return "unknown anim";
+
+  const half = FIELD_SIZE / 2;
+  if (Math.abs(x) > half || Math.abs(z) > half) return "outside the field";
+  if (y < GROUND_Y - HEIGHT_SLACK || y > GROUND_Y + MAX_JUMP_HEIGHT + HEIGHT_SLACK) return "impossible height";
+
+  const elapsed = Math.max((nowMs - player.lastStateAt) / 1000, MIN_ELAPSED_S);
+  const maxDist = RUN_SPEED * SPEED_SLACK * elapsed + DISTANCE_SLACK;
+  const dx = x - player.x;
+  const dz = z - player.z;
+  if (dx * dx + dz * dz > maxDist * maxDist) return "moved too fast";
+
+  // Vertical speed never exceeds JUMP_SPEED: take-off is the fastest rise and
+  // landing from the peak the fastest fall.
+  if (Math.abs(y - player.y) > JUMP_SPEED * SPEED_SLACK * elapsed + HEIGHT_SLACK) return "vertical speed";
+  if (y > GROUND_Y + HEIGHT_SLACK && player.airborneSince && nowMs - player.airborneSince > MAX_AIRTIME_MS) {
+    return "airborne too long";
+  }
+
+  // Clients keep their whole body outside a trunk; the trunk circle itself is
+  // never reachable
+  for (const c of TREE_COLLIDERS) {
+    const cdx = x - c.x;
+    const cdz = z - c.z;
+    if (cdx * cdx + cdz * cdz < c.radius * c.radius) return "inside a tree";
+  }
+
+  return null;
+}
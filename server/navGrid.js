@@ -0,0 +1,212 @@
+// =============================================================================
+// Navigation grid
+// =============================================================================
+// A walkability grid over the square field, built once from the tree
+// colliders. A cell is blocked when its centre is within a collider's radius
+// plus the agent clearance. Grids are plain data (no per-agent state), so one
+// instance can be shared by every room and any server-side simulation.
+
+// Neighbour offsets: 4 straight then 4 diagonal
+const NEIGHBOURS = [
+  [1, 0], [-1, 0], [0, 1], [0, -1],
+  [1, 1], [1, -1], [-1, 1], [-1, -1],
+];
+const DIAGONAL_COST = Math.SQRT2;
+// Line-of-sight checks sample the segment this often (fraction of a cell)
+const SIGHT_STEP = 0.5;
+
+/**
+ * Minimal binary min-heap keyed by `f` for the A* open set.
+ */
+class OpenSet {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(node, f) {
+    const items = this.items;
+    items.push({ node, f });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].f <= items[i].f) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1;
+        const r = l + 1;
+        let smallest = i;
+        if (l < items.length && items[l].f < items[smallest].f) smallest = l;
+        if (r < items.length && items[r].f < items[smallest].f) smallest = r;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top.node;
+  }
+}
+
+export class NavGrid {
+  /**
+   * @param {{ halfSize: number, cellSize: number, colliders: { x: number, z: number, radius: number }[], clearance: number }} options
+   */
+  constructor({ halfSize, cellSize, colliders, clearance }) {
+    this.halfSize = halfSize;
+    this.cellSize = cellSize;
+    this.size = Math.ceil((halfSize * 2) / cellSize);
+    this.blocked = new Uint8Array(this.size * this.size);
+
+    // Only stamp the cells each collider can reach instead of testing every
+    // cell against every tree
+    for (const c of colliders) {
+      const reach = c.radius + clearance;
+      const minCol = this.toCell(c.x - reach);
+      const maxCol = this.toCell(c.x + reach);
+      const minRow = this.toCell(c.z - reach);
+      const maxRow = this.toCell(c.z + reach);
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+          const dx = this.toWorld(col) - c.x;
+          const dz = this.toWorld(row) - c.z;
+          if (dx * dx + dz * dz < reach * reach) this.blocked[row * this.size + col] = 1;
+        }
+      }
+    }
+  }
+
+  toCell(v) {
+    return Math.max(0, Math.min(this.size - 1, Math.floor((v + this.halfSize) / this.cellSize)));
+  }
+
+  // Centre of a cell along one axis
+  toWorld(cell) {
+    return (cell + 0.5) * this.cellSize - this.halfSize;
+  }
+
+  isBlocked(x, z) {
+    return this.blocked[this.toCell(z) * this.size + this.toCell(x)] === 1;
+  }
+
+  /**
+   * True if a straight walk from a to b crosses no blocked cell.
+   */
+  hasLineOfSight(ax, az, bx, bz) {
+    const dist = Math.hypot(bx - ax, bz - az);
+    const steps = Math.max(1, Math.ceil(dist / (this.cellSize * SIGHT_STEP)));
+    for (let i = 0; i <= steps; i++) {
+      const t = i / steps;
+      if (this.isBlocked(ax + (bx - ax) * t, az + (bz - az) * t)) return false;
+    }
+    return true;
+  }
+
+  // Closest walkable cell index to a world point (searching outward in rings),
+  // or -1 if the whole grid is blocked
+  _nearestOpenCell(x, z) {
+    const col = this.toCell(x);
+    const row = this.toCell(z);
+    for (let ring = 0; ring < this.size; ring++) {
+      for (let r = row - ring; r <= row + ring; r++) {
+        for (let c = col - ring; c <= col + ring; c++) {
+          if (r < 0 || c < 0 || r >= this.size || c >= this.size) continue;
+          if (Math.max(Math.abs(r - row), Math.abs(c - col)) !== ring) continue;
+          if (!this.blocked[r * this.size + c]) return r * this.size + c;
+        }
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * A* from one world point to another. Returns waypoints [{ x, z }, ...]
+   * ending at the goal (or the nearest walkable spot to it), with redundant
+   * corners removed, or null if no route exists.
+   */
+  findPath(fromX, fromZ, toX, toZ) {
+    if (this.hasLineOfSight(fromX, fromZ, toX, toZ)) return [{ x: toX, z: toZ }];
+
+    const start = this._nearestOpenCell(fromX, fromZ);
+    const goal = this._nearestOpenCell(toX, toZ);
+    if (start < 0 || goal < 0) return null;
+
+    const size = this.size;
+    const goalCol = goal % size;
+    const goalRow = Math.floor(goal / size);
+    const heuristic = (cell) => {
+      const dc = Math.abs((cell % size) - goalCol);
+      const dr = Math.abs(Math.floor(cell / size) - goalRow);
+      return Math.max(dc, dr) + (DIAGONAL_COST - 1) * Math.min(dc, dr);
+    };
+
+    const cost = new Float32Array(size * size).fill(Infinity);
+    const cameFrom = new Int32Array(size * size).fill(-1);
+    const closed = new Uint8Array(size * size);
+    const open = new OpenSet();
+    cost[start] = 0;
+    open.push(start, heuristic(start));
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (current === goal) break;
+      if (closed[current]) continue;
+      closed[current] = 1;
+
+      const col = current % size;
+      const row = Math.floor(current / size);
+      for (let i = 0; i < NEIGHBOURS.length; i++) {
+        const [dc, dr] = NEIGHBOURS[i];
+        const c = col + dc;
+        const r = row + dr;
+        if (c < 0 || r < 0 || c >= size || r >= size) continue;
+        const next = r * size + c;
+        if (this.blocked[next] || closed[next]) continue;
+        // No cutting corners diagonally past a blocked cell
+        if (dc !== 0 && dr !== 0 && (this.blocked[row * size + c] || this.blocked[r * size + col])) continue;
+
+        const nextCost = cost[current] + (i < 4 ? 1 : DIAGONAL_COST);
+        if (nextCost >= cost[next]) continue;
+        cost[next] = nextCost;
+        cameFrom[next] = current;
+        open.push(next, nextCost + heuristic(next));
+      }
+    }
+    if (start !== goal && cameFrom[goal] < 0) return null;
+
+    // Walk back from the goal, then drop every waypoint the one before it
+    // can see past
+    const cells = [];
+    for (let cell = goal; cell !== start; cell = cameFrom[cell]) cells.push(cell);
+    cells.reverse();
+    const goalOpen = !this.isBlocked(toX, toZ);
+    const points = cells.map((cell) => ({ x: this.toWorld(cell % size), z: this.toWorld(Math.floor(cell / size)) }));
+    if (goalOpen) points[points.length - 1] = { x: toX, z: toZ };
+    if (points.length === 0) points.push({ x: toX, z: toZ });
+
+    const path = [];
+    let fromPx = fromX;
+    let fromPz = fromZ;
+    for (let i = 0; i < points.length; i++) {
+      const next = points[i + 1];
+      if (next && this.hasLineOfSight(fromPx, fromPz, next.x, next.z)) continue;
+      path.push(points[i]);
+      fromPx = points[i].x;
+      fromPz = points[i].z;
+    }
+    return path;
+  }
+}
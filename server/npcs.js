@@ -1,48 +1,125 @@
-import { NPC_COUNT, NPC_WALK_SPEED, FIELD_SIZE, NPC_MAX_ADDICTION, NPC_DESPAWN_DELAY } from "../src/config.js";
+import {
+  NPC_ARCHETYPES,
+  DEFAULT_NPC_ARCHETYPE,
+  NPC_FLEE_RADIUS,
+  NPC_PANIC_RADIUS,
+  NPC_PANIC_DURATION,
+  NPC_GROUP_RADIUS,
+  NPC_MAX_GROUP_SIZE,
+  NPC_PERSONAL_SPACE,
+  NPC_RADIUS,
+  FIELD_SIZE,
+  NPC_DESPAWN_DELAY,
+  NPC_ATTACK_RANGE,
+  NPC_ATTACK_COOLDOWN,
+} from "../src/config.js";
+import { resolveTreeCollisions } from "../src/sim/treeColliders.js";
+import { NAV_GRID, TREE_COLLIDERS } from "./terrain.js";
 
 const BOUNDS_HALF = FIELD_SIZE / 2;
 const BOUNDS_MARGIN = 4;
 
+// Spots kids like to hang around: the spawn clearing plus a few open patches
+// between the trees.
+const POINTS_OF_INTEREST = [
+  { x: 0, z: 0 },
+  { x: 24, z: -8 },
+  { x: -22, z: 14 },
+  { x: 6, z: 30 },
+  { x: -12, z: -28 },
+  { x: 36, z: 32 },
+  { x: -38, z: -34 },
+];
+
+// How long a fleeing kid keeps running once no boar is in range
+const FLEE_LINGER = 1.2;
+// A group member this close already counts as "with" the group
+const GROUP_JOIN_DISTANCE = 2.5;
+const ARRIVE_DISTANCE = 1.0;
+const SEPARATION_STRENGTH = 2.0;
+// Close enough to a path waypoint to move on to the next one
+const WAYPOINT_DISTANCE = 0.6;
+// How far ahead a random walker or fleeing kid checks for trunks
+const LOOK_AHEAD = 1.5;
+// Heading offsets a blocked kid tries, nearest to its wish first
+const DETOUR_ANGLES = [0.5, -0.5, 1.0, -1.0, 1.6, -1.6, 2.3, -2.3];
+
 function clamp(v, min, max) {
   return Math.max(min, Math.min(max, v));
 }
 
-export function createNpc(index) {
-  // Spread NPCs in a ring around spawn
-  const angle = (index / NPC_COUNT) * Math.PI * 2;
-  const dist = 15 + Math.random() * 20;
+function distSq(a, b) {
+  const dx = a.x - b.x;
+  const dz = a.z - b.z;
+  return dx * dx + dz * dz;
+}
+
+/**
+ * Picks an archetype id using `random` (see random.js). `weights` maps
+ * archetype ids to relative spawn weights; archetypes it leaves out use their
+ * default spawnWeight.
+ */
+export function pickArchetype(weights = {}, random) {
+  const entries = Object.entries(NPC_ARCHETYPES).map(([id, a]) => [id, Math.max(0, weights[id] ?? a.spawnWeight)]);
+  const total = entries.reduce((sum, [, w]) => sum + w, 0);
+  if (total <= 0) return DEFAULT_NPC_ARCHETYPE;
+  let roll = random() * total;
+  for (const [id, w] of entries) {
+    roll -= w;
+    if (roll < 0) return id;
+  }
+  return DEFAULT_NPC_ARCHETYPE;
+}
+
+/**
+ * A fresh calm NPC at (x, z). Where and when is the population director's call
+ * (see populationDirector.js).
+ */
+export function createNpc(index, archetypeId, x, z, random) {
+  const archetype = NPC_ARCHETYPES[archetypeId] ? archetypeId : DEFAULT_NPC_ARCHETYPE;
+  const stats = NPC_ARCHETYPES[archetype];
 
   return {
     id: `npc_${index + 1}`,
-    // Visible nametag — kept generic so the label above each NPC just reads "Kid".
+    // Visible nametag — the archetype's generic label ("Kid", "Teen", ...).
     // The id (npc_N) is what's used for identification in logs/messages.
-    name: "Kid",
-    x: Math.cos(angle) * dist,
+    name: stats.name,
+    archetype,
+    walkSpeed: stats.walkSpeed,
+    runSpeed: stats.runSpeed,
+    maxAddiction: stats.maxAddiction,
+    attackDamage: stats.attackDamage,
+    xp: stats.xp,
+    x,
     y: 0,
-    z: Math.sin(angle) * dist,
-    ry: Math.random() * Math.PI * 2,
+    z,
+    ry: random() * Math.PI * 2,
     anim: "idle",
     vx: 0,
     vz: 0,
+    // idle | walk (random heading) | wander (to a POI) | group | flee | dead
     state: "idle",
     stateTimer: 0,
-    nextChange: 1 + Math.random() * 3,
+    nextChange: 1 + random() * 3,
+    targetX: 0,
+    targetZ: 0,
+    // Waypoints toward the target for wander/group, from the nav grid
+    path: null,
+    pathIndex: 0,
+    panicTimer: 0,
+    fleeTimer: 0,
     addiction: 0,
+    hostile: false,
+    attackTimer: 0,
   };
 }
 
-export function createNpcs() {
-  const npcs = [];
-  for (let i = 0; i < NPC_COUNT; i++) {
-    npcs.push(createNpc(i));
-  }
-  return npcs;
-}
-
 export function hitNpc(npc) {
   if (npc.state === "dead") return null;
   npc.addiction++;
-  if (npc.addiction >= NPC_MAX_ADDICTION) {
+  npc.hostile = true;
+  npc.panicTimer = NPC_PANIC_DURATION;
+  if (npc.addiction >= npc.maxAddiction) {
     npc.state = "dead";
     npc.anim = "dead";
     npc.vx = 0;
@@ -64,11 +141,233 @@ export function killNpc(npc) {
   npc.vx = 0;
   npc.vz = 0;
   npc.deathTimer = 0;
-  npc.addiction = NPC_MAX_ADDICTION;
+  npc.addiction = npc.maxAddiction;
   return { killed: true };
 }
 
-export function updateNpcs(npcs, dt) {
+/**
+ * Hostile (previously hit) NPCs swing at the nearest living player in reach,
+ * at most once per NPC_ATTACK_COOLDOWN. Returns [{ npc, target }] so the
+ * caller can apply damage and broadcast — this module doesn't know about HP.
+ */
+export function findNpcAttacks(npcs, players, dt) {
+  const attacks = [];
+  const rangeSq = NPC_ATTACK_RANGE * NPC_ATTACK_RANGE;
+
+  for (const npc of npcs) {
+    if (!npc.hostile || npc.state === "dead") continue;
+    npc.attackTimer = Math.max(0, npc.attackTimer - dt);
+    if (npc.attackTimer > 0) continue;
+
+    let target = null;
+    let bestSq = rangeSq;
+    for (const p of players) {
+      if (p.dead) continue;
+      const dx = p.x - npc.x;
+      const dz = p.z - npc.z;
+      const dSq = dx * dx + dz * dz;
+      if (dSq <= bestSq) {
+        bestSq = dSq;
+        target = p;
+      }
+    }
+    if (!target) continue;
+
+    npc.attackTimer = NPC_ATTACK_COOLDOWN;
+    npc.ry = Math.atan2(target.x - npc.x, target.z - npc.z);
+    attacks.push({ npc, target });
+  }
+  return attacks;
+}
+
+// =============================================================================
+// Behaviour
+// =============================================================================
+// Each kid runs a small state machine. Fleeing pre-empts everything; the
+// calm states (idle, walk, wander, group) take turns on a timer. Separation
+// is applied on top of whatever the state wants so kids never stack up.
+
+// Nearest living boar within `radius`, or null
+function findThreat(npc, players, radius) {
+  let threat = null;
+  let bestSq = radius * radius;
+  for (const p of players) {
+    if (p.dead) continue;
+    const dSq = distSq(p, npc);
+    if (dSq <= bestSq) {
+      bestSq = dSq;
+      threat = p;
+    }
+  }
+  return threat;
+}
+
+// Centre of the nearest group worth joining: kids within NPC_GROUP_RADIUS of
+// the closest other kid, as long as that group isn't already full
+function findGroupTarget(npc, npcs) {
+  let nearest = null;
+  let bestSq = NPC_GROUP_RADIUS * NPC_GROUP_RADIUS;
+  for (const other of npcs) {
+    if (other === npc || other.state === "dead" || other.state === "flee") continue;
+    const dSq = distSq(other, npc);
+    if (dSq < bestSq) {
+      bestSq = dSq;
+      nearest = other;
+    }
+  }
+  if (!nearest || bestSq < GROUP_JOIN_DISTANCE * GROUP_JOIN_DISTANCE) return null;
+
+  let count = 0;
+  let sumX = 0;
+  let sumZ = 0;
+  for (const other of npcs) {
+    if (other === npc || other.state === "dead") continue;
+    if (distSq(other, nearest) > GROUP_JOIN_DISTANCE * GROUP_JOIN_DISTANCE) continue;
+    count++;
+    sumX += other.x;
+    sumZ += other.z;
+  }
+  if (count >= NPC_MAX_GROUP_SIZE) return null;
+  return { x: sumX / count, z: sumZ / count };
+}
+
+function setState(npc, state, duration) {
+  npc.state = state;
+  npc.stateTimer = 0;
+  npc.nextChange = duration;
+  npc.path = null;
+}
+
+// Plans a route to (targetX, targetZ) and enters `state` to follow it.
+// Returns false (leaving the kid as it was) if the target can't be reached.
+function setDestination(npc, state, duration, x, z) {
+  const path = NAV_GRID.findPath(npc.x, npc.z, x, z);
+  if (!path) return false;
+  npc.targetX = x;
+  npc.targetZ = z;
+  setState(npc, state, duration);
+  npc.path = path;
+  npc.pathIndex = 0;
+  return true;
+}
+
+// Rotates (dx, dz) toward the closest heading whose look-ahead point is
+// clear of trunks; returns the input unchanged if nothing nearby is clear
+function avoidTrees(npc, dx, dz) {
+  const len = Math.hypot(dx, dz);
+  if (len === 0) return { dx, dz };
+  const heading = Math.atan2(dx, dz);
+  const clear = (angle) =>
+    !NAV_GRID.isBlocked(npc.x + Math.sin(angle) * LOOK_AHEAD, npc.z + Math.cos(angle) * LOOK_AHEAD);
+  if (clear(heading)) return { dx, dz };
+  for (const offset of DETOUR_ANGLES) {
+    const angle = heading + offset;
+    if (clear(angle)) return { dx: Math.sin(angle) * len, dz: Math.cos(angle) * len };
+  }
+  return { dx, dz };
+}
+
+// Picks what a calm kid does next once its current state times out
+function chooseCalmState(npc, npcs, random) {
+  if (npc.state !== "idle") {
+    setState(npc, "idle", 2 + random() * 2);
+    return;
+  }
+
+  const roll = random();
+  const group = roll < 0.4 ? findGroupTarget(npc, npcs) : null;
+  if (group && setDestination(npc, "group", 8, group.x, group.z)) return;
+  if (roll < 0.75) {
+    const poi = POINTS_OF_INTEREST[Math.floor(random() * POINTS_OF_INTEREST.length)];
+    // Aim somewhere around the spot rather than all at its exact centre
+    const x = poi.x + (random() - 0.5) * 6;
+    const z = poi.z + (random() - 0.5) * 6;
+    // Unreachable spot: stay put and pick again next time
+    if (!setDestination(npc, "wander", 20, x, z)) setState(npc, "idle", 1 + random() * 2);
+  } else {
+    npc.ry = random() * Math.PI * 2;
+    setState(npc, "walk", 3 + random() * 3);
+  }
+}
+
+// Desired velocity for the kid's current state, before separation
+function steer(npc, threat, random) {
+  if (npc.state === "flee") {
+    let dx = npc.x - (threat ? threat.x : npc.targetX);
+    let dz = npc.z - (threat ? threat.z : npc.targetZ);
+    // Remember where the danger was so the kid keeps running the same way
+    // after it drops out of range
+    if (threat) {
+      npc.targetX = threat.x;
+      npc.targetZ = threat.z;
+    }
+    const len = Math.hypot(dx, dz) || 1;
+    // Panicking kids don't plan a route, they just veer around the trunk ahead
+    const away = avoidTrees(npc, dx / len, dz / len);
+    return { vx: away.dx * npc.runSpeed, vz: away.dz * npc.runSpeed };
+  }
+
+  if (npc.state === "walk") {
+    // Random walkers turn away from a trunk rather than plough into it
+    const ahead = avoidTrees(npc, Math.sin(npc.ry), Math.cos(npc.ry));
+    npc.ry = Math.atan2(ahead.dx, ahead.dz);
+    return { vx: ahead.dx * npc.walkSpeed, vz: ahead.dz * npc.walkSpeed };
+  }
+
+  if (npc.state === "wander" || npc.state === "group") {
+    const dist = Math.hypot(npc.targetX - npc.x, npc.targetZ - npc.z);
+    const arrive = npc.state === "group" ? GROUP_JOIN_DISTANCE : ARRIVE_DISTANCE;
+    if (dist <= arrive || !npc.path) {
+      setState(npc, "idle", 3 + random() * 4);
+      return { vx: 0, vz: 0 };
+    }
+
+    // Follow the planned waypoints; the last one is the target itself
+    let waypoint = npc.path[npc.pathIndex];
+    while (npc.pathIndex < npc.path.length - 1 && Math.hypot(waypoint.x - npc.x, waypoint.z - npc.z) <= WAYPOINT_DISTANCE) {
+      waypoint = npc.path[++npc.pathIndex];
+    }
+    const dx = waypoint.x - npc.x;
+    const dz = waypoint.z - npc.z;
+    const len = Math.hypot(dx, dz);
+    if (len < 1e-4) {
+      setState(npc, "idle", 3 + random() * 4);
+      return { vx: 0, vz: 0 };
+    }
+    return { vx: (dx / len) * npc.walkSpeed, vz: (dz / len) * npc.walkSpeed };
+  }
+
+  return { vx: 0, vz: 0 };
+}
+
+// Push away from any kid inside NPC_PERSONAL_SPACE, harder the closer they are
+function separation(npc, npcs) {
+  let px = 0;
+  let pz = 0;
+  for (const other of npcs) {
+    if (other === npc || other.state === "dead") continue;
+    const dx = npc.x - other.x;
+    const dz = npc.z - other.z;
+    const dSq = dx * dx + dz * dz;
+    if (dSq >= NPC_PERSONAL_SPACE * NPC_PERSONAL_SPACE) continue;
+    const d = Math.sqrt(dSq);
+    if (d < 1e-4) {
+      // Exactly on top of each other: split along an arbitrary axis
+      px += SEPARATION_STRENGTH;
+      continue;
+    }
+    const push = ((NPC_PERSONAL_SPACE - d) / NPC_PERSONAL_SPACE) * SEPARATION_STRENGTH;
+    px += (dx / d) * push;
+    pz += (dz / d) * push;
+  }
+  return { px, pz };
+}
+
+/**
+ * Advances every kid by `dt`. `players` is the list of boars they react to;
+ * `random` is the world's seeded generator.
+ */
+export function updateNpcs(npcs, players, dt, random) {
   const limit = BOUNDS_HALF - BOUNDS_MARGIN;
 
   for (const npc of npcs) {
@@ -77,41 +376,42 @@ export function updateNpcs(npcs, dt) {
       continue;
     }
 
-    npc.stateTimer += dt;
-
-    if (npc.stateTimer >= npc.nextChange) {
-      npc.stateTimer = 0;
-
-      if (npc.state === "idle") {
-        // Start walking in a random direction
-        npc.state = "walk";
-        npc.anim = "walk";
-        npc.ry = Math.random() * Math.PI * 2;
-        npc.vx = Math.sin(npc.ry) * NPC_WALK_SPEED;
-        npc.vz = Math.cos(npc.ry) * NPC_WALK_SPEED;
-        npc.nextChange = 3 + Math.random() * 3;
-      } else {
-        // Stop and idle
-        npc.state = "idle";
-        npc.anim = "idle";
-        npc.vx = 0;
-        npc.vz = 0;
-        npc.nextChange = 2 + Math.random() * 2;
-      }
+    // Fleeing pre-empts every other state. Hostile kids stand their ground
+    // (they want to be in swinging range) except right after being hit.
+    npc.panicTimer = Math.max(0, npc.panicTimer - dt);
+    const fleeRadius = npc.panicTimer > 0 ? NPC_PANIC_RADIUS : npc.hostile ? 0 : NPC_FLEE_RADIUS;
+    const threat = fleeRadius > 0 ? findThreat(npc, players, fleeRadius) : null;
+    if (threat) {
+      if (npc.state !== "flee") setState(npc, "flee", Infinity);
+      npc.fleeTimer = FLEE_LINGER;
+    } else if (npc.state === "flee") {
+      npc.fleeTimer -= dt;
+      if (npc.fleeTimer <= 0) setState(npc, "idle", 1 + random() * 2);
+    } else {
+      npc.stateTimer += dt;
+      if (npc.stateTimer >= npc.nextChange) chooseCalmState(npc, npcs, random);
     }
 
-    // Move
+    const { vx, vz } = steer(npc, threat, random);
+    const { px, pz } = separation(npc, npcs);
+    npc.vx = vx + px;
+    npc.vz = vz + pz;
+
+    // Move, then slide off any trunk separation or steering pushed us into
     npc.x += npc.vx * dt;
     npc.z += npc.vz * dt;
+    resolveTreeCollisions(npc, NPC_RADIUS, TREE_COLLIDERS);
 
-    // Bounce off world bounds
+    // Keep inside world bounds; a random walker turns back inward
     if (Math.abs(npc.x) > limit || Math.abs(npc.z) > limit) {
       npc.x = clamp(npc.x, -limit, limit);
       npc.z = clamp(npc.z, -limit, limit);
-      npc.ry += Math.PI + (Math.random() - 0.5) * 0.6;
-      npc.vx = Math.sin(npc.ry) * NPC_WALK_SPEED;
-      npc.vz = Math.cos(npc.ry) * NPC_WALK_SPEED;
+      if (npc.state === "walk") npc.ry += Math.PI + (random() - 0.5) * 0.6;
     }
+
+    // Face the way the state is heading (not the separation nudge)
+    if (vx !== 0 || vz !== 0) npc.ry = Math.atan2(vx, vz);
+    npc.anim = npc.state === "flee" ? "run" : vx !== 0 || vz !== 0 ? "walk" : "idle";
   }
 }
 
@@ -124,6 +424,7 @@ export function serializeNpcs(npcs) {
     z: n.z,
     ry: n.ry,
     anim: n.anim,
+    archetype: n.archetype,
     addiction: n.addiction,
   }));
 }
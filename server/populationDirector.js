@@ -0,0 +1,176 @@
+import {
+  NPC_MIN_COUNT,
+  NPC_PER_PLAYER,
+  NPC_MAX_COUNT,
+  NPC_SPAWN_BUDGET_MAX,
+  NPC_SPAWN_BUDGET_RATE,
+  NPC_SPAWN_SAFE_DISTANCE,
+  NPC_SPAWN_VIEW_DISTANCE,
+  NPC_SPAWN_VIEW_ANGLE,
+  NPC_SPAWN_SPACING,
+  FIELD_SIZE,
+} from "../src/config.js";
+import { createNpc, pickArchetype } from "./npcs.js";
+import { NAV_GRID } from "./terrain.js";
+
+// Where kids come from when a world doesn't configure its own zones: open
+// patches around the field, away from the spawn clearing boars start in.
+// `weight` is how often a zone is picked relative to the others.
+export const DEFAULT_SPAWN_ZONES = [
+  { x: 24, z: -8, radius: 10, weight: 1 },
+  { x: -22, z: 14, radius: 10, weight: 1 },
+  { x: 6, z: 30, radius: 10, weight: 1 },
+  { x: -12, z: -28, radius: 10, weight: 1 },
+  { x: 36, z: 32, radius: 12, weight: 1 },
+  { x: -38, z: -34, radius: 12, weight: 1 },
+  { x: 40, z: -36, radius: 12, weight: 1 },
+  { x: -40, z: 38, radius: 12, weight: 1 },
+];
+
+// Keep spawns off the field edge, matching the kids' own movement bounds
+const SPAWN_LIMIT = FIELD_SIZE / 2 - 4;
+// Random points tried per spawn before giving up until the next tick
+const SPAWN_ATTEMPTS = 12;
+// At most one surplus kid is retired this often when the world empties out
+const RETIRE_INTERVAL = 2.0;
+
+/**
+ * Could this boar see a kid standing at (x, z)? Too close always counts as
+ * seen; otherwise it has to be in front of the boar, in range, and not behind
+ * a trunk.
+ */
+function canSee(player, x, z) {
+  const dx = x - player.x;
+  const dz = z - player.z;
+  const dist = Math.hypot(dx, dz);
+  if (dist < NPC_SPAWN_SAFE_DISTANCE) return true;
+  if (dist > NPC_SPAWN_VIEW_DISTANCE) return false;
+
+  const facingX = Math.sin(player.ry);
+  const facingZ = Math.cos(player.ry);
+  const cos = (dx * facingX + dz * facingZ) / dist;
+  if (cos < Math.cos(NPC_SPAWN_VIEW_ANGLE)) return false;
+  return NAV_GRID.hasLineOfSight(player.x, player.z, x, z);
+}
+
+/**
+ * Keeps one world's NPC population at the size its player count calls for.
+ * The room owns the NPC list and the broadcasts; the director only decides
+ * who to create and who to retire, and where.
+ */
+export class PopulationDirector {
+  constructor({ zones = DEFAULT_SPAWN_ZONES, spawnWeights = {}, random }) {
+    this.random = random;
+    this.zones = zones;
+    this.spawnWeights = spawnWeights;
+    this.budget = NPC_SPAWN_BUDGET_MAX;
+    this.retireTimer = RETIRE_INTERVAL;
+    this.nextIndex = 0;
+    // An admin-set population (see setCount), or null to follow the players
+    this.countOverride = null;
+  }
+
+  targetCount(playerCount) {
+    if (this.countOverride !== null) return this.countOverride;
+    return Math.min(NPC_MAX_COUNT, NPC_MIN_COUNT + playerCount * NPC_PER_PLAYER);
+  }
+
+  /**
+   * Pins the population at `count` (clamped to NPC_MAX_COUNT) regardless of
+   * how many boars are around; null goes back to scaling with them. Returns
+   * the count actually set.
+   */
+  setCount(count) {
+    this.countOverride = count === null ? null : Math.max(0, Math.min(NPC_MAX_COUNT, Math.floor(count)));
+    return this.countOverride;
+  }
+
+  /**
+   * A population of `count` for an empty (or freshly emptied) world. Not
+   * charged to the budget.
+   */
+  populate(npcs, count = NPC_MIN_COUNT) {
+    const spawned = [];
+    const all = [...npcs];
+    for (let i = all.length; i < count; i++) {
+      const npc = this._spawn(all, []);
+      if (!npc) break;
+      all.push(npc);
+      spawned.push(npc);
+    }
+    return spawned;
+  }
+
+  /**
+   * Advances the budget and returns { spawned, retired }: new NPCs for the
+   * room to add and living ones it should remove. Dead kids don't count
+   * toward the population, so kills are replaced as the budget allows.
+   */
+  update(npcs, players, dt) {
+    this.budget = Math.min(NPC_SPAWN_BUDGET_MAX, this.budget + NPC_SPAWN_BUDGET_RATE * dt);
+    const spawned = [];
+    const retired = [];
+    const target = this.targetCount(players.length);
+    let living = 0;
+    for (const npc of npcs) if (npc.state !== "dead") living++;
+
+    const all = [...npcs];
+    while (living < target && this.budget >= 1) {
+      const npc = this._spawn(all, players);
+      if (!npc) break;
+      all.push(npc);
+      spawned.push(npc);
+      living++;
+      this.budget -= 1;
+    }
+
+    // Too many for the current crowd: quietly drop a calm kid nobody can see
+    this.retireTimer -= dt;
+    if (living > target && this.retireTimer <= 0) {
+      this.retireTimer = RETIRE_INTERVAL;
+      const npc = npcs.find(
+        (n) => n.state !== "dead" && n.state !== "flee" && !n.hostile && !players.some((p) => canSee(p, n.x, n.z)),
+      );
+      if (npc) retired.push(npc);
+    }
+
+    return { spawned, retired };
+  }
+
+  _pickZone() {
+    const total = this.zones.reduce((sum, zone) => sum + (zone.weight ?? 1), 0);
+    let roll = this.random() * total;
+    for (const zone of this.zones) {
+      roll -= zone.weight ?? 1;
+      if (roll < 0) return zone;
+    }
+    return this.zones[this.zones.length - 1];
+  }
+
+  // A spot in some zone that's clear of trunks, other kids and every boar's
+  // view, or null if none turned up this time
+  _findSpawnPoint(npcs, players) {
+    const spacingSq = NPC_SPAWN_SPACING * NPC_SPAWN_SPACING;
+    for (let attempt = 0; attempt < SPAWN_ATTEMPTS; attempt++) {
+      const zone = this._pickZone();
+      // Uniform over the disc rather than bunched at the centre
+      const angle = this.random() * Math.PI * 2;
+      const dist = Math.sqrt(this.random()) * zone.radius;
+      const x = zone.x + Math.cos(angle) * dist;
+      const z = zone.z + Math.sin(angle) * dist;
+
+      if (Math.abs(x) > SPAWN_LIMIT || Math.abs(z) > SPAWN_LIMIT) continue;
+      if (NAV_GRID.isBlocked(x, z)) continue;
+      if (npcs.some((n) => n.state !== "dead" && (n.x - x) ** 2 + (n.z - z) ** 2 < spacingSq)) continue;
+      if (players.some((p) => canSee(p, x, z))) continue;
+      return { x, z };
+    }
+    return null;
+  }
+
+  _spawn(npcs, players) {
+    const spot = this._findSpawnPoint(npcs, players);
+    if (!spot) return null;
+    return createNpc(this.nextIndex++, pickArchetype(this.spawnWeights, this.random), spot.x, spot.z, this.random);
+  }
+}
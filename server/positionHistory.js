@@ -0,0 +1,54 @@
+// =============================================================================
+// Position history
+// =============================================================================
+// Where every boar and kid was over the last moment, one frame per world
+// step, so an action can be checked against the world as the client saw it
+// (lag compensation). Clients render everyone else an interpolation delay in
+// the past, plus however long their message took to arrive.
+
+export class PositionHistory {
+  /**
+   * @param {number} duration — ms of history to keep
+   */
+  constructor(duration) {
+    this.duration = duration;
+    this.frames = []; // { time, positions: Map(id -> { x, z }) }, oldest first
+  }
+
+  /**
+   * Adds a frame. Ids are player and NPC ids, which never collide.
+   * @param {number} time
+   * @param {Iterable<{ id: string, x: number, z: number }>[]} groups
+   */
+  record(time, ...groups) {
+    const positions = new Map();
+    for (const group of groups) {
+      for (const { id, x, z } of group) positions.set(id, { x, z });
+    }
+    this.frames.push({ time, positions });
+    // Keep one frame older than the window so its start can be interpolated
+    while (this.frames.length > 2 && this.frames[1].time <= time - this.duration) this.frames.shift();
+  }
+
+  /**
+   * Where `id` was at `time`, interpolated between the frames either side.
+   * Before the oldest frame it's the oldest position; null if the entity
+   * isn't in the history, or `time` isn't before the newest frame (use the
+   * current position: players move between steps).
+   */
+  positionAt(id, time) {
+    const frames = this.frames;
+    if (!frames.length || time >= frames[frames.length - 1].time) return null;
+
+    let i = frames.length - 1;
+    while (i > 0 && frames[i - 1].time >= time) i--;
+    const after = frames[i];
+    const before = i > 0 ? frames[i - 1] : null;
+    const a = before?.positions.get(id);
+    const b = after.positions.get(id);
+    if (!a || !b) return b ?? a ?? null;
+
+    const t = (time - before.time) / (after.time - before.time);
+    return { x: a.x + (b.x - a.x) * t, z: a.z + (b.z - a.z) * t };
+  }
+}
@@ -0,0 +1,76 @@
+import { randomUUID } from "node:crypto";
+import { readJsonFile, writeJsonFile } from "./jsonFile.js";
+
+// Saves are coalesced: a burst of kills (e.g. one grenade taking out five
+// kids) becomes a single write instead of five.
+const SAVE_DELAY_MS = 2000;
+const TOKEN_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Player profiles (name, color, XP, level) persisted to a JSON file, keyed by
+ * an opaque token the client keeps in localStorage. The whole file is small
+ * enough to hold in memory and rewrite on change.
+ */
+export class ProfileStore {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.profiles = new Map();
+    this._saveTimer = null;
+  }
+
+  load() {
+    const data = readJsonFile(this.filePath);
+    if (!data) return;
+    for (const [token, profile] of Object.entries(data.profiles ?? {})) {
+      this.profiles.set(token, profile);
+    }
+  }
+
+  // The profile saved under `token`, or null for anything else
+  find(token) {
+    if (typeof token !== "string" || !TOKEN_PATTERN.test(token)) return null;
+    return this.profiles.get(token) ?? null;
+  }
+
+  /**
+   * Creates a fresh profile under a newly issued token. Clients never get to
+   * pick their own token.
+   */
+  create(defaults) {
+    const token = randomUUID();
+    const profile = { ...defaults, xp: 0, level: 1 };
+    this.profiles.set(token, profile);
+    this.scheduleSave();
+    return { token, profile };
+  }
+
+  update(token, fields) {
+    const profile = this.profiles.get(token);
+    if (!profile) return;
+    Object.assign(profile, fields);
+    this.scheduleSave();
+  }
+
+  reset(token) {
+    this.update(token, { xp: 0, level: 1 });
+  }
+
+  scheduleSave() {
+    if (this._saveTimer) return;
+    this._saveTimer = setTimeout(() => {
+      this._saveTimer = null;
+      this.save().catch((err) => console.error(`Failed to save profiles: ${err.message}`));
+    }, SAVE_DELAY_MS);
+  }
+
+  async flush() {
+    if (!this._saveTimer) return;
+    clearTimeout(this._saveTimer);
+    this._saveTimer = null;
+    await this.save();
+  }
+
+  save() {
+    return writeJsonFile(this.filePath, { profiles: Object.fromEntries(this.profiles) });
+  }
+}
@@ -0,0 +1,21 @@
+// =============================================================================
+// Seeded randomness
+// =============================================================================
+// Every random choice in the simulation (NPC spawns, behaviour timers, boar
+// respawn spots) draws from one of these instead of Math.random, so a World
+// created with the same seed and fed the same inputs plays out identically.
+
+/**
+ * Returns a Math.random-style function (floats in [0, 1)) seeded from a
+ * 32-bit integer. Mulberry32: tiny, fast and plenty random for gameplay.
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
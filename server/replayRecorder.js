@@ -0,0 +1,142 @@
+import { createWriteStream, mkdirSync } from "node:fs";
+import path from "node:path";
+import { createGzip } from "node:zlib";
+import { encodeSnapshot, quantizeEntity } from "../src/net/snapshotCodec.js";
+import {
+  REPLAY_EVENTS,
+  REPLAY_HEADER,
+  REPLAY_SNAPSHOT,
+  REPLAY_VERSION,
+  encodeReplayRecord,
+} from "../src/net/replayFormat.js";
+import { playerSpawnInfo, npcSpawnInfo } from "./world.js";
+
+// A full snapshot every 10s (at 20Hz) bounds how much playback decodes to seek
+const KEYFRAME_INTERVAL = 200;
+// Flushing the gzip stream now and then keeps a recording readable up to the
+// last flush if the server dies without closing it
+const FLUSH_INTERVAL = 100;
+
+/**
+ * Writes one room's matches to replay files (see src/net/replayFormat.js):
+ * a file per stretch of time with players in the room. Besides snapshots of
+ * the whole world it records the room's broadcast events, and works out
+ * joins, leaves, spawns and removals itself by comparing each tick's
+ * entities with the last, since clients only ever hear about those as
+ * interest changes.
+ */
+export class ReplayRecorder {
+  constructor({ dir, roomId, roomName, tickRate, log = () => {} }) {
+    this.dir = dir;
+    this.roomId = roomId;
+    this.roomName = roomName;
+    this.tickRate = tickRate;
+    this.log = log;
+    this._gzip = null;
+    this._closed = null; // resolves once the current file is fully written
+  }
+
+  get recording() {
+    return this._gzip !== null;
+  }
+
+  start() {
+    if (this.recording) return;
+    const startedAt = new Date();
+    const fileName = `${this.roomId}-${startedAt.toISOString().replace(/[:.]/g, "-")}.replay.gz`;
+    const filePath = path.join(this.dir, fileName);
+    try {
+      mkdirSync(this.dir, { recursive: true });
+    } catch (err) {
+      this.log(`Not recording a replay: ${err.message}`);
+      return;
+    }
+
+    const gzip = createGzip();
+    const file = createWriteStream(filePath);
+    gzip.pipe(file);
+    // A failed write only loses the replay, never the match
+    const fail = (err) => {
+      this.log(`Replay ${fileName} failed: ${err.message}`);
+      if (this._gzip === gzip) this._gzip = null;
+      gzip.destroy();
+    };
+    gzip.on("error", fail);
+    file.on("error", fail);
+    this._closed = new Promise((resolve) => file.on("close", resolve));
+
+    this._gzip = gzip;
+    this._startMs = Date.now();
+    this._tick = 0;
+    this._seq = 0;
+    this._baseline = null;
+    this._players = new Set(); // ids in the previous recorded tick
+    this._npcs = new Set();
+    this._events = [];
+
+    this._write(REPLAY_HEADER, {
+      version: REPLAY_VERSION,
+      room: this.roomId,
+      name: this.roomName,
+      startedAt: startedAt.toISOString(),
+      tickRate: this.tickRate,
+    });
+    this.log(`Recording replay ${fileName}`);
+  }
+
+  /** Ends the current file. The promise settles once it's on disk. */
+  stop() {
+    if (!this.recording) return Promise.resolve();
+    const gzip = this._gzip;
+    this._gzip = null;
+    gzip.end();
+    return this._closed;
+  }
+
+  // A broadcast message, written out with the next tick
+  recordEvent(msg) {
+    if (this.recording) this._events.push(msg);
+  }
+
+  recordTick(world) {
+    if (!this.recording) return;
+    const time = Date.now() - this._startMs;
+
+    // Arrivals come first so events can refer to them; departures last so
+    // the events that led to them (an NPC dying, say) come before
+    const players = new Set(world.players.keys());
+    const npcs = new Set(world.npcs.map((npc) => npc.id));
+    const events = [];
+    for (const p of world.players.values()) {
+      if (!this._players.has(p.id)) events.push({ type: "playerJoined", ...playerSpawnInfo(p) });
+    }
+    for (const npc of world.npcs) {
+      if (!this._npcs.has(npc.id)) events.push({ type: "npcSpawned", npc: npcSpawnInfo(npc) });
+    }
+    events.push(...this._events);
+    for (const id of this._players) {
+      if (!players.has(id)) events.push({ type: "playerLeft", id });
+    }
+    for (const npcId of this._npcs) {
+      if (!npcs.has(npcId)) events.push({ type: "npcRemoved", npcId });
+    }
+    this._players = players;
+    this._npcs = npcs;
+    this._events = [];
+    if (events.length) this._write(REPLAY_EVENTS, events, time);
+
+    const snapshot = { time, players: new Map(), npcs: new Map() };
+    for (const p of world.players.values()) snapshot.players.set(p.netId, quantizeEntity(p));
+    for (const npc of world.npcs) snapshot.npcs.set(npc.netId, quantizeEntity(npc));
+    const baseline = this._tick % KEYFRAME_INTERVAL === 0 ? null : this._baseline;
+    const seq = ++this._seq;
+    this._write(REPLAY_SNAPSHOT, encodeSnapshot(seq, baseline ? seq - 1 : 0, snapshot, baseline), time);
+    this._baseline = snapshot;
+
+    if (++this._tick % FLUSH_INTERVAL === 0) this._gzip?.flush();
+  }
+
+  _write(kind, payload, time = 0) {
+    this._gzip?.write(encodeReplayRecord(kind, time, payload));
+  }
+}
@@ -0,0 +1,641 @@
+import { serializeNpcs } from "./npcs.js";
+import { sanitizeChat } from "./sanitize.js";
+import { World, playerSpawnInfo, npcSpawnInfo } from "./world.js";
+import { ReplayRecorder } from "./replayRecorder.js";
+import { combineStats, createStats, totalKills } from "./stats.js";
+import { encodeSnapshot, quantizeEntity } from "../src/net/snapshotCodec.js";
+import { FIELD_SIZE, PLAYER_MAX_HP } from "../src/config.js";
+
+export const TICK_RATE = 20;
+
+// Chat has its own, much tighter budget than the per-connection message
+// limit: that one is sized for 20Hz state updates, but a player posting more
+// than a handful of lines is spam.
+const MAX_CHATS_PER_WINDOW = 5;
+const CHAT_WINDOW_MS = 8_000;
+
+// How many past snapshots are kept as delta baselines (1.6s at 20Hz). A
+// client whose last ack is older than this gets a full snapshot instead.
+const SNAPSHOT_HISTORY = 32;
+
+// Clients only hear about entities within INTEREST_RADIUS of their boar.
+// Something already in view stays until INTEREST_EXIT_RADIUS, so an entity
+// pacing along the edge doesn't pop in and out every tick.
+const INTEREST_RADIUS = 40;
+const INTEREST_EXIT_RADIUS = 46;
+
+// Whether a spot is close enough to a viewer that anything there could be in
+// its view: the same distance updateInterest lets known entities stay at
+function inInterestRange(viewer, { x, z }) {
+  const dx = x - viewer.x;
+  const dz = z - viewer.z;
+  return dx * dx + dz * dz <= INTEREST_EXIT_RADIUS * INTEREST_EXIT_RADIUS;
+}
+
+// How long a dropped player's boar, slot and id are held for them to resume
+export const RECONNECT_GRACE_MS = 30_000;
+
+// What a player sends that the world (world.js) handles
+const WORLD_MESSAGES = new Set(["input", "state", "ability", "attack", "grenade"]);
+
+// Messages addressed to one player that spectators following them also get,
+// so their HUD shows that player's XP and health
+const SPECTATED_EVENTS = new Set(["xpGained", "playerDamaged", "playerHealed", "profileReset"]);
+
+/**
+ * One independent world on the network: wraps a World (world.js, the game
+ * rules) with its players' sockets, ticking it on its own timer and turning
+ * its events into messages. The connection layer in index.js handles sockets,
+ * rate limits and profiles, then hands parsed messages to the player's room.
+ */
+export class Room {
+  constructor({
+    id,
+    name,
+    maxPlayers,
+    maxSpectators,
+    profiles,
+    moderation = null,
+    onChatCommand = null,
+    npcSpawnWeights,
+    npcSpawnZones,
+    grenadeCharges,
+    replayDir = null,
+    seed = (Math.random() * 2 ** 32) >>> 0,
+  }) {
+    this.id = id;
+    this.name = name;
+    this.maxPlayers = maxPlayers;
+    this.maxSpectators = maxSpectators;
+    this.profiles = profiles;
+    // Mutes (moderation.js), and where chat slash commands go: called with
+    // (room, player, text), it returns the reply for the player
+    this.moderation = moderation;
+    this.onChatCommand = onChatCommand;
+    // The world runs on the snapshot clock, so the render times clients send
+    // back with their actions (see World's "attack") are on its timeline
+    this.clockStart = Date.now();
+    this.world = new World({ seed, now: () => Date.now() - this.clockStart, log: (message) => this.log(message), npcSpawnWeights, npcSpawnZones, grenadeCharges });
+    // The world's player records, which also carry each player's connection
+    this.players = this.world.players;
+    // Connections watching without a boar; see spectate()
+    this.spectators = new Map();
+    this.snapshotSeq = 0;
+    // With a replay directory, every stretch of time with players in the room
+    // is recorded to its own file
+    this.recorder = replayDir
+      ? new ReplayRecorder({ dir: replayDir, roomId: id, roomName: name, tickRate: TICK_RATE, log: (message) => this.log(message) })
+      : null;
+    this._interval = null;
+  }
+
+  get isFull() {
+    return this.players.size >= this.maxPlayers;
+  }
+
+  get isFullOfSpectators() {
+    return this.spectators.size >= this.maxSpectators;
+  }
+
+  summary() {
+    return {
+      id: this.id,
+      name: this.name,
+      players: this.players.size,
+      maxPlayers: this.maxPlayers,
+      spectators: this.spectators.size,
+      maxSpectators: this.maxSpectators,
+    };
+  }
+
+  // Live session stats for everyone in the room, best first
+  scoreboard() {
+    return [...this.players.values()]
+      .map((p) => ({ id: p.id, name: p.name, level: p.level, ...p.stats }))
+      .sort((a, b) => totalKills(b) - totalKills(a) || b.xpEarned - a.xpEarned);
+  }
+
+  // Everyone who gets snapshots and broadcasts: players, then spectators
+  *viewers() {
+    yield* this.players.values();
+    yield* this.spectators.values();
+  }
+
+  log(message) {
+    console.log(`[${this.id}] ${message}`);
+  }
+
+  start() {
+    const tickDt = 1 / TICK_RATE;
+    this._interval = setInterval(() => this.tick(tickDt), 1000 / TICK_RATE);
+  }
+
+  // Resolves once any replay being recorded is written out
+  stop() {
+    clearInterval(this._interval);
+    this._interval = null;
+    return this.recorder?.stop();
+  }
+
+  /**
+   * Adds a player whose profile has already been resolved and sends them the
+   * "joined" snapshot. Others nearby see them on their next interest update.
+   */
+  join(ws, playerId, { ip, token, profile, binarySnapshots, serverMovement }) {
+    this.recorder?.start();
+    const player = this.world.join(playerId, profile);
+    Object.assign(player, {
+      token,
+      // The profile's totals before this session; its stats are added on top
+      allTimeStats: profile.stats ?? createStats(),
+      chatWindowStart: 0,
+      chatCount: 0,
+      disconnectedAt: 0,
+      ws: null,
+    });
+    this.attach(player, ws, { ip, binarySnapshots, serverMovement });
+    this.sendJoined(player, false);
+
+    this.log(`Player "${player.name}" joined (id=${playerId}). ${this.players.size}/${this.maxPlayers} online.`);
+  }
+
+  // The player whose profile token this is, connected or within their grace
+  // period
+  findByToken(token) {
+    for (const p of this.players.values()) {
+      if (p.token === token) return p;
+    }
+    return null;
+  }
+
+  /**
+   * Hands a player's existing slot to a new socket: either a reconnect during
+   * the grace period, or a client replacing a connection the server hasn't
+   * noticed is dead yet. Everyone else already knows this player, so nothing
+   * changes for them.
+   */
+  resume(player, ws, { ip, binarySnapshots, serverMovement }) {
+    const oldWs = player.ws;
+    this.attach(player, ws, { ip, binarySnapshots, serverMovement });
+    // Its close handler finds a different socket attached and does nothing
+    oldWs?.close();
+    this.sendJoined(player, true);
+    this.log(`Player "${player.name}" reconnected (id=${player.id}).`);
+  }
+
+  // Resets everything that belongs to a connection rather than the player:
+  // snapshot acks, input sequence numbers and what the client has been told
+  // about start over with each socket.
+  attach(player, ws, { ip, binarySnapshots, serverMovement }) {
+    Object.assign(player, {
+      ws,
+      ip,
+      disconnectedAt: 0,
+      binarySnapshots,
+      ackSeq: 0,
+      snapshotHistory: new Map(), // seq -> the snapshot as this client saw it
+      interest: { players: new Set(), npcs: new Set() }, // ids the client knows about
+    });
+    this.world.resetInput(player.id, serverMovement);
+  }
+
+  // The joined payload lists what's in view right now; interest updates take
+  // it from there
+  sendJoined(player, resumed) {
+    const { players, npcs } = this.updateInterest(player);
+    this.sendTo(player, {
+      type: "joined",
+      id: player.id,
+      netId: player.netId,
+      room: this.id,
+      resumed,
+      snapshots: player.binarySnapshots ? "binary" : "json",
+      movement: player.serverMovement ? "input" : "state",
+      token: player.token,
+      name: player.name,
+      color: player.color,
+      xp: player.xp,
+      level: player.level,
+      hp: player.hp,
+      maxHp: PLAYER_MAX_HP,
+      dead: player.dead,
+      respawnIn: player.dead ? player.respawnTimer : 0,
+      stats: player.stats,
+      cooldowns: this.world.cooldowns(player),
+      ...this.world.grenadeStatus(player),
+      x: player.x,
+      y: player.y,
+      z: player.z,
+      ry: player.ry,
+      players: players.entered.map(playerSpawnInfo),
+      npcs: npcs.entered.map(npcSpawnInfo),
+    });
+  }
+
+  /**
+   * Adds a spectator: a connection watching the room without a boar or a
+   * profile, in its own pool of slots. Spectators hear about every player, so
+   * they can cycle through them, and about the NPCs around whoever they
+   * follow (or their free camera).
+   */
+  spectate(ws, spectatorId, { ip, binarySnapshots }) {
+    const spectator = {
+      id: spectatorId,
+      spectator: true,
+      ws,
+      ip,
+      binarySnapshots,
+      follow: null, // player id, or null for the free camera at x/z
+      x: 0,
+      z: 0,
+      ackSeq: 0,
+      snapshotHistory: new Map(),
+      interest: { players: new Set(), npcs: new Set() },
+    };
+    this.spectators.set(spectatorId, spectator);
+
+    const { players, npcs } = this.updateInterest(spectator);
+    this.sendTo(spectator, {
+      type: "joined",
+      id: spectatorId,
+      room: this.id,
+      spectating: true,
+      snapshots: binarySnapshots ? "binary" : "json",
+      maxHp: PLAYER_MAX_HP,
+      players: players.entered.map(playerSpawnInfo),
+      npcs: npcs.entered.map(npcSpawnInfo),
+    });
+    this.log(`Spectator joined (id=${spectatorId}). ${this.spectators.size}/${this.maxSpectators} watching.`);
+  }
+
+  // Spectators have no boar to hold, so they're gone as soon as they drop
+  removeSpectator(spectatorId, ws) {
+    const spectator = this.spectators.get(spectatorId);
+    if (!spectator || spectator.ws !== ws) return;
+    this.spectators.delete(spectatorId);
+    this.log(`Spectator left (id=${spectatorId}). ${this.spectators.size}/${this.maxSpectators} watching.`);
+  }
+
+  /**
+   * A spectator picks who to follow ({ type: "spectate", follow: playerId })
+   * or where its free camera is ({ type: "spectate", x, z }). Following
+   * someone new sends their HUD stats; SPECTATED_EVENTS keep them current.
+   */
+  handleSpectatorMessage(spectatorId, ws, msg) {
+    const spectator = this.spectators.get(spectatorId);
+    if (!spectator || spectator.ws !== ws) return;
+
+    if (msg.type === "spectate") {
+      const player = this.players.get(msg.follow);
+      if (!player) {
+        const x = Number(msg.x);
+        const z = Number(msg.z);
+        spectator.follow = null;
+        if (Number.isFinite(x) && Number.isFinite(z)) {
+          const half = FIELD_SIZE / 2;
+          spectator.x = Math.max(-half, Math.min(half, x));
+          spectator.z = Math.max(-half, Math.min(half, z));
+        }
+        return;
+      }
+      if (spectator.follow === player.id) return;
+      spectator.follow = player.id;
+      this.sendTo(spectator, {
+        type: "following",
+        id: player.id,
+        name: player.name,
+        xp: player.xp,
+        level: player.level,
+        hp: player.hp,
+        maxHp: PLAYER_MAX_HP,
+        dead: player.dead,
+        respawnIn: player.dead ? player.respawnTimer : 0,
+      });
+    }
+
+    if (msg.type === "ack") this.handleAck(spectator, msg);
+  }
+
+  // A dropped socket doesn't free the slot straight away: the boar stays in
+  // the world (idle, still hittable) for RECONNECT_GRACE_MS so the client can
+  // resume. `ws` guards against a stale socket closing after a resume.
+  disconnect(playerId, ws) {
+    const player = this.players.get(playerId);
+    if (!player || player.ws !== ws) return;
+    player.ws = null;
+    player.disconnectedAt = Date.now();
+    if (!player.dead) player.anim = "idle";
+    this.log(`Player "${player.name}" disconnected (id=${playerId}). Holding their slot for ${RECONNECT_GRACE_MS / 1000}s.`);
+  }
+
+  leave(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    this.log(`Player "${player.name}" left (id=${playerId}). ${this.players.size - 1}/${this.maxPlayers} online.`);
+    this.world.leave(playerId);
+  }
+
+  handleMessage(playerId, ws, msg, nowMs) {
+    const player = this.players.get(playerId);
+    // Ignore stragglers from a socket that has since been replaced by a resume
+    if (!player || player.ws !== ws) return;
+
+    if (WORLD_MESSAGES.has(msg.type)) {
+      this.world.applyInput(playerId, msg);
+      this.dispatch(this.world.drainEvents());
+    }
+
+    if (msg.type === "chat") {
+      const text = sanitizeChat(msg.text);
+      if (!text) return;
+
+      if (nowMs - player.chatWindowStart >= CHAT_WINDOW_MS) {
+        player.chatWindowStart = nowMs;
+        player.chatCount = 0;
+      }
+      // Logged-in admins (admin.js) can run commands back to back; everyone
+      // else's /login attempts are throttled like any other line
+      if (!player.admin && ++player.chatCount > MAX_CHATS_PER_WINDOW) {
+        this.sendTo(player, { type: "chatNotice", text: "You're sending messages too fast." });
+        return;
+      }
+
+      // Commands are answered privately and never reach the room
+      if (text.startsWith("/")) {
+        const reply = this.onChatCommand?.(this, player, text) ?? "Unknown command.";
+        this.sendTo(player, { type: "chatNotice", text: reply });
+        return;
+      }
+      if (this.moderation?.isMuted(player.token)) {
+        this.sendTo(player, { type: "chatNotice", text: "You're muted." });
+        return;
+      }
+
+      const chat = { type: "chat", id: playerId, name: player.name, text };
+      this.broadcast(chat);
+      this.recorder?.recordEvent(chat);
+    }
+
+    if (msg.type === "ack") this.handleAck(player, msg);
+
+    if (msg.type === "resetProfile") {
+      this.profiles.reset(player.token);
+      this.world.resetProgress(playerId);
+      this.dispatch(this.world.drainEvents());
+      this.log(`Player "${player.name}" (id=${playerId}) reset their profile.`);
+    }
+  }
+
+  handleAck(viewer, msg) {
+    const seq = Number(msg.seq);
+    if (Number.isInteger(seq) && seq > viewer.ackSeq && seq <= this.snapshotSeq) {
+      viewer.ackSeq = seq;
+    }
+  }
+
+  // Kicked players leave immediately rather than getting a reconnect grace
+  kick(player, reason) {
+    this.log(`Kicking "${player.name}" (id=${player.id}, ip=${player.ip}): ${reason}`);
+    this.sendTo(player, { type: "kicked", reason });
+    player.ws?.close();
+    this.leave(player.id);
+  }
+
+  // Kicks everyone connected from `ip`, players and spectators alike, and
+  // returns how many that was
+  kickIp(ip, reason) {
+    let count = 0;
+    for (const player of [...this.players.values()]) {
+      if (player.ip !== ip) continue;
+      this.kick(player, reason);
+      count++;
+    }
+    for (const spectator of [...this.spectators.values()]) {
+      if (spectator.ip !== ip) continue;
+      this.sendTo(spectator, { type: "kicked", reason });
+      spectator.ws.close();
+      this.removeSpectator(spectator.id, spectator.ws);
+      count++;
+    }
+    return count;
+  }
+
+  sendTo(player, msg) {
+    if (player.ws?.readyState === 1) {
+      player.ws.send(JSON.stringify(msg));
+    }
+  }
+
+  broadcast(msg, excludeId = null) {
+    const data = JSON.stringify(msg);
+    for (const p of this.viewers()) {
+      if (p.id !== excludeId && p.ws?.readyState === 1) {
+        p.ws.send(data);
+      }
+    }
+  }
+
+  /**
+   * Delivers world events: ones with `to` go to that player, the rest to
+   * whoever they concern (see announce). A few also have side effects out
+   * here. Replays record every broadcast, wherever it happened.
+   */
+  dispatch(events) {
+    for (const { to, except, near, about, ...msg } of events) {
+      if (to === undefined) {
+        this.announce(msg, { except, near, about });
+        this.recorder?.recordEvent(msg);
+        continue;
+      }
+      const player = this.players.get(to);
+      if (!player) continue;
+      if (msg.type === "kicked") {
+        this.kick(player, msg.reason);
+        continue;
+      }
+      // XP only ever changes in the world; persist it as it's announced
+      if (msg.type === "xpGained") this.profiles.update(player.token, { xp: msg.xp, level: msg.level });
+      if (msg.type === "statsUpdated") {
+        this.profiles.update(player.token, { stats: combineStats(player.allTimeStats, msg.stats) });
+      }
+      this.sendTo(player, msg);
+      if (SPECTATED_EVENTS.has(msg.type)) {
+        for (const s of this.spectators.values()) {
+          if (s.follow === to) this.sendTo(s, msg);
+        }
+      }
+    }
+  }
+
+  /**
+   * A world event for more than one viewer. With `near`, only viewers close
+   * enough to have that spot in view get it; with `about`, that player and
+   * viewers who have them in view. Without either it's news for everyone
+   * (but `except`).
+   */
+  announce(msg, { except = null, near, about }) {
+    const data = JSON.stringify(msg);
+    for (const viewer of this.viewers()) {
+      if (viewer.id === except || viewer.ws?.readyState !== 1) continue;
+      if (near && !inInterestRange(viewer, near)) continue;
+      if (about !== undefined && viewer.id !== about && !viewer.interest.players.has(about)) continue;
+      viewer.ws.send(data);
+    }
+  }
+
+  // Tick: advance the world and send everyone what changed near them
+  tick(tickDt) {
+    // Give up on players who dropped and didn't come back
+    const nowMs = Date.now();
+    for (const p of [...this.players.values()]) {
+      if (!p.ws && nowMs - p.disconnectedAt > RECONNECT_GRACE_MS) this.leave(p.id);
+    }
+
+    this.dispatch(this.world.step(tickDt));
+    this.recorder?.recordTick(this.world);
+    if (this.players.size === 0) this.recorder?.stop();
+    if (this.players.size === 0 && this.spectators.size === 0) return;
+
+    // Spectators see what's around whoever they follow
+    for (const s of this.spectators.values()) {
+      const followed = this.players.get(s.follow);
+      if (followed) {
+        s.x = followed.x;
+        s.z = followed.z;
+      } else {
+        s.follow = null;
+      }
+    }
+
+    this.sendInterestUpdates();
+    this.broadcastSnapshot();
+  }
+
+  // =============================================================================
+  // Interest management
+  // =============================================================================
+  // An entity entering a client's area arrives exactly like a new one would
+  // ("playerJoined" / "npcSpawned" with its spawn info), and one leaving it —
+  // or leaving the world — like "playerLeft" / "npcRemoved". Clients don't
+  // need to tell the two apart.
+
+  /**
+   * Recomputes which players and NPCs `player`'s client should know about.
+   * `player` can also be a spectator, who always knows every player.
+   * Returns { players, npcs }, each { entered: entity[], left: id[] }.
+   */
+  updateInterest(player) {
+    const { interest } = player;
+    const enterSq = INTEREST_RADIUS * INTEREST_RADIUS;
+    const inView = (known, entity) => {
+      const dx = entity.x - player.x;
+      const dz = entity.z - player.z;
+      return known.has(entity.id) || dx * dx + dz * dz <= enterSq;
+    };
+
+    const players = new Map();
+    if (player.spectator) {
+      for (const p of this.players.values()) players.set(p.id, p);
+    } else {
+      for (const p of this.world.playerGrid.queryRadius(player.x, player.z, INTEREST_EXIT_RADIUS)) {
+        // The grid can still hold someone who left since it was built
+        if (p !== player && this.players.get(p.id) === p && inView(interest.players, p)) players.set(p.id, p);
+      }
+    }
+    const npcs = new Map();
+    for (const npc of this.world.npcGrid.queryRadius(player.x, player.z, INTEREST_EXIT_RADIUS)) {
+      if (inView(interest.npcs, npc)) npcs.set(npc.id, npc);
+    }
+
+    const diff = (known, current) => {
+      const entered = [...current.values()].filter((e) => !known.has(e.id));
+      const left = [...known].filter((id) => !current.has(id));
+      return { entered, left };
+    };
+    const changes = { players: diff(interest.players, players), npcs: diff(interest.npcs, npcs) };
+    interest.players = new Set(players.keys());
+    interest.npcs = new Set(npcs.keys());
+    return changes;
+  }
+
+  sendInterestUpdates() {
+    for (const p of this.viewers()) {
+      if (p.ws?.readyState !== 1) continue;
+      const { players, npcs } = this.updateInterest(p);
+      for (const id of players.left) this.sendTo(p, { type: "playerLeft", id });
+      for (const other of players.entered) this.sendTo(p, { type: "playerJoined", ...playerSpawnInfo(other) });
+      for (const npcId of npcs.left) this.sendTo(p, { type: "npcRemoved", npcId });
+      for (const npc of npcs.entered) this.sendTo(p, { type: "npcSpawned", npc: npcSpawnInfo(npc) });
+    }
+  }
+
+  // Each entity is quantized once per tick; clients then get the subset
+  // their interest covers
+  captureSnapshot() {
+    const snapshot = { time: this.world.now(), players: new Map(), npcs: new Map() };
+    for (const p of this.players.values()) snapshot.players.set(p.id, quantizeEntity(p));
+    for (const npc of this.world.npcs) snapshot.npcs.set(npc.id, quantizeEntity(npc));
+    return snapshot;
+  }
+
+  // The slice of a captured snapshot one client is told about, keyed by net id
+  // like the wire format. A player's own boar is always included.
+  filterSnapshot(snapshot, player) {
+    const filtered = { time: snapshot.time, players: new Map(), npcs: new Map() };
+    if (!player.spectator) filtered.players.set(player.netId, snapshot.players.get(player.id));
+    for (const id of player.interest.players) {
+      const other = this.players.get(id);
+      if (other) filtered.players.set(other.netId, snapshot.players.get(id));
+    }
+    for (const npc of this.world.npcs) {
+      if (player.interest.npcs.has(npc.id)) filtered.npcs.set(npc.netId, snapshot.npcs.get(npc.id));
+    }
+    return filtered;
+  }
+
+  // Legacy clients get a JSON "positions" message; binary clients get a
+  // snapshot delta-encoded against the last one they acked. Both only cover
+  // what's in the client's interest, so each client's baselines are its own.
+  broadcastSnapshot() {
+    const seq = ++this.snapshotSeq;
+    const snapshot = this.captureSnapshot();
+
+    for (const p of this.viewers()) {
+      if (p.ws?.readyState !== 1) continue;
+
+      if (!p.binarySnapshots) {
+        p.ws.send(this.serializePositions(seq, snapshot.time, p));
+        continue;
+      }
+
+      const filtered = this.filterSnapshot(snapshot, p);
+      p.snapshotHistory.set(seq, filtered);
+      p.snapshotHistory.delete(seq - SNAPSHOT_HISTORY);
+      const baseline = p.snapshotHistory.get(p.ackSeq) ?? null;
+      p.ws.send(encodeSnapshot(seq, baseline ? p.ackSeq : 0, filtered, baseline));
+    }
+  }
+
+  serializePositions(seq, time, player) {
+    const playerStates = [];
+    for (const [id, p] of this.players) {
+      if (p !== player && !player.interest.players.has(id)) continue;
+      playerStates.push({
+        id: p.id,
+        x: p.x,
+        y: p.y,
+        z: p.z,
+        ry: p.ry,
+        anim: p.anim,
+      });
+    }
+
+    return JSON.stringify({
+      type: "positions",
+      seq,
+      time,
+      players: playerStates,
+      npcs: serializeNpcs(this.world.npcs.filter((npc) => player.interest.npcs.has(npc.id))),
+    });
+  }
+}
@@ -0,0 +1,35 @@
+import { CHAT_MAX_LENGTH } from "../src/config.js";
+
+// =============================================================================
+// Client input sanitization
+// =============================================================================
+// The legit client clamps the name to 16 chars (Menu.svelte maxlength) and only
+// sends a hex color from BOAR_COLOR_PRESETS. A crafted join could otherwise send
+// a multi-KB name — which renders as a giant nametag sprite for EVERY player
+// (the nametag canvas is sized to measureText(name).width) — or a bogus color
+// string. Coerce both to the shape the real client produces.
+const MAX_NAME_LENGTH = 16;
+const DEFAULT_NAME = "Player";
+const DEFAULT_COLOR = "#ffffff";
+const HEX_COLOR = /^#(?:[0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+export function sanitizeName(raw) {
+  if (typeof raw !== "string") return DEFAULT_NAME;
+  // Strip control chars (newlines/tabs would distort the nametag canvas), trim,
+  // then clamp to the client's maxlength.
+  const cleaned = raw.replace(/[\x00-\x1f\x7f]/g, "").trim().slice(0, MAX_NAME_LENGTH);
+  return cleaned || DEFAULT_NAME;
+}
+
+export function sanitizeColor(raw) {
+  return typeof raw === "string" && HEX_COLOR.test(raw) ? raw : DEFAULT_COLOR;
+}
+
+// Chat text gets the same treatment as names: no control chars (they'd break
+// the chat log and speech bubbles), trimmed, clamped. Returns null for
+// anything that ends up empty so the caller can just drop it.
+export function sanitizeChat(raw) {
+  if (typeof raw !== "string") return null;
+  const cleaned = raw.replace(/[\x00-\x1f\x7f]/g, "").trim().slice(0, CHAT_MAX_LENGTH);
+  return cleaned || null;
+}
@@ -0,0 +1,58 @@
+// =============================================================================
+// Spatial grid
+// =============================================================================
+// Uniform buckets over the square field for "what's near this point" queries.
+// Rooms rebuild one per entity kind every tick (entities move constantly and
+// there are only a few dozen of them, so rebuilding beats tracking moves).
+// Anything with x/z works; positions outside the field land in the edge cells.
+
+export class SpatialGrid {
+  /**
+   * @param {number} halfSize — half the field's side length
+   * @param {number} cellSize
+   */
+  constructor(halfSize, cellSize) {
+    this.halfSize = halfSize;
+    this.cellSize = cellSize;
+    this.size = Math.ceil((halfSize * 2) / cellSize);
+    this.cells = Array.from({ length: this.size * this.size }, () => []);
+  }
+
+  toCell(v) {
+    return Math.max(0, Math.min(this.size - 1, Math.floor((v + this.halfSize) / this.cellSize)));
+  }
+
+  clear() {
+    for (const cell of this.cells) cell.length = 0;
+  }
+
+  insert(entity) {
+    this.cells[this.toCell(entity.z) * this.size + this.toCell(entity.x)].push(entity);
+  }
+
+  rebuild(entities) {
+    this.clear();
+    for (const entity of entities) this.insert(entity);
+  }
+
+  /**
+   * Every entity within `radius` of (x, z), appended to `out`.
+   */
+  queryRadius(x, z, radius, out = []) {
+    const radiusSq = radius * radius;
+    const minCol = this.toCell(x - radius);
+    const maxCol = this.toCell(x + radius);
+    const minRow = this.toCell(z - radius);
+    const maxRow = this.toCell(z + radius);
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        for (const entity of this.cells[row * this.size + col]) {
+          const dx = entity.x - x;
+          const dz = entity.z - z;
+          if (dx * dx + dz * dz <= radiusSq) out.push(entity);
+        }
+      }
+    }
+    return out;
+  }
+}
@@ -0,0 +1,58 @@
+// =============================================================================
+// Player stats
+// =============================================================================
+// The World tallies these per session (a boar's time in a world, from join to
+// leave); the room folds each session into the profile's all-time totals. Both
+// feed the scoreboard and the /api/leaderboard endpoint.
+
+// How many profiles each all-time board lists
+const LEADERBOARD_SIZE = 10;
+
+export function createStats() {
+  return {
+    phoneKills: 0,
+    grenadeKills: 0,
+    abilityKills: 0, // with the unlockable abilities (tablet, hotspot...)
+    bestMultiKill: 0, // most kids taken out by a single grenade
+    xpEarned: 0,
+  };
+}
+
+// All-time totals after a session: counts add up, records keep the best.
+// Totals saved before a stat existed count it from zero.
+export function combineStats(savedAllTime, session) {
+  const allTime = { ...createStats(), ...savedAllTime };
+  return {
+    phoneKills: allTime.phoneKills + session.phoneKills,
+    grenadeKills: allTime.grenadeKills + session.grenadeKills,
+    abilityKills: allTime.abilityKills + session.abilityKills,
+    bestMultiKill: Math.max(allTime.bestMultiKill, session.bestMultiKill),
+    xpEarned: allTime.xpEarned + session.xpEarned,
+  };
+}
+
+export function totalKills(stats) {
+  return stats.phoneKills + stats.grenadeKills + stats.abilityKills;
+}
+
+/**
+ * The all-time boards: the top profiles by kills, by XP earned and by
+ * biggest grenade multi-kill. Profiles that never scored don't place.
+ * @param {Iterable<{ name: string, level: number, stats?: object }>} profiles
+ */
+export function buildLeaderboards(profiles) {
+  const entries = [];
+  for (const { name, level, stats } of profiles) {
+    if (stats) entries.push({ name, level, ...createStats(), ...stats });
+  }
+  const top = (score) =>
+    entries
+      .filter((e) => score(e) > 0)
+      .sort((a, b) => score(b) - score(a))
+      .slice(0, LEADERBOARD_SIZE);
+  return {
+    kills: top(totalKills),
+    xp: top((e) => e.xpEarned),
+    multiKill: top((e) => e.bestMultiKill),
+  };
+}
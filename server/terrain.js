@@ -0,0 +1,29 @@
+import { readFileSync } from "node:fs";
+import { buildTreeColliders } from "../src/sim/treeColliders.js";
+import { FIELD_SIZE, GROUND_Y, TREE_COUNT, NPC_RADIUS } from "../src/config.js";
+import { NavGrid } from "./navGrid.js";
+
+// The same baked tree layout the client renders (src/data/treeSpawns.json),
+// reduced to the collision circles the movement simulation needs.
+const treeSpawns = JSON.parse(readFileSync(new URL("../src/data/treeSpawns.json", import.meta.url), "utf8"));
+
+export const TREE_COLLIDERS = buildTreeColliders(treeSpawns.trees.slice(0, TREE_COUNT));
+
+// Matches what createEnvironment hands the client's controller
+export const MOVEMENT_WORLD = {
+  groundY: GROUND_Y,
+  boundsHalfSize: FIELD_SIZE / 2,
+  treeColliders: TREE_COLLIDERS,
+};
+
+// Walkable cells for server-side agents, shared by every room. Cells keep a
+// little more than an NPC's radius clear of each trunk so paths don't graze bark.
+const NAV_CELL_SIZE = 1;
+const NAV_CLEARANCE = NPC_RADIUS + 0.25;
+
+export const NAV_GRID = new NavGrid({
+  halfSize: FIELD_SIZE / 2,
+  cellSize: NAV_CELL_SIZE,
+  colliders: TREE_COLLIDERS,
+  clearance: NAV_CLEARANCE,
+});
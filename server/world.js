@@ -0,0 +1,714 @@
+import {
+  updateNpcs,
+  hitNpc,
+  shouldDespawn,
+  killNpc,
+  findNpcAttacks,
+} from "./npcs.js";
+import { PopulationDirector } from "./populationDirector.js";
+import { SpatialGrid } from "./spatialGrid.js";
+import { MOVEMENT_WORLD } from "./terrain.js";
+import { validateStateUpdate } from "./movementValidation.js";
+import { createRandom } from "./random.js";
+import { createStats } from "./stats.js";
+import { PositionHistory } from "./positionHistory.js";
+import {
+  MOVE_STEP,
+  movementAnim,
+  resetMovement,
+  stepMovement,
+  unpackInputFrame,
+} from "../src/sim/movement.js";
+import {
+  ABILITIES,
+  FIELD_SIZE,
+  GRENADE_RECHARGE_TIME,
+  GRENADE_FUSE,
+  GRENADE_EXPLOSION_RADIUS,
+  GRENADE_PLAYER_DAMAGE,
+  GROUND_Y,
+  PHONE_FLIGHT_TIME,
+  PLAYER_MAX_HP,
+  PLAYER_RESPAWN_DELAY,
+  PLAYER_RESPAWN_RADIUS,
+  findAbility,
+  levelForXp,
+} from "../src/config.js";
+
+// Input frames are only simulated as fast as real time allows: each one costs
+// MOVE_STEP seconds of budget, which refills with wall-clock time. The cap
+// absorbs network bunching without letting a client bank a burst of speed.
+const INPUT_BUDGET_MAX = 0.5;
+const MAX_INPUT_FRAMES_PER_MESSAGE = 30;
+
+// Legacy "state" updates that fail validation earn a strike; this many within
+// the decay window gets the player kicked. Updates still in flight when a
+// correction goes out are dropped quietly for a grace period instead of each
+// costing another strike.
+const MAX_MOVEMENT_STRIKES = 8;
+const STRIKE_DECAY_MS = 30_000;
+const CORRECTION_GRACE_MS = 1_000;
+
+const SPATIAL_CELL_SIZE = 8;
+
+// Abilities aimed at a kid are range-checked against positions as the player
+// saw them, rewinding by at most this much. Covers the client's interpolation
+// delay plus a generous one-way trip; older claims are checked as of this far
+// back.
+const MAX_REWIND_MS = 400;
+// Positions on the client are interpolated and quantized, so a throw it
+// allowed at the very edge of range can come out slightly long here
+const ATTACK_RANGE_SLACK = 0.5;
+// Two uses a cooldown apart can arrive closer together after network jitter;
+// the server only insists on ability cooldowns less this
+const COOLDOWN_SLACK = 0.25;
+
+/**
+ * The game rules for one world, with no sockets, timers or persistence: boars
+ * join and leave, their messages come in through applyInput, and step(dt)
+ * advances NPCs, grenades and respawns. Everything that happens comes back
+ * out as events — plain objects shaped like the wire messages, with `to` set
+ * for ones meant for a single player and `except` for broadcasts that skip
+ * one. Broadcasts that only matter nearby say where (`near: { x, z }`) or
+ * which player they're about (`about`); the rest are for everyone. Room
+ * (room.js) wraps a World with the networking.
+ *
+ * All randomness comes from `seed`, and time from `now` (defaulting to the
+ * simulated clock), so the same seed and inputs always play out the same.
+ */
+export class World {
+  /**
+   * @param {{ seed?: number, now?: () => number, log?: (message: string) => void,
+   *   npcSpawnWeights?: object, npcSpawnZones?: object[], grenadeCharges?: number }} options
+   *   `now` returns milliseconds; rooms pass their snapshot clock so input
+   *   budgets and movement checks follow real time. `grenadeCharges` caps the
+   *   grenades each boar carries; without it they're limited by cooldown alone.
+   */
+  constructor({ seed = 1, now, log = () => {}, npcSpawnWeights, npcSpawnZones, grenadeCharges = null } = {}) {
+    this.random = createRandom(seed);
+    this.time = 0; // ms of simulated time
+    this.now = now ?? (() => this.time);
+    this.log = log;
+    this.grenadeCharges = grenadeCharges;
+    this.events = [];
+    this.players = new Map();
+    this.nextNetId = 1;
+    this.population = new PopulationDirector({ zones: npcSpawnZones, spawnWeights: npcSpawnWeights, random: this.random });
+    this.npcs = [];
+    for (const npc of this.population.populate(this.npcs)) this.addNpc(npc);
+    this.pendingGrenades = []; // { timer, x, z, attackerId }
+    this.pendingPhones = []; // { timer, ability, npcId, attacker: { id, x, y, z } }
+    this.history = new PositionHistory(MAX_REWIND_MS);
+    // Rebuilt every step; see rebuildGrids()
+    this.playerGrid = new SpatialGrid(FIELD_SIZE / 2, SPATIAL_CELL_SIZE);
+    this.npcGrid = new SpatialGrid(FIELD_SIZE / 2, SPATIAL_CELL_SIZE);
+    this.rebuildGrids();
+  }
+
+  // Small integer ids for the binary snapshot protocol (u16 on the wire).
+  // Wrapping is fine: an id is only reused after 65k spawns in one world.
+  allocateNetId() {
+    const netId = this.nextNetId;
+    this.nextNetId = (this.nextNetId % 0xffff) + 1;
+    return netId;
+  }
+
+  emit(event) {
+    this.events.push(event);
+  }
+
+  // Everything emitted since the last call
+  drainEvents() {
+    const events = this.events;
+    this.events = [];
+    return events;
+  }
+
+  addNpc(npc) {
+    npc.netId = this.allocateNetId();
+    this.npcs.push(npc);
+  }
+
+  removeNpc(npc) {
+    const index = this.npcs.indexOf(npc);
+    if (index >= 0) this.npcs.splice(index, 1);
+  }
+
+  /**
+   * Sets how many kids the world keeps around (null: scale with the boars, as
+   * usual). The population drifts there at the director's normal pace.
+   */
+  setNpcCount(count) {
+    const set = this.population.setCount(count);
+    this.log(set === null ? "NPC count back to automatic." : `NPC count set to ${set}.`);
+    return set;
+  }
+
+  // Clears every kid away and spawns a full new population in one go
+  respawnNpcs() {
+    for (const npc of [...this.npcs]) this.removeNpc(npc);
+    const target = this.population.targetCount(this.players.size);
+    for (const npc of this.population.populate(this.npcs, target)) this.addNpc(npc);
+    this.rebuildGrids();
+    this.log(`NPCs respawned. ${this.npcs.length} NPCs active.`);
+    return this.npcs.length;
+  }
+
+  /**
+   * Adds a boar at spawn with the given profile stats and returns its record.
+   * Callers may hang their own (connection) fields off the record; the world
+   * ignores anything it didn't put there.
+   */
+  join(playerId, { name, color, xp = 0, level = 1, serverMovement = true }) {
+    const player = {
+      id: playerId,
+      netId: this.allocateNetId(),
+      name,
+      color,
+      xp,
+      level,
+      hp: PLAYER_MAX_HP,
+      dead: false,
+      respawnTimer: 0,
+      movementStrikes: 0,
+      lastStrikeAt: 0,
+      readyAt: {}, // ability id -> when its cooldown ends
+      grenadeCharges: this.grenadeCharges, // null when unlimited
+      grenadeRecharge: GRENADE_RECHARGE_TIME, // s until the next one comes back
+      ry: 0,
+      anim: "idle",
+      stats: createStats(), // this session's, see stats.js
+    };
+    resetMovement(player, 0, 0, 0);
+    this.players.set(playerId, player);
+    this.resetInput(playerId, serverMovement);
+    return player;
+  }
+
+  leave(playerId) {
+    this.players.delete(playerId);
+  }
+
+  /**
+   * Starts a player's input stream over, e.g. for a new connection: sequence
+   * numbers, the input budget and legacy-movement timing all reset.
+   * `serverMovement` picks between "input" frames and legacy "state" updates.
+   */
+  resetInput(playerId, serverMovement) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    Object.assign(player, {
+      serverMovement,
+      lastInputSeq: 0,
+      ackedInputSeq: 0,
+      inputBudget: 0,
+      lastInputAt: 0,
+      lastStateAt: this.now(),
+      airborneSince: 0,
+      correctionGraceUntil: 0,
+    });
+  }
+
+  // =============================================================================
+  // Player actions
+  // =============================================================================
+
+  /**
+   * Applies one gameplay message from a player: "input", "state", "ability",
+   * "attack" or "grenade". Anything else is ignored.
+   */
+  applyInput(playerId, msg) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    const nowMs = this.now();
+
+    if (msg.type === "input") {
+      this.applyInputFrames(player, msg.frames, nowMs);
+    }
+
+    // Legacy clients report their own position
+    if (msg.type === "state" && !player.serverMovement) {
+      // A downed boar stays where it fell until the world respawns it
+      if (player.dead) return;
+
+      const violation = validateStateUpdate(player, msg, nowMs);
+      if (violation) {
+        this.rejectStateUpdate(player, violation, nowMs);
+        return;
+      }
+      player.x = msg.x;
+      player.y = msg.y;
+      player.z = msg.z;
+      player.ry = msg.ry;
+      player.anim = msg.anim;
+      player.lastStateAt = nowMs;
+      player.airborneSince = msg.y > GROUND_Y ? player.airborneSince || nowMs : 0;
+    }
+
+    // "attack" and "grenade" are the phone's and grenade's own messages from
+    // before the other abilities
+    const abilityId = msg.type === "ability" ? msg.id : msg.type === "attack" ? "phone" : msg.type === "grenade" ? "grenade" : null;
+    const ability = abilityId && findAbility(abilityId);
+    if (ability) this.useAbility(player, ability, msg, nowMs);
+  }
+
+  /**
+   * One use of an action bar ability (ABILITIES in config.js). `msg` carries
+   * the target: npcId (plus the client's render `time`) for "npc" abilities,
+   * x/z for "ground" ones. A refusal tells the player why and how long the
+   * cooldown really has left, since their client already played it.
+   */
+  useAbility(player, ability, msg, nowMs) {
+    const target = this.abilityTarget(ability, msg);
+    if (!target) return;
+
+    const reason = this.abilityRejection(player, ability, target, msg.time, nowMs);
+    if (reason) {
+      if (ability.id === "grenade") {
+        this.emit({ type: "grenadeRejected", to: player.id, reason, ...this.grenadeStatus(player) });
+      } else {
+        const cooldown = this.cooldownLeft(player, ability);
+        this.emit({ type: "abilityRejected", to: player.id, id: ability.id, reason, cooldown });
+      }
+      return;
+    }
+
+    player.readyAt[ability.id] = nowMs + (ability.cooldown - COOLDOWN_SLACK) * 1000;
+    if (ability.rationed && player.grenadeCharges !== null) {
+      player.grenadeCharges--;
+      this.emit({ type: "grenadeCharges", to: player.id, grenades: player.grenadeCharges });
+    }
+
+    if (ability.effect === "phone") {
+      // Lands PHONE_FLIGHT_TIME later; see landPhone
+      this.pendingPhones.push({
+        timer: PHONE_FLIGHT_TIME,
+        ability,
+        npcId: target.npc.id,
+        attacker: { id: player.id, x: player.x, y: player.y, z: player.z },
+      });
+    } else if (ability.effect === "grenade") {
+      this.pendingGrenades.push({ timer: GRENADE_FUSE, x: target.x, z: target.z, attackerId: player.id });
+      this.emit({
+        type: "grenadeThrown",
+        near: { x: player.x, z: player.z },
+        attackerId: player.id,
+        startX: player.x,
+        startY: player.y,
+        startZ: player.z,
+        targetX: target.x,
+        targetZ: target.z,
+      });
+    } else if (ability.effect === "pulse") {
+      this.emit({ type: "abilityUsed", near: target, id: ability.id, playerId: player.id, x: target.x, z: target.z });
+      let kills = 0;
+      for (const npc of this.npcGrid.queryRadius(target.x, target.z, ability.radius)) {
+        if (this.addictNpc(npc, ability, player)) kills++;
+      }
+      if (kills) this.recordKills(player.id, ability.id, kills);
+    } else if (ability.effect === "heal") {
+      player.hp = Math.min(PLAYER_MAX_HP, player.hp + ability.heal);
+      this.emit({ type: "abilityUsed", near: { x: player.x, z: player.z }, id: ability.id, playerId: player.id, x: player.x, z: player.z });
+      this.emit({ type: "playerHealed", to: player.id, hp: player.hp });
+    }
+  }
+
+  // What an ability is aimed at: { npc } or { x, z }, or {} for "self".
+  // Null when the message doesn't say, or names a kid that's gone.
+  abilityTarget(ability, msg) {
+    if (ability.targeting === "npc") {
+      const npc = this.npcs.find((n) => n.id === msg.npcId);
+      return npc ? { npc } : null;
+    }
+    if (ability.targeting === "ground") {
+      const x = Number(msg.x);
+      const z = Number(msg.z);
+      return Number.isFinite(x) && Number.isFinite(z) ? { x, z } : null;
+    }
+    return {};
+  }
+
+  // Why `player` can't use `ability` on `target` right now, or null if they can
+  abilityRejection(player, ability, target, time, nowMs) {
+    if (player.dead) return "dead";
+    if (player.level < ability.level) return "locked";
+    if (nowMs < (player.readyAt[ability.id] ?? 0)) return "cooldown";
+    if (ability.rationed && player.grenadeCharges === 0) return "empty";
+    if (target.npc) {
+      if (target.npc.state === "dead") return "target";
+      if (!this.inReachThen(player, target.npc, ability.range, time, nowMs)) return "range";
+    }
+    if (ability.targeting === "ground") {
+      // The client clamps its aim to the range too
+      const dx = target.x - player.x;
+      const dz = target.z - player.z;
+      if (dx * dx + dz * dz > ability.range * ability.range + 0.01) return "range";
+    }
+    return null;
+  }
+
+  // Whether the kid was within `range` on the player's screen at `time` (the
+  // client's render time, on this world's clock). The player counts from
+  // where they are now or were then: their last few input frames may not have
+  // arrived yet.
+  inReachThen(player, npc, range, time, nowMs) {
+    const claimed = Number(time);
+    const t = Number.isFinite(claimed) ? Math.max(nowMs - MAX_REWIND_MS, Math.min(nowMs, claimed)) : nowMs;
+    const target = this.history.positionAt(npc.id, t) ?? npc;
+    const origins = [player, this.history.positionAt(player.id, t) ?? player];
+    const maxDist = range + ATTACK_RANGE_SLACK;
+    return origins.some((o) => (target.x - o.x) ** 2 + (target.z - o.z) ** 2 <= maxDist * maxDist);
+  }
+
+  // Seconds until `player` can use `ability` again
+  cooldownLeft(player, ability) {
+    return Math.max(0, (player.readyAt[ability.id] ?? 0) - this.now()) / 1000;
+  }
+
+  // Every ability's cooldown that's still running, by id, for a rejoining
+  // client's HUD
+  cooldowns(player) {
+    const cooldowns = {};
+    for (const ability of ABILITIES) {
+      const left = this.cooldownLeft(player, ability);
+      if (left > 0) cooldowns[ability.id] = left;
+    }
+    return cooldowns;
+  }
+
+  // What the HUD needs to show the grenade slot: seconds of cooldown left,
+  // and grenades carried out of maxGrenades (both null when unlimited)
+  grenadeStatus(player) {
+    return {
+      grenadeCooldown: this.cooldownLeft(player, findAbility("grenade")),
+      grenades: player.grenadeCharges,
+      maxGrenades: this.grenadeCharges,
+    };
+  }
+
+  // A thrown phone arriving. The kid may have died or gone in the meantime,
+  // in which case it's a miss.
+  landPhone({ ability, npcId, attacker }) {
+    const npc = this.npcs.find((n) => n.id === npcId);
+    if (npc && this.addictNpc(npc, ability, attacker)) this.recordKills(attacker.id, ability.id, 1);
+  }
+
+  // Adds an ability's addiction to a kid on behalf of `attacker` (a player,
+  // or where they threw from), announcing the hit and any death. Returns
+  // whether the kid died; the caller records the kills.
+  addictNpc(npc, ability, attacker) {
+    let result = null;
+    for (let i = 0; i < ability.addiction && npc.state !== "dead"; i++) result = hitNpc(npc);
+    if (!result) return false;
+
+    // Viewers with the kid in view see the addiction update (and, for thrown
+    // devices, the throw)
+    this.emit({
+      type: "npcHit",
+      near: { x: npc.x, z: npc.z },
+      npcId: npc.id,
+      addiction: npc.addiction,
+      ability: ability.id,
+      attackerId: attacker.id,
+      attackerX: attacker.x,
+      attackerY: attacker.y,
+      attackerZ: attacker.z,
+    });
+
+    if (result.died) {
+      this.emit({ type: "npcDied", near: { x: npc.x, z: npc.z }, npcId: npc.id, killerId: attacker.id });
+      this.awardXp(attacker.id, npc.xp);
+    }
+    return result.died;
+  }
+
+  // Snaps a legacy client back to its last accepted position and counts a
+  // strike against it.
+  rejectStateUpdate(player, violation, nowMs) {
+    if (nowMs < player.correctionGraceUntil) return;
+
+    if (nowMs - player.lastStrikeAt > STRIKE_DECAY_MS) player.movementStrikes = 0;
+    player.lastStrikeAt = nowMs;
+    player.movementStrikes++;
+    this.log(
+      `Rejected state from "${player.name}" (id=${player.id}): ${violation}. ` +
+        `Strike ${player.movementStrikes}/${MAX_MOVEMENT_STRIKES}.`,
+    );
+    if (player.movementStrikes >= MAX_MOVEMENT_STRIKES) {
+      // The host decides what a kick means for the connection
+      this.emit({ type: "kicked", to: player.id, reason: "Invalid movement" });
+      return;
+    }
+
+    player.correctionGraceUntil = nowMs + CORRECTION_GRACE_MS;
+    this.emit({ type: "correction", to: player.id, x: player.x, y: player.y, z: player.z, ry: player.ry });
+  }
+
+  // Simulates a batch of input frames from a client that lets the server own
+  // its movement. Frames arrive in order; anything at or below the last
+  // processed seq is a duplicate. Frames that are malformed, over budget,
+  // past MAX_INPUT_FRAMES_PER_MESSAGE or sent while knocked out are dropped
+  // but still advance the seq, so the next moveAck makes the client discard
+  // its prediction of them.
+  applyInputFrames(player, frames, nowMs) {
+    if (!player.serverMovement || !Array.isArray(frames)) return;
+
+    const elapsed = player.lastInputAt ? (nowMs - player.lastInputAt) / 1000 : INPUT_BUDGET_MAX;
+    player.lastInputAt = nowMs;
+    player.inputBudget = Math.min(player.inputBudget + elapsed, INPUT_BUDGET_MAX);
+
+    const count = Math.min(frames.length, MAX_INPUT_FRAMES_PER_MESSAGE);
+    for (let i = 0; i < count; i++) {
+      const frame = unpackInputFrame(frames[i]);
+      if (!frame || frame.seq <= player.lastInputSeq) continue;
+      player.lastInputSeq = frame.seq;
+      if (player.dead || player.inputBudget < MOVE_STEP) continue;
+
+      player.inputBudget -= MOVE_STEP;
+      const { moving } = stepMovement(player, frame, MOVE_STEP, MOVEMENT_WORLD);
+      player.anim = movementAnim(player, moving);
+    }
+
+    // The client has already let go of the frames past the cap, so skip to
+    // the last one rather than leave a gap it would never resend
+    if (frames.length > count) {
+      const last = unpackInputFrame(frames[frames.length - 1]);
+      if (last && last.seq > player.lastInputSeq) player.lastInputSeq = last.seq;
+    }
+  }
+
+  // XP is awarded here and nowhere else — clients never report their own level,
+  // so a modified client can't broadcast an arbitrary "Lv 9999" nametag.
+  awardXp(playerId, amount) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    player.xp += amount;
+    player.stats.xpEarned += amount;
+    const oldLevel = player.level;
+    player.level = levelForXp(player.xp, oldLevel);
+    this.emit({ type: "xpGained", to: playerId, amount, xp: player.xp, level: player.level });
+
+    if (player.level > oldLevel) {
+      this.emit({ type: "playerLevelUp", about: playerId, id: playerId, level: player.level });
+    }
+  }
+
+  // Tallies kills for the scoreboard, along with the XP awardXp already
+  // counted for them. `weapon` is the ability's id; `count` is how many kids
+  // one grenade or hotspot took out.
+  recordKills(playerId, weapon, count) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    const { stats } = player;
+    if (weapon === "grenade") {
+      stats.grenadeKills += count;
+      stats.bestMultiKill = Math.max(stats.bestMultiKill, count);
+    } else if (weapon === "phone") {
+      stats.phoneKills += count;
+    } else {
+      stats.abilityKills += count;
+    }
+    this.emit({ type: "statsUpdated", to: playerId, stats: { ...stats } });
+  }
+
+  // Back to level 1 with no XP (the player asked to reset their profile)
+  resetProgress(playerId) {
+    const player = this.players.get(playerId);
+    if (!player) return;
+    player.xp = 0;
+    player.level = 1;
+    this.emit({ type: "profileReset", to: playerId, xp: 0, level: 1 });
+    this.emit({ type: "playerLevelUp", except: playerId, about: playerId, id: playerId, level: 1 });
+  }
+
+  // Applies damage to a player and handles the knockout. `source` is a player
+  // id (grenades) or npc id (hostile kids), passed through for the kill feed.
+  damagePlayer(player, amount, source) {
+    if (player.dead) return;
+    player.hp = Math.max(0, player.hp - amount);
+    this.emit({ type: "playerDamaged", to: player.id, id: player.id, hp: player.hp, amount, source });
+
+    if (player.hp > 0) return;
+    player.dead = true;
+    player.anim = "idle";
+    player.respawnTimer = PLAYER_RESPAWN_DELAY;
+    this.emit({ type: "playerDied", about: player.id, id: player.id, killerId: source, respawnIn: PLAYER_RESPAWN_DELAY });
+    this.log(`Player "${player.name}" (id=${player.id}) was knocked out by ${source}.`);
+  }
+
+  respawnPlayer(player) {
+    const angle = this.random() * Math.PI * 2;
+    const dist = this.random() * PLAYER_RESPAWN_RADIUS;
+    player.dead = false;
+    player.hp = PLAYER_MAX_HP;
+    resetMovement(player, Math.cos(angle) * dist, 0, Math.sin(angle) * dist);
+    // Legacy clients' updates from where they fell are still in flight
+    player.airborneSince = 0;
+    player.correctionGraceUntil = this.now() + CORRECTION_GRACE_MS;
+    player.anim = "idle";
+    this.emit({
+      type: "playerRespawned",
+      about: player.id,
+      id: player.id,
+      hp: player.hp,
+      x: player.x,
+      y: player.y,
+      z: player.z,
+    });
+  }
+
+  // =============================================================================
+  // Simulation
+  // =============================================================================
+
+  /**
+   * Advances the world by `dt` seconds and returns the events emitted since
+   * the last drain (including any from applyInput calls in between).
+   */
+  step(dt) {
+    const { npcs, players, pendingGrenades, pendingPhones } = this;
+    this.time += dt * 1000;
+
+    const playerList = [...players.values()];
+    updateNpcs(npcs, playerList, dt, this.random);
+
+    // Clear away bodies once their death animation has had time to play
+    for (const npc of npcs.filter(shouldDespawn)) {
+      this.removeNpc(npc);
+      this.log(`NPC ${npc.id} despawned after death.`);
+    }
+
+    // Top the population up (or thin it out) for the current player count
+    const { spawned, retired } = this.population.update(npcs, playerList, dt);
+    for (const npc of spawned) {
+      this.addNpc(npc);
+      this.log(`NPC ${npc.id} (${npc.archetype}) spawned. ${npcs.length} NPCs active.`);
+    }
+    for (const npc of retired) {
+      this.removeNpc(npc);
+      this.log(`NPC ${npc.id} retired. ${npcs.length} NPCs active.`);
+    }
+
+    this.rebuildGrids();
+
+    // Phones land where they were aimed
+    for (let i = pendingPhones.length - 1; i >= 0; i--) {
+      pendingPhones[i].timer -= dt;
+      if (pendingPhones[i].timer > 0) continue;
+      this.landPhone(pendingPhones[i]);
+      pendingPhones.splice(i, 1);
+    }
+
+    // Detonate grenades whose fuse has run out
+    for (let i = pendingGrenades.length - 1; i >= 0; i--) {
+      pendingGrenades[i].timer -= dt;
+      if (pendingGrenades[i].timer > 0) continue;
+
+      const g = pendingGrenades[i];
+      pendingGrenades.splice(i, 1);
+
+      let kills = 0;
+      for (const npc of this.npcGrid.queryRadius(g.x, g.z, GRENADE_EXPLOSION_RADIUS)) {
+        if (killNpc(npc)) {
+          this.emit({ type: "npcDied", near: { x: npc.x, z: npc.z }, npcId: npc.id, killerId: g.attackerId });
+          this.awardXp(g.attackerId, npc.xp);
+          kills++;
+        }
+      }
+      if (kills) this.recordKills(g.attackerId, "grenade", kills);
+
+      // Boars caught in the blast get hurt too — including the thrower
+      for (const p of this.playerGrid.queryRadius(g.x, g.z, GRENADE_EXPLOSION_RADIUS)) {
+        this.damagePlayer(p, GRENADE_PLAYER_DAMAGE, g.attackerId);
+      }
+    }
+
+    // Hostile kids swing at boars in reach
+    for (const { npc, target } of findNpcAttacks(npcs, playerList, dt)) {
+      this.damagePlayer(target, npc.attackDamage, npc.id);
+    }
+
+    // Respawn downed boars
+    for (const p of players.values()) {
+      if (!p.dead) continue;
+      p.respawnTimer -= dt;
+      if (p.respawnTimer <= 0) this.respawnPlayer(p);
+    }
+
+    // Rationed grenades come back one at a time
+    for (const p of players.values()) {
+      if (p.grenadeCharges === null || p.grenadeCharges >= this.grenadeCharges) continue;
+      p.grenadeRecharge -= dt;
+      if (p.grenadeRecharge > 0) continue;
+      p.grenadeCharges++;
+      p.grenadeRecharge = GRENADE_RECHARGE_TIME;
+      this.emit({ type: "grenadeCharges", to: p.id, grenades: p.grenadeCharges });
+    }
+
+    this.history.record(this.now(), players.values(), npcs);
+    this.emitMoveAcks();
+    return this.drainEvents();
+  }
+
+  // Players join, leave and move between steps, and respawns teleport, so the
+  // grids can be up to a step stale; that's fine for anything range-based
+  rebuildGrids() {
+    this.playerGrid.rebuild(this.players.values());
+    this.npcGrid.rebuild(this.npcs);
+  }
+
+  // Tells each input-driven player where its boar actually is after the
+  // newest frame the world has processed.
+  emitMoveAcks() {
+    for (const p of this.players.values()) {
+      if (!p.serverMovement || p.lastInputSeq === p.ackedInputSeq) continue;
+      p.ackedInputSeq = p.lastInputSeq;
+      this.emit({
+        type: "moveAck",
+        to: p.id,
+        seq: p.lastInputSeq,
+        x: p.x,
+        y: p.y,
+        z: p.z,
+        ry: p.ry,
+        vx: p.vx,
+        vy: p.vy,
+        vz: p.vz,
+        onGround: p.onGround,
+      });
+    }
+  }
+}
+
+// What clients need to create a remote boar, on join or when it comes into view
+export function playerSpawnInfo(p) {
+  return {
+    id: p.id,
+    netId: p.netId,
+    name: p.name,
+    color: p.color,
+    level: p.level,
+    dead: p.dead,
+    x: p.x,
+    y: p.y,
+    z: p.z,
+    ry: p.ry,
+    anim: p.anim,
+  };
+}
+
+// What clients need to create an NPC: the positions payload plus its net id
+export function npcSpawnInfo(npc) {
+  return {
+    id: npc.id,
+    netId: npc.netId,
+    name: npc.name,
+    x: npc.x,
+    y: npc.y,
+    z: npc.z,
+    ry: npc.ry,
+    anim: npc.anim,
+    archetype: npc.archetype,
+    addiction: npc.addiction,
+  };
+}
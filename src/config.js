@@ -15,6 +15,14 @@ export const RUN_SPEED = 7.4;
 export const JUMP_SPEED = 7.2;
 export const GRAVITY = 18.5;
 export const ROTATION_SPEED = 14;
+// Fixed rather than measured from the model so the server, which never loads
+// the GLB, collides the boar against trees with the same circle.
+export const PLAYER_RADIUS = 0.6;
+export const PLAYER_MAX_HP = 100;
+export const PLAYER_RESPAWN_DELAY = 5.0;
+// Downed boars respawn somewhere inside this radius of the origin, which the
+// tree generator keeps clear (SPAWN_AVOID_RADIUS).
+export const PLAYER_RESPAWN_RADIUS = 6;
 
 // =============================================================================
 // Camera
@@ -31,6 +39,16 @@ export const CAMERA_MAX_PHI = 1.45;
 export const CAMERA_SMOOTH = 14;
 export const CAMERA_ROTATE_SPEED = 0.0042;
 
+// =============================================================================
+// Gamepad
+// =============================================================================
+// Stick travel ignored around the centre
+export const GAMEPAD_DEADZONE = 0.2;
+// Right stick camera turn at full tilt, in pointer-drag pixels per second
+export const GAMEPAD_LOOK_SPEED = 700;
+// How fast the right stick moves a ground ability's aim point (units/s)
+export const GAMEPAD_AIM_SPEED = 10;
+
 // =============================================================================
 // Scene
 // =============================================================================
@@ -74,8 +92,42 @@ export const BIRCH_LEAF_COLORS = ["#8bc34a", "#9ccc65", "#7cb342", "#aed581"];
 // =============================================================================
 // NPCs
 // =============================================================================
-export const NPC_COUNT = 16;
+// Population director: the living headcount it aims for grows with the
+// number of boars in the world, between these bounds
+export const NPC_MIN_COUNT = 10;
+export const NPC_PER_PLAYER = 2;
+export const NPC_MAX_COUNT = 32;
+// Spawning spends from a budget that refills over time, so a wiped-out area
+// repopulates gradually instead of all at once
+export const NPC_SPAWN_BUDGET_MAX = 4;
+export const NPC_SPAWN_BUDGET_RATE = 0.25; // per second
+// New kids appear out of sight: never within NPC_SPAWN_SAFE_DISTANCE of a
+// boar, and not in front of one (within NPC_SPAWN_VIEW_ANGLE of its facing)
+// with a clear view inside NPC_SPAWN_VIEW_DISTANCE. NPC_SPAWN_SPACING keeps
+// them apart from other kids.
+export const NPC_SPAWN_SAFE_DISTANCE = 10;
+export const NPC_SPAWN_VIEW_DISTANCE = 45;
+export const NPC_SPAWN_VIEW_ANGLE = (75 * Math.PI) / 180;
+export const NPC_SPAWN_SPACING = 3;
 export const NPC_WALK_SPEED = 2.5;
+export const NPC_RUN_SPEED = 4.8;
+// Calm kids run from any boar this close; a kid that was just hit panics and
+// runs from boars much further away for NPC_PANIC_DURATION seconds
+export const NPC_FLEE_RADIUS = 6;
+export const NPC_PANIC_RADIUS = 14;
+export const NPC_PANIC_DURATION = 3.0;
+// Kids drift toward others within this radius to form groups of up to
+// NPC_MAX_GROUP_SIZE, and push apart when closer than NPC_PERSONAL_SPACE
+export const NPC_GROUP_RADIUS = 14;
+export const NPC_MAX_GROUP_SIZE = 4;
+export const NPC_PERSONAL_SPACE = 1.1;
+// Collision radius for kids against tree trunks (and the clearance the
+// server's navigation grid keeps around them)
+export const NPC_RADIUS = 0.35;
+// Kids that have been hit turn hostile and swing at any boar within reach
+export const NPC_ATTACK_RANGE = 1.6;
+export const NPC_ATTACK_DAMAGE = 8;
+export const NPC_ATTACK_COOLDOWN = 1.5;
 
 // =============================================================================
 // Attack / Phone throw
@@ -90,7 +142,6 @@ export const PHONE_DEPTH = 0.01;
 export const NPC_MAX_ADDICTION = 3;
 export const NPC_DEATH_ANIM_DURATION = 2.0;
 export const NPC_DESPAWN_DELAY = 15.0;
-export const NPC_RESPAWN_DELAY = 10.0;
 export const SELECTION_RING_RADIUS = 0.5;
 export const SELECTION_RING_TUBE = 0.03;
 
@@ -103,6 +154,90 @@ export const GRENADE_FUSE = 1.8;
 export const GRENADE_EXPLOSION_RADIUS = 4.0;
 export const GRENADE_ARC_HEIGHT = 5.0;
 export const GRENADE_EXPLOSION_DURATION = 0.8;
+export const GRENADE_PLAYER_DAMAGE = 40;
+// Worlds can ration grenades (grenadeCharges in server/index.js); a boar
+// below the cap gets one back this often
+export const GRENADE_RECHARGE_TIME = 20.0;
+
+// =============================================================================
+// Abilities (action bar)
+// =============================================================================
+// One per action bar slot, in slot order. The client binds the keys, draws
+// the bar and aims from these; the server (world.js) checks the same level,
+// cooldown and range before it applies the effect.
+//   targeting: "npc" (the selected kid), "ground" (aimed like the grenade)
+//              or "self"
+//   effect:    "phone" (a thrown device adding `addiction` when it lands),
+//              "grenade", "pulse" (`addiction` to every kid within `radius`
+//              of the target) or "heal" (`heal` HP)
+//   level:     the boar level that unlocks it
+//   rationed:  counts against the world's grenade ammo, if it has any
+export const ABILITIES = [
+  {
+    id: "phone",
+    name: "Phone",
+    icon: "📱",
+    key: "Digit1",
+    targeting: "npc",
+    effect: "phone",
+    cooldown: ATTACK_COOLDOWN,
+    range: ATTACK_RANGE,
+    level: 1,
+    addiction: 1,
+  },
+  {
+    id: "grenade",
+    name: "Grenade",
+    icon: "💣",
+    key: "Digit2",
+    targeting: "ground",
+    effect: "grenade",
+    cooldown: GRENADE_COOLDOWN,
+    range: GRENADE_RANGE,
+    level: 1,
+    rationed: true,
+  },
+  {
+    id: "tablet",
+    name: "Tablet",
+    icon: "📲",
+    key: "Digit3",
+    targeting: "npc",
+    effect: "phone",
+    cooldown: 6.0,
+    range: 10,
+    level: 3,
+    addiction: 2,
+  },
+  {
+    id: "hotspot",
+    name: "Wi-Fi Hotspot",
+    icon: "📶",
+    key: "Digit4",
+    targeting: "ground",
+    effect: "pulse",
+    cooldown: 15.0,
+    range: 10,
+    radius: 5,
+    level: 5,
+    addiction: 1,
+  },
+  {
+    id: "truffle",
+    name: "Truffle Snack",
+    icon: "🍄",
+    key: "Digit5",
+    targeting: "self",
+    effect: "heal",
+    cooldown: 30.0,
+    level: 7,
+    heal: 50,
+  },
+];
+
+export function findAbility(id) {
+  return ABILITIES.find((a) => a.id === id) ?? null;
+}
 
 // =============================================================================
 // XP / Leveling
@@ -112,6 +247,77 @@ export const XP_BASE_THRESHOLD = 1000;
 export const XP_THRESHOLD_INCREMENT = 100;
 export const LEVEL_UP_GLOW_DURATION = 3.0;
 
+// Total XP needed to reach a level. Level 1 = 0 XP, level 2 = 1000,
+// level 3 = 2100, etc. Shared by the server (which awards XP) and the HUD.
+export function cumulativeXpForLevel(level) {
+  if (level <= 1) return 0;
+  const n = level - 1;
+  return n * XP_BASE_THRESHOLD + (n * (n - 1) / 2) * XP_THRESHOLD_INCREMENT;
+}
+
+export function levelForXp(xp, fromLevel = 1) {
+  let level = fromLevel;
+  while (xp >= cumulativeXpForLevel(level + 1)) level++;
+  return level;
+}
+
+// =============================================================================
+// NPC archetypes
+// =============================================================================
+// Stats per kind of kid. The server copies these onto each NPC it spawns and
+// sends the archetype id to clients, which pick the model and the size of the
+// addiction bar from it. `spawnWeight` is the default share of the population;
+// a world can override it (see Room's npcSpawnWeights).
+export const NPC_ARCHETYPES = {
+  kid: {
+    name: "Kid",
+    walkSpeed: NPC_WALK_SPEED,
+    runSpeed: NPC_RUN_SPEED,
+    maxAddiction: NPC_MAX_ADDICTION,
+    attackDamage: NPC_ATTACK_DAMAGE,
+    xp: XP_PER_KILL,
+    spawnWeight: 70,
+  },
+  // Quick on their feet and easy to hook, but hard to catch
+  runner: {
+    name: "Runner",
+    walkSpeed: 3.2,
+    runSpeed: 6.4,
+    maxAddiction: 2,
+    attackDamage: 6,
+    xp: 600,
+    spawnWeight: 15,
+  },
+  // Slow, takes more phones and hits back harder
+  teen: {
+    name: "Teen",
+    walkSpeed: 2.2,
+    runSpeed: 4.2,
+    maxAddiction: 5,
+    attackDamage: 14,
+    xp: 900,
+    spawnWeight: 12,
+  },
+  // Rare and worth a lot
+  influencer: {
+    name: "Influencer",
+    walkSpeed: 2.0,
+    runSpeed: 4.5,
+    maxAddiction: 4,
+    attackDamage: 4,
+    xp: 2000,
+    spawnWeight: 3,
+  },
+};
+export const DEFAULT_NPC_ARCHETYPE = "kid";
+
+// =============================================================================
+// Chat
+// =============================================================================
+export const CHAT_MAX_LENGTH = 120;
+export const CHAT_HISTORY_SIZE = 50;
+export const CHAT_BUBBLE_DURATION = 5.0;
+
 // =============================================================================
 // Boar color presets
 // =============================================================================
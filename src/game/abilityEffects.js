@@ -0,0 +1,92 @@
+import { AdditiveBlending, CylinderGeometry, DoubleSide, Mesh, MeshBasicMaterial, RingGeometry } from "three";
+import { findAbility } from "../config.js";
+
+// How long each effect plays, in seconds
+const PULSE_DURATION = 0.9;
+const HEAL_DURATION = 1.2;
+
+function disposeMesh(mesh) {
+  mesh.geometry.dispose();
+  mesh.material.dispose();
+}
+
+/**
+ * Visuals for the abilities the server announces with "abilityUsed": the
+ * hotspot's signal ring spreading over the ground, and the green column a
+ * boar gets from a truffle. Thrown abilities (phones, tablets, grenades) have
+ * their own projectile managers.
+ */
+export class AbilityEffectManager {
+  constructor(scene) {
+    this.scene = scene;
+    this.effects = []; // { mesh, elapsed, duration, update(t) }
+  }
+
+  // `msg` is the abilityUsed message: { id, playerId, x, z }
+  play(msg) {
+    const ability = findAbility(msg.id);
+    if (ability?.effect === "pulse") this._spawnPulse(msg.x, msg.z, ability.radius);
+    else if (ability?.effect === "heal") this._spawnHeal(msg.x, msg.z);
+  }
+
+  // A flat ring spreading out to the ability's radius
+  _spawnPulse(x, z, radius) {
+    const mesh = new Mesh(
+      new RingGeometry(0.8, 1, 48),
+      new MeshBasicMaterial({ color: 0x4ab8ff, transparent: true, opacity: 0.8, side: DoubleSide, depthWrite: false }),
+    );
+    mesh.rotation.x = -Math.PI / 2;
+    mesh.position.set(x, 0.06, z);
+    this._add(mesh, PULSE_DURATION, (t) => {
+      mesh.scale.setScalar(0.2 + t * radius);
+      mesh.material.opacity = 0.8 * (1 - t);
+    });
+  }
+
+  // A glowing column rising where the boar stood
+  _spawnHeal(x, z) {
+    const mesh = new Mesh(
+      new CylinderGeometry(0.9, 0.9, 2.4, 24, 1, true),
+      new MeshBasicMaterial({
+        color: 0x6dff8a,
+        transparent: true,
+        opacity: 0.5,
+        side: DoubleSide,
+        blending: AdditiveBlending,
+        depthWrite: false,
+      }),
+    );
+    mesh.position.set(x, 1.2, z);
+    this._add(mesh, HEAL_DURATION, (t) => {
+      mesh.position.y = 1.2 + t * 0.8;
+      mesh.material.opacity = 0.5 * (1 - t);
+    });
+  }
+
+  _add(mesh, duration, update) {
+    this.scene.add(mesh);
+    this.effects.push({ mesh, elapsed: 0, duration, update });
+  }
+
+  update(dt) {
+    for (let i = this.effects.length - 1; i >= 0; i--) {
+      const e = this.effects[i];
+      e.elapsed += dt;
+      const t = Math.min(1, e.elapsed / e.duration);
+      e.update(t);
+      if (t >= 1) {
+        this.scene.remove(e.mesh);
+        disposeMesh(e.mesh);
+        this.effects.splice(i, 1);
+      }
+    }
+  }
+
+  dispose() {
+    for (const e of this.effects) {
+      this.scene.remove(e.mesh);
+      disposeMesh(e.mesh);
+    }
+    this.effects.length = 0;
+  }
+}
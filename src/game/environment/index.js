@@ -1,6 +1,7 @@
 import { makeGrassTexture } from "./textures.js";
 import { createGround } from "./ground.js";
 import { createTrees } from "./trees.js";
+import { buildTreeColliders } from "../../sim/treeColliders.js";
 import treeSpawns from "../../data/treeSpawns.json";
 import {
   FIELD_SIZE,
@@ -14,11 +15,11 @@ export function createEnvironment(scene, { fieldSize = FIELD_SIZE, treeCount = T
   createGround(scene, grassTexture, fieldSize);
 
   const treeDefinitions = treeSpawns.trees.slice(0, treeCount);
-  const { colliders } = createTrees(scene, treeDefinitions);
+  createTrees(scene, treeDefinitions);
 
   return {
     boundsHalfSize: half,
     groundY: GROUND_Y,
-    treeColliders: colliders,
+    treeColliders: buildTreeColliders(treeDefinitions),
   };
 }
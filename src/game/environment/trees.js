@@ -81,7 +81,6 @@ function pineLayerPart(yFactor, widthMul, heightMul, lightOffset) {
 const TREE_TYPES = [
   {
     type: "pine",
-    colliderRadius: (tree) => tree.scale * 0.8,
     parts: [
       trunkPart(new CylinderGeometry(0.12, 0.22, 1.0, 6), 1, (tree) => ({
         y: tree.height * 0.15,
@@ -95,7 +94,6 @@ const TREE_TYPES = [
   },
   {
     type: "round",
-    colliderRadius: (tree) => tree.canopyScale * 0.7,
     parts: [
       trunkPart(new CylinderGeometry(0.15, 0.28, 1.0, 8), 1, (tree) => ({
         y: tree.trunkHeight * 0.5,
@@ -115,7 +113,6 @@ const TREE_TYPES = [
   },
   {
     type: "birch",
-    colliderRadius: (tree) => tree.canopyWidth * 0.6,
     parts: [
       trunkPart(new CylinderGeometry(0.08, 0.14, 1.0, 6), 0.9, (tree) => ({
         y: tree.trunkHeight * 0.5,
@@ -136,18 +133,14 @@ const TREE_TYPES = [
 ];
 
 export function createTrees(scene, treeDefinitions) {
-  const colliders = [];
   const forest = new Group();
 
-  for (const { type, colliderRadius, parts } of TREE_TYPES) {
+  for (const { type, parts } of TREE_TYPES) {
     const trees = treeDefinitions.filter((tree) => tree.type === type);
     forest.add(...buildInstancedParts(trees, parts));
-    for (const tree of trees) {
-      colliders.push({ position: new Vector3(tree.x, 0, tree.z), radius: colliderRadius(tree) });
-    }
   }
 
   scene.add(forest);
 
-  return { group: forest, colliders };
+  return { group: forest };
 }
@@ -0,0 +1,65 @@
+import { Vector3 } from "three";
+
+// Replay camera: drag (or the right stick) to look around, the movement keys
+// (WASD unless rebound) or left stick to fly where it's looking, Q/E to
+// sink/rise, run to go faster and the wheel to dolly.
+const LOOK_SPEED = 0.005; // radians per pixel dragged
+const MAX_PITCH = Math.PI / 2 - 0.05;
+const FLY_SPEED = 12;
+const BOOST_MULTIPLIER = 3;
+const WHEEL_STEP = 2;
+const MIN_HEIGHT = 0.5;
+
+const UP = new Vector3(0, 1, 0);
+
+export class FreeCamera {
+  constructor(camera, input) {
+    this.camera = camera;
+    this.input = input;
+    this.yaw = 0;
+    this.pitch = -0.5;
+    this._forward = new Vector3();
+    this._right = new Vector3();
+    this._move = new Vector3();
+  }
+
+  // Puts the camera at `position` looking at `target`
+  lookAt(position, target) {
+    this.camera.position.copy(position);
+    const dx = target.x - position.x;
+    const dy = target.y - position.y;
+    const dz = target.z - position.z;
+    this.yaw = Math.atan2(-dx, -dz);
+    this.pitch = Math.atan2(dy, Math.hypot(dx, dz));
+    this._applyRotation();
+  }
+
+  // Runs on real time, so the camera handles the same paused or at 4x
+  update(dt) {
+    const { dx, dy } = this.input.consumePointerDelta();
+    this.yaw -= dx * LOOK_SPEED;
+    this.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, this.pitch - dy * LOOK_SPEED));
+    this._applyRotation();
+
+    const input = this.input;
+    this.camera.getWorldDirection(this._forward);
+    this._right.crossVectors(this._forward, UP).normalize();
+    const move = this._move.set(0, 0, 0);
+    const axes = input.getMoveAxes();
+    move.addScaledVector(this._forward, axes.z).addScaledVector(this._right, axes.x);
+    if (input.isKeyDown("KeyE")) move.add(UP);
+    if (input.isKeyDown("KeyQ")) move.sub(UP);
+
+    const boost = input.isActionDown("run") ? BOOST_MULTIPLIER : 1;
+    if (move.lengthSq() > 1) move.normalize();
+    move.multiplyScalar(FLY_SPEED * boost * dt);
+    move.addScaledVector(this._forward, -input.consumeWheelDelta() * WHEEL_STEP);
+
+    this.camera.position.add(move);
+    this.camera.position.y = Math.max(MIN_HEIGHT, this.camera.position.y);
+  }
+
+  _applyRotation() {
+    this.camera.rotation.set(this.pitch, this.yaw, 0, "YXZ");
+  }
+}
@@ -77,16 +77,29 @@ export class GrenadeManager {
     this.explosions = []; // { group, elapsed, fireball, shockwave, innerSphere }
   }
 
+  // Returns the projectile, for cancel()
   throwAt(startPos, targetPos) {
     const mesh = createGrenadeModel();
     mesh.position.copy(startPos);
     this.scene.add(mesh);
-    this.projectiles.push({
+    const projectile = {
       mesh,
       startPos: startPos.clone(),
       targetPos: targetPos.clone(),
       elapsed: 0,
-    });
+    };
+    this.projectiles.push(projectile);
+    return projectile;
+  }
+
+  // Takes back a grenade still in flight, without a blast. Does nothing once
+  // it has gone off.
+  cancel(projectile) {
+    const i = this.projectiles.indexOf(projectile);
+    if (i === -1) return;
+    this.scene.remove(projectile.mesh);
+    disposeObject(projectile.mesh);
+    this.projectiles.splice(i, 1);
   }
 
   _spawnExplosion(x, z) {
@@ -1,10 +1,85 @@
+import { ABILITIES, GAMEPAD_DEADZONE, GAMEPAD_LOOK_SPEED } from "../config.js";
+
+// Buttons by index in the standard gamepad mapping
+const PAD_A = 0;
+const PAD_B = 1;
+const PAD_X = 2;
+const PAD_Y = 3;
+const PAD_LB = 4;
+const PAD_RB = 5;
+const PAD_LT = 6;
+const PAD_RT = 7;
+const PAD_BACK = 8;
+const PAD_START = 9;
+
+// The action bar, in ABILITIES order: face buttons, then the right bumper
+const PAD_ABILITY_BUTTONS = [PAD_A, PAD_B, PAD_X, PAD_Y, PAD_RB];
+
+// What the other buttons do. "target" cycles kids in range, "cancel"
+// disarms an aimed ability.
+const PAD_ACTIONS = {
+  [PAD_LT]: "jump",
+  [PAD_RT]: "run",
+  [PAD_LB]: "target",
+  [PAD_BACK]: "cancel",
+  [PAD_START]: "menu",
+};
+
+export const PAD_BUTTON_LABELS = {
+  [PAD_A]: "A",
+  [PAD_B]: "B",
+  [PAD_X]: "X",
+  [PAD_Y]: "Y",
+  [PAD_LB]: "LB",
+  [PAD_RB]: "RB",
+  [PAD_LT]: "LT",
+  [PAD_RT]: "RT",
+  [PAD_BACK]: "Back",
+  [PAD_START]: "Start",
+};
+
+// The gamepad button for an ability's action bar slot, e.g. "A"
+export function padAbilityLabel(index) {
+  return PAD_BUTTON_LABELS[PAD_ABILITY_BUTTONS[index]] ?? "";
+}
+
+// A stick with the dead zone cut out and the rest rescaled to 0..1
+function readStick(x = 0, y = 0) {
+  const length = Math.hypot(x, y);
+  if (length < GAMEPAD_DEADZONE) return { x: 0, y: 0 };
+  const scale = Math.min(1, (length - GAMEPAD_DEADZONE) / (1 - GAMEPAD_DEADZONE)) / length;
+  return { x: x * scale, y: y * scale };
+}
+
+function clampAxis(v) {
+  return Math.max(-1, Math.min(1, v));
+}
+
 export class InputManager {
-  constructor(domElement) {
+  /**
+   * @param {HTMLElement} domElement
+   * @param {Record<string, string[]>} bindings — action id -> key codes (see
+   *   keyBindings.js); read on every key, so rebinding applies straight away
+   */
+  constructor(domElement, bindings) {
     this.domElement = domElement;
+    this.bindings = bindings;
     this._keysDown = new Set();
+    this._keysPressed = new Set(); // since last asked, see wasKeyPressed()
+    this._keyboardSuspended = false;
     this._jumpPressed = false;
-    this._attackPressed = false;
-    this._grenadePressed = false;
+    this._abilitiesPressed = new Map(); // ability id -> "keyboard" | "gamepad"
+
+    // Gamepad state, refreshed by pollGamepad()
+    this._padButtons = new Set(); // indices held at the last poll
+    this._padActionsDown = new Set(); // held PAD_ACTIONS, e.g. "run"
+    this._padPressed = new Set(); // PAD_ACTIONS since last asked
+    this._padMove = { x: 0, z: 0 };
+    this._padAim = { x: 0, y: 0 };
+    // While true the right stick moves an aim point instead of the camera
+    this.aimWithStick = false;
+    // Whether the gamepad was used more recently than keyboard or mouse
+    this.usingGamepad = false;
 
     // Pointer drag state
     this._dragging = false;
@@ -30,15 +105,16 @@ export class InputManager {
 
     // Bind handlers
     this._onKeyDown = (e) => {
+      if (this._keyboardSuspended) return;
+      this.usingGamepad = false;
       this._keysDown.add(e.code);
-      if (e.code === "Space" && !e.repeat) {
+      if (!e.repeat) this._keysPressed.add(e.code);
+      if (e.repeat) return;
+      if (this.bindings.jump?.includes(e.code)) {
         this._jumpPressed = true;
       }
-      if (e.code === "Digit1" && !e.repeat) {
-        this._attackPressed = true;
-      }
-      if (e.code === "Digit2" && !e.repeat) {
-        this._grenadePressed = true;
+      for (const ability of ABILITIES) {
+        if (this.bindings[ability.id]?.includes(e.code)) this._abilitiesPressed.set(ability.id, "keyboard");
       }
     };
 
@@ -48,6 +124,7 @@ export class InputManager {
 
     this._onPointerDown = (e) => {
       if (e.button !== 0) return;
+      this.usingGamepad = false;
       this._dragging = true;
       this._pointerId = e.pointerId;
       this._lastPointerX = e.clientX;
@@ -109,34 +186,118 @@ export class InputManager {
     domElement.addEventListener("contextmenu", this._onContextMenu);
   }
 
+  /**
+   * Ignore game keys while the player is typing (e.g. chat). Suspending also
+   * drops held keys so a W held when Enter was pressed doesn't keep walking.
+   */
+  setKeyboardSuspended(suspended) {
+    if (this._keyboardSuspended === suspended) return;
+    this._keyboardSuspended = suspended;
+    if (suspended) {
+      this._keysDown.clear();
+      this._keysPressed.clear();
+      this._jumpPressed = false;
+      this._abilitiesPressed.clear();
+    }
+  }
+
   isKeyDown(code) {
     return this._keysDown.has(code);
   }
 
-  wasJumpPressed() {
-    if (this._jumpPressed) {
-      this._jumpPressed = false;
-      return true;
-    }
-    return false;
+  // Whether any key bound to the action (or its gamepad button) is held
+  isActionDown(actionId) {
+    if (this._padActionsDown.has(actionId)) return true;
+    return this.bindings[actionId]?.some((code) => this._keysDown.has(code)) ?? false;
   }
 
-  wasAttackPressed() {
-    if (this._attackPressed) {
-      this._attackPressed = false;
-      return true;
+  // Movement keys plus the left stick: x is right, z forward, each -1..1
+  getMoveAxes() {
+    const x = (this.isActionDown("moveRight") ? 1 : 0) - (this.isActionDown("moveLeft") ? 1 : 0) + this._padMove.x;
+    const z = (this.isActionDown("moveForward") ? 1 : 0) - (this.isActionDown("moveBack") ? 1 : 0) + this._padMove.z;
+    return { x: clampAxis(x), z: clampAxis(z) };
+  }
+
+  /**
+   * Reads the first connected gamepad; call once a frame before reading any
+   * input. The left stick adds to getMoveAxes(), the right stick turns the
+   * camera through the same delta as a pointer drag (or, with aimWithStick,
+   * is left for getAimStick()), and buttons become presses like keys.
+   */
+  pollGamepad(dt) {
+    const pad = [...(navigator.getGamepads?.() ?? [])].find((p) => p?.connected);
+    if (!pad) {
+      this._padButtons.clear();
+      this._padActionsDown.clear();
+      this._padMove = { x: 0, z: 0 };
+      this._padAim = { x: 0, y: 0 };
+      return;
     }
-    return false;
+
+    const move = readStick(pad.axes[0], pad.axes[1]);
+    const look = readStick(pad.axes[2], pad.axes[3]);
+    this._padMove = { x: move.x, z: -move.y };
+    if (this.aimWithStick) {
+      this._padAim = look;
+    } else {
+      this._padAim = { x: 0, y: 0 };
+      // Stick up looks up, which is a drag downward
+      this._pointerDx += look.x * GAMEPAD_LOOK_SPEED * dt;
+      this._pointerDy -= look.y * GAMEPAD_LOOK_SPEED * dt;
+    }
+
+    const held = new Set();
+    pad.buttons.forEach((button, i) => {
+      if (button.pressed || button.value > 0.5) held.add(i);
+    });
+    for (const i of held) {
+      if (!this._padButtons.has(i)) this._onPadButton(i);
+    }
+    this._padButtons = held;
+    this._padActionsDown.clear();
+    for (const i of held) if (PAD_ACTIONS[i]) this._padActionsDown.add(PAD_ACTIONS[i]);
+
+    if (held.size || move.x || move.y || look.x || look.y) this.usingGamepad = true;
+  }
+
+  _onPadButton(i) {
+    const ability = ABILITIES[PAD_ABILITY_BUTTONS.indexOf(i)];
+    if (ability) this._abilitiesPressed.set(ability.id, "gamepad");
+    else if (PAD_ACTIONS[i] === "jump") this._jumpPressed = true;
+    else if (PAD_ACTIONS[i]) this._padPressed.add(PAD_ACTIONS[i]);
   }
 
-  wasGrenadePressed() {
-    if (this._grenadePressed) {
-      this._grenadePressed = false;
+  // One-shot gamepad actions: "target", "cancel" or "menu"
+  wasPadPressed(action) {
+    return this._padPressed.delete(action);
+  }
+
+  // The right stick while aimWithStick is set; y is down, like the screen
+  getAimStick() {
+    return this._padAim;
+  }
+
+  // One-shot keys that don't have a dedicated helper below
+  wasKeyPressed(code) {
+    return this._keysPressed.delete(code);
+  }
+
+  wasJumpPressed() {
+    if (this._jumpPressed) {
+      this._jumpPressed = false;
       return true;
     }
     return false;
   }
 
+  // The action bar keys and buttons, by ability id (ABILITIES in config.js).
+  // Returns what it was pressed on, "keyboard" or "gamepad", or null.
+  wasAbilityPressed(id) {
+    const source = this._abilitiesPressed.get(id) ?? null;
+    this._abilitiesPressed.delete(id);
+    return source;
+  }
+
   consumeClick() {
     const click = this._clickEvent;
     this._clickEvent = null;
@@ -162,9 +323,10 @@ export class InputManager {
   }
 
   clearTransientInputs() {
+    this._keysPressed.clear();
     this._jumpPressed = false;
-    this._attackPressed = false;
-    this._grenadePressed = false;
+    this._abilitiesPressed.clear();
+    this._padPressed.clear();
     this._clickEvent = null;
     this._pointerDx = 0;
     this._pointerDy = 0;
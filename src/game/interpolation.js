@@ -0,0 +1,148 @@
+// =============================================================================
+// Entity interpolation
+// =============================================================================
+// Remote players and NPCs are drawn slightly in the past, between two server
+// snapshots, so a late packet doesn't stall them and a burst doesn't make
+// them sprint. One InterpolationClock per session tracks server time; each
+// entity keeps its own InterpolationBuffer of timestamped samples.
+
+// Baseline render delay: two snapshots at 20Hz
+const INTERP_DELAY_MS = 100;
+const MAX_INTERP_DELAY_MS = 350;
+// Extra delay per ms of measured jitter
+const JITTER_DELAY_SCALE = 2;
+const JITTER_SMOOTH = 0.1;
+// How fast the offset estimate drifts toward later arrivals (clock drift)
+const OFFSET_DRIFT = 0.01;
+const DELAY_SMOOTH = 2;
+// The render clock runs at most this much fast or slow to catch up with its
+// target; beyond CLOCK_SNAP_MS (tab was hidden, etc.) it jumps instead.
+const CLOCK_MAX_SKEW = 0.1;
+const CLOCK_SNAP_MS = 500;
+
+const MAX_SAMPLES = 32;
+// When the buffer runs dry, keep moving along the last velocity this long
+const MAX_EXTRAPOLATION_MS = 250;
+
+function lerpAngle(a, b, t) {
+  let diff = b - a;
+  if (diff > Math.PI) diff -= Math.PI * 2;
+  if (diff < -Math.PI) diff += Math.PI * 2;
+  return a + diff * t;
+}
+
+/**
+ * Maps local time to server time and decides which server moment to render.
+ * The fastest-arriving snapshots define the clock offset; how much later the
+ * rest arrive on average is the jitter, which widens the render delay.
+ */
+export class InterpolationClock {
+  constructor() {
+    this.offset = null; // server time - local time, ms
+    this.jitter = 0;
+    this.delay = INTERP_DELAY_MS;
+    this.renderTime = 0;
+    this.latestTime = 0;
+  }
+
+  get ready() {
+    return this.offset !== null;
+  }
+
+  // Buffered server time ahead of what's being rendered
+  get bufferedMs() {
+    return this.ready ? Math.max(0, this.latestTime - this.renderTime) : 0;
+  }
+
+  observe(serverTime, nowMs = performance.now()) {
+    const sample = serverTime - nowMs;
+    this.latestTime = Math.max(this.latestTime, serverTime);
+    if (this.offset === null) {
+      this.offset = sample;
+      this.renderTime = nowMs + this.offset - this.delay;
+      return;
+    }
+
+    const lateBy = this.offset - sample;
+    this.jitter += (Math.max(0, lateBy) - this.jitter) * JITTER_SMOOTH;
+    this.offset = lateBy < 0 ? sample : this.offset - lateBy * OFFSET_DRIFT;
+  }
+
+  update(dt, nowMs = performance.now()) {
+    if (!this.ready) return;
+
+    const targetDelay = Math.min(MAX_INTERP_DELAY_MS, INTERP_DELAY_MS + this.jitter * JITTER_DELAY_SCALE);
+    this.delay += (targetDelay - this.delay) * (1 - Math.exp(-DELAY_SMOOTH * dt));
+
+    const dtMs = dt * 1000;
+    const target = nowMs + this.offset - this.delay;
+    this.renderTime += dtMs;
+    const error = target - this.renderTime;
+    if (Math.abs(error) > CLOCK_SNAP_MS) {
+      this.renderTime = target;
+    } else {
+      const maxSkew = dtMs * CLOCK_MAX_SKEW;
+      this.renderTime += Math.max(-maxSkew, Math.min(maxSkew, error));
+    }
+  }
+}
+
+/**
+ * Timestamped { x, y, z, ry, anim } samples for one entity.
+ */
+export class InterpolationBuffer {
+  constructor() {
+    this.samples = [];
+  }
+
+  push(time, state) {
+    const last = this.samples[this.samples.length - 1];
+    if (last && time <= last.time) return; // duplicate or out of order
+    this.samples.push({ time, x: state.x, y: state.y, z: state.z, ry: state.ry, anim: state.anim });
+    if (this.samples.length > MAX_SAMPLES) this.samples.shift();
+  }
+
+  // Forget history so the entity snaps to `state` (respawns)
+  reset(time, state) {
+    this.samples = [];
+    this.push(time, state);
+  }
+
+  /**
+   * Writes the state at `renderTime` into `out`. Returns false while the
+   * buffer is still empty.
+   */
+  sample(renderTime, out) {
+    const s = this.samples;
+    if (s.length === 0) return false;
+
+    // Drop samples that are entirely in the past, keeping one behind renderTime
+    while (s.length > 2 && s[1].time <= renderTime) s.shift();
+
+    const a = s[0];
+    if (s.length === 1 || renderTime <= a.time) {
+      Object.assign(out, a);
+      return true;
+    }
+
+    const b = s[1];
+    out.anim = a.anim;
+    if (renderTime <= b.time) {
+      const t = (renderTime - a.time) / (b.time - a.time);
+      out.x = a.x + (b.x - a.x) * t;
+      out.y = a.y + (b.y - a.y) * t;
+      out.z = a.z + (b.z - a.z) * t;
+      out.ry = lerpAngle(a.ry, b.ry, t);
+      return true;
+    }
+
+    // Ran dry: carry on along the last horizontal velocity for a little while
+    const ahead = Math.min(renderTime - b.time, MAX_EXTRAPOLATION_MS) / (b.time - a.time);
+    out.x = b.x + (b.x - a.x) * ahead;
+    out.y = b.y;
+    out.z = b.z + (b.z - a.z) * ahead;
+    out.ry = b.ry;
+    out.anim = b.anim;
+    return true;
+  }
+}
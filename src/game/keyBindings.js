@@ -0,0 +1,107 @@
+import { ABILITIES } from "../config.js";
+
+// =============================================================================
+// Key bindings
+// =============================================================================
+// Game actions and the keys (KeyboardEvent.code) that trigger them. Players
+// rebind them from the Esc menu; changes are kept in localStorage. Bindings
+// are a plain object of action id -> codes; the action bar's actions use the
+// ability ids from ABILITIES.
+
+const STORAGE_KEY = "boarscape.keyBindings";
+
+export const ACTIONS = [
+  { id: "moveForward", label: "Move forward", keys: ["KeyW"] },
+  { id: "moveBack", label: "Move back", keys: ["KeyS"] },
+  { id: "moveLeft", label: "Move left", keys: ["KeyA"] },
+  { id: "moveRight", label: "Move right", keys: ["KeyD"] },
+  { id: "run", label: "Run", keys: ["ShiftLeft", "ShiftRight"] },
+  { id: "jump", label: "Jump", keys: ["Space"] },
+  ...ABILITIES.map((ability) => ({ id: ability.id, label: ability.name, keys: [ability.key] })),
+  { id: "chat", label: "Chat", keys: ["Enter", "NumpadEnter"] },
+  { id: "menu", label: "Game menu", keys: ["Escape"] },
+];
+
+// Hard-wired to the scoreboard and network stats
+export const RESERVED_KEYS = new Set(["Tab", "F3"]);
+
+export function defaultKeyBindings() {
+  return Object.fromEntries(ACTIONS.map((action) => [action.id, [...action.keys]]));
+}
+
+export function findAction(id) {
+  return ACTIONS.find((action) => action.id === id) ?? null;
+}
+
+// Saved bindings over the defaults, so actions added since still get keys
+export function loadKeyBindings() {
+  const bindings = defaultKeyBindings();
+  let saved = null;
+  try {
+    saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+  } catch {
+    // Missing or corrupt — the defaults it is
+  }
+  for (const id of Object.keys(bindings)) {
+    const codes = saved?.[id];
+    if (Array.isArray(codes) && codes.every((code) => typeof code === "string")) bindings[id] = [...codes];
+  }
+  return bindings;
+}
+
+export function saveKeyBindings(bindings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(bindings));
+  } catch {
+    // Storage disabled (private mode etc.) — bindings last for this visit.
+  }
+}
+
+export function isBound(bindings, actionId, code) {
+  return bindings[actionId]?.includes(code) ?? false;
+}
+
+// The action other than `actionId` that `code` already triggers, or null
+export function findConflict(bindings, actionId, code) {
+  for (const [id, codes] of Object.entries(bindings)) {
+    if (id !== actionId && codes.includes(code)) return id;
+  }
+  return null;
+}
+
+/**
+ * Binds `code` to `actionId` in place, replacing its keys. An action that
+ * had the key loses it, and takes over `actionId`'s old keys if that would
+ * leave it with none. Returns that action's id, or null if there was none.
+ */
+export function rebind(bindings, actionId, code) {
+  const conflict = findConflict(bindings, actionId, code);
+  const previous = bindings[actionId];
+  bindings[actionId] = [code];
+  if (conflict) {
+    const remaining = bindings[conflict].filter((c) => c !== code);
+    bindings[conflict] = remaining.length ? remaining : previous.filter((c) => c !== code);
+  }
+  return conflict;
+}
+
+// What to print for a KeyboardEvent.code: "Digit3" -> "3", "KeyG" -> "G"
+export function keyLabel(code) {
+  if (code === "Escape") return "Esc";
+  if (code.startsWith("Arrow")) return { ArrowUp: "↑", ArrowDown: "↓", ArrowLeft: "←", ArrowRight: "→" }[code];
+  return code.replace(/^(Digit|Key)/, "").replace(/(Left|Right)$/, "");
+}
+
+// Every key bound to an action, e.g. "Shift" for both shifts or "Enter"
+export function bindingLabel(bindings, actionId) {
+  const codes = bindings[actionId] ?? [];
+  if (!codes.length) return "Unbound";
+  return [...new Set(codes.map(keyLabel))].join(" / ");
+}
+
+// The four movement keys as one label: "WASD", or spaced out if any is
+// longer than a letter
+export function movementLabel(bindings) {
+  const labels = ["moveForward", "moveLeft", "moveBack", "moveRight"].map((id) => bindingLabel(bindings, id));
+  return labels.every((label) => label.length === 1) ? labels.join("") : labels.join(" ");
+}
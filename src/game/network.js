@@ -1,8 +1,35 @@
+import { decodeSnapshot, dequantizeEntity } from "../net/snapshotCodec.js";
+import { packInputFrame } from "../sim/movement.js";
+
+// Decoded snapshots kept around as delta baselines. Must cover the server's
+// own history window (32) so any baseline it picks is still here.
+const SNAPSHOT_HISTORY = 64;
+// Acks only need to be fresh enough to keep deltas small; 10Hz is plenty and
+// stays well inside the server's per-connection message budget.
+const ACK_INTERVAL_MS = 100;
+// Reconnect backoff: 0.5s, 1s, 2s, 4s, then every 8s. Eight attempts span
+// roughly the server's 30s grace period for reclaiming the same boar.
+const RECONNECT_BASE_DELAY_MS = 500;
+const RECONNECT_MAX_DELAY_MS = 8000;
+const MAX_RECONNECT_ATTEMPTS = 8;
+
 export class NetworkManager {
   constructor(url) {
     this.url = url;
     this.ws = null;
     this.playerId = null;
+    this._netIds = new Map(); // snapshot net id -> player/npc id
+    this._snapshots = new Map(); // seq -> decoded snapshot
+    this._lastAckAt = 0;
+    this._lastSnapshotSeq = 0;
+    // Running totals for the net debug overlay; gaps in snapshot seq count as lost
+    this.snapshotStats = { received: 0, lost: 0 };
+    this._joinParams = null;
+    this._pendingConnect = null; // { resolve, reject } until the first "joined"
+    this._reconnectAttempt = 0;
+    this._reconnectTimer = null;
+    this._kickedReason = null;
+    this._closedByUs = false;
     this.onPlayerJoined = null;
     this.onPlayerLeft = null;
     this.onPositions = null;
@@ -12,84 +39,281 @@ export class NetworkManager {
     this.onNpcRemoved = null;
     this.onNpcSpawned = null;
     this.onPlayerLevelUp = null;
+    this.onXpGained = null;
+    this.onProfileReset = null;
+    this.onPlayerDamaged = null;
+    this.onPlayerDied = null;
+    this.onPlayerRespawned = null;
+    this.onChat = null;
+    this.onChatNotice = null;
     this.onGrenadeThrown = null;
+    this.onGrenadeRejected = null;
+    this.onGrenadeCharges = null;
+    this.onAbilityUsed = null;
+    this.onAbilityRejected = null;
+    this.onPlayerHealed = null;
+    this.onMoveAck = null;
+    this.onCorrection = null;
+    this.onFollowing = null;
+    this.onStatsUpdated = null;
+    // Connection lifecycle after the first join: lost (retrying), resumed or
+    // rejoined (with the fresh "joined" payload), or gone for good
+    this.onConnectionLost = null;
+    this.onReconnected = null;
+    this.onDisconnected = null;
   }
 
-  connect(name, color) {
+  // `spectate` joins without a boar (or a profile: name and color are unused)
+  connect(name, color, { room, token = null, spectate = false }) {
+    this._joinParams = { room, name, color, token, spectate };
     return new Promise((resolve, reject) => {
-      this.ws = new WebSocket(this.url);
-
-      this.ws.onopen = () => {
-        this.ws.send(JSON.stringify({ type: "join", name, color }));
-      };
-
-      this.ws.onmessage = (event) => {
-        const msg = JSON.parse(event.data);
-
-        if (msg.type === "joined") {
-          this.playerId = msg.id;
-          resolve(msg);
-        } else if (msg.type === "full") {
-          reject(new Error("Server is full"));
-        } else if (msg.type === "rejected") {
-          reject(new Error(msg.reason || "Connection rejected"));
-        } else if (msg.type === "playerJoined") {
-          this.onPlayerJoined?.(msg);
-        } else if (msg.type === "playerLeft") {
-          this.onPlayerLeft?.(msg);
-        } else if (msg.type === "positions") {
-          this.onPositions?.(msg.players);
-          if (msg.npcs) this.onNpcPositions?.(msg.npcs);
-        } else if (msg.type === "npcHit") {
-          this.onNpcHit?.(msg);
-        } else if (msg.type === "npcDied") {
-          this.onNpcDied?.(msg);
-        } else if (msg.type === "npcRemoved") {
-          this.onNpcRemoved?.(msg);
-        } else if (msg.type === "npcSpawned") {
-          this.onNpcSpawned?.(msg);
-        } else if (msg.type === "playerLevelUp") {
-          this.onPlayerLevelUp?.(msg);
-        } else if (msg.type === "grenadeThrown") {
-          this.onGrenadeThrown?.(msg);
-        }
-      };
-
-      this.ws.onerror = () => reject(new Error("Could not connect to server"));
-      // No-op if connect already resolved/rejected; otherwise the server
-      // closed on us before "joined" (e.g. kicked) and we must settle.
-      this.ws.onclose = () => reject(new Error("Connection closed by server"));
+      this._pendingConnect = { resolve, reject };
+      this._openSocket();
     });
   }
 
-  sendState(x, y, z, ry, anim) {
+  // The world this connection is in (or trying to get back into)
+  get room() {
+    return this._joinParams?.room ?? null;
+  }
+
+  // `resume` names the session being reconnected so the server can hand its
+  // boar over even if it hasn't noticed the old socket is dead yet.
+  _openSocket() {
+    const ws = new WebSocket(this.url);
+    ws.binaryType = "arraybuffer";
+    this.ws = ws;
+
+    ws.onopen = () => {
+      ws.send(
+        JSON.stringify({
+          type: "join",
+          ...this._joinParams,
+          resume: this.playerId,
+          snapshots: "binary",
+          movement: "input",
+        }),
+      );
+    };
+
+    ws.onmessage = (event) => {
+      if (typeof event.data !== "string") {
+        this._handleSnapshot(event.data);
+        return;
+      }
+      this._handleMessage(JSON.parse(event.data));
+    };
+
+    ws.onerror = () => {
+      this._pendingConnect?.reject(new Error("Could not connect to server"));
+      this._pendingConnect = null;
+    };
+    ws.onclose = () => this._handleClose(ws);
+  }
+
+  _handleClose(ws) {
+    if (ws !== this.ws) return;
+
+    // Closed before the first "joined" (full, rejected, kicked): connect()
+    // has settled or settles here, and there's no session to get back to
+    if (this.playerId === null) {
+      this._pendingConnect?.reject(new Error("Connection closed by server"));
+      this._pendingConnect = null;
+      return;
+    }
+    if (this._closedByUs) return;
+    if (this._kickedReason) {
+      this.onDisconnected?.(this._kickedReason);
+      return;
+    }
+
+    this._reconnectAttempt++;
+    if (this._reconnectAttempt > MAX_RECONNECT_ATTEMPTS) {
+      this.onDisconnected?.("Lost connection to the server");
+      return;
+    }
+    if (this._reconnectAttempt === 1) this.onConnectionLost?.();
+    const delay = Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (this._reconnectAttempt - 1), RECONNECT_MAX_DELAY_MS);
+    this._reconnectTimer = setTimeout(() => this._openSocket(), delay);
+  }
+
+  _handleJoined(msg) {
+    this.playerId = msg.id;
+    // Keep using the token the server settled on (a fresh profile on first join)
+    this._joinParams.token = msg.token;
+    this._netIds.clear();
+    this._snapshots.clear();
+    this._lastSnapshotSeq = 0;
+    if (!msg.spectating) this._netIds.set(msg.netId, msg.id);
+    for (const p of msg.players) this._netIds.set(p.netId, p.id);
+    for (const n of msg.npcs) this._netIds.set(n.netId, n.id);
+
+    if (this._pendingConnect) {
+      this._pendingConnect.resolve(msg);
+      this._pendingConnect = null;
+      return;
+    }
+    this._reconnectAttempt = 0;
+    this.onReconnected?.(msg);
+  }
+
+  _handleMessage(msg) {
+    if (msg.type === "joined") {
+      this._handleJoined(msg);
+    } else if (msg.type === "full") {
+      this._pendingConnect?.reject(new Error("Server is full"));
+      this._pendingConnect = null;
+    } else if (msg.type === "rejected") {
+      // While reconnecting a rejection (e.g. connect rate limit) just means
+      // this attempt failed; the close that follows schedules the next one.
+      this._pendingConnect?.reject(new Error(msg.reason || "Connection rejected"));
+      this._pendingConnect = null;
+    } else if (msg.type === "kicked") {
+      this._kickedReason = msg.reason ? `Kicked: ${msg.reason}` : "Kicked from the server";
+    } else if (msg.type === "playerJoined") {
+      this._netIds.set(msg.netId, msg.id);
+      this.onPlayerJoined?.(msg);
+    } else if (msg.type === "playerLeft") {
+      this._forgetNetId(msg.id);
+      this.onPlayerLeft?.(msg);
+    } else if (msg.type === "positions") {
+      this._countSnapshot(msg.seq);
+      this.onPositions?.(msg.players, msg.time);
+      if (msg.npcs) this.onNpcPositions?.(msg.npcs, msg.time);
+    } else if (msg.type === "npcHit") {
+      this.onNpcHit?.(msg);
+    } else if (msg.type === "npcDied") {
+      this.onNpcDied?.(msg);
+    } else if (msg.type === "npcRemoved") {
+      this._forgetNetId(msg.npcId);
+      this.onNpcRemoved?.(msg);
+    } else if (msg.type === "npcSpawned") {
+      this._netIds.set(msg.npc.netId, msg.npc.id);
+      this.onNpcSpawned?.(msg);
+    } else if (msg.type === "playerLevelUp") {
+      this.onPlayerLevelUp?.(msg);
+    } else if (msg.type === "xpGained") {
+      this.onXpGained?.(msg);
+    } else if (msg.type === "profileReset") {
+      this.onProfileReset?.(msg);
+    } else if (msg.type === "playerDamaged") {
+      this.onPlayerDamaged?.(msg);
+    } else if (msg.type === "playerDied") {
+      this.onPlayerDied?.(msg);
+    } else if (msg.type === "playerRespawned") {
+      this.onPlayerRespawned?.(msg);
+    } else if (msg.type === "chat") {
+      this.onChat?.(msg);
+    } else if (msg.type === "chatNotice") {
+      this.onChatNotice?.(msg);
+    } else if (msg.type === "grenadeThrown") {
+      this.onGrenadeThrown?.(msg);
+    } else if (msg.type === "grenadeRejected") {
+      this.onGrenadeRejected?.(msg);
+    } else if (msg.type === "grenadeCharges") {
+      this.onGrenadeCharges?.(msg);
+    } else if (msg.type === "abilityUsed") {
+      this.onAbilityUsed?.(msg);
+    } else if (msg.type === "abilityRejected") {
+      this.onAbilityRejected?.(msg);
+    } else if (msg.type === "playerHealed") {
+      this.onPlayerHealed?.(msg);
+    } else if (msg.type === "moveAck") {
+      this.onMoveAck?.(msg);
+    } else if (msg.type === "correction") {
+      this.onCorrection?.(msg);
+    } else if (msg.type === "following") {
+      this.onFollowing?.(msg);
+    } else if (msg.type === "statsUpdated") {
+      this.onStatsUpdated?.(msg);
+    }
+  }
+
+  // Binary snapshots decode into the same { id, x, y, z, ry, anim } arrays and
+  // server timestamp the JSON "positions" message carries, so the managers
+  // can't tell them apart.
+  _handleSnapshot(data) {
+    const snapshot = decodeSnapshot(new Uint8Array(data), (seq) => this._snapshots.get(seq));
+    if (!snapshot) return;
+    this._countSnapshot(snapshot.seq);
+    this._snapshots.set(snapshot.seq, snapshot);
+    this._snapshots.delete(snapshot.seq - SNAPSHOT_HISTORY);
+
+    const now = performance.now();
+    if (now - this._lastAckAt >= ACK_INTERVAL_MS && this.ws?.readyState === WebSocket.OPEN) {
+      this._lastAckAt = now;
+      this.ws.send(JSON.stringify({ type: "ack", seq: snapshot.seq }));
+    }
+
+    this.onPositions?.(this._resolveEntities(snapshot.players), snapshot.time);
+    this.onNpcPositions?.(this._resolveEntities(snapshot.npcs), snapshot.time);
+  }
+
+  _countSnapshot(seq) {
+    if (seq <= this._lastSnapshotSeq) return;
+    if (this._lastSnapshotSeq) this.snapshotStats.lost += seq - this._lastSnapshotSeq - 1;
+    this.snapshotStats.received++;
+    this._lastSnapshotSeq = seq;
+  }
+
+  _resolveEntities(entities) {
+    const states = [];
+    for (const [netId, q] of entities) {
+      const id = this._netIds.get(netId);
+      if (id !== undefined) states.push({ id, ...dequantizeEntity(q) });
+    }
+    return states;
+  }
+
+  _forgetNetId(id) {
+    for (const [netId, knownId] of this._netIds) {
+      if (knownId === id) this._netIds.delete(netId);
+    }
+  }
+
+  sendInputs(frames) {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(JSON.stringify({ type: "input", frames: frames.map(packInputFrame) }));
+    }
+  }
+
+  // `target` is { npcId, time } for abilities aimed at a kid (`time` being
+  // the snapshot time it was rendered at), { x, z } for ground-aimed ones and
+  // nothing for the rest
+  sendAbility(id, target = {}) {
     if (this.ws?.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({ type: "state", x, y, z, ry, anim }));
+      this.ws.send(JSON.stringify({ type: "ability", id, ...target }));
     }
   }
 
-  sendAttack(npcId) {
+  sendChat(text) {
     if (this.ws?.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({ type: "attack", npcId }));
+      this.ws.send(JSON.stringify({ type: "chat", text }));
     }
   }
 
-  sendLevelUp(level) {
+  sendResetProfile() {
     if (this.ws?.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({ type: "levelUp", level }));
+      this.ws.send(JSON.stringify({ type: "resetProfile" }));
     }
   }
 
-  sendGrenade(x, z) {
+  // Spectators only: follow a player, or (follow null) watch around x/z
+  sendSpectate({ follow = null, x, z }) {
     if (this.ws?.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({ type: "grenade", x, z }));
+      this.ws.send(JSON.stringify({ type: "spectate", follow, x, z }));
     }
   }
 
   disconnect() {
+    this._closedByUs = true;
+    clearTimeout(this._reconnectTimer);
     this.ws?.close();
     this.ws = null;
     this.playerId = null;
+    this._netIds.clear();
+    this._snapshots.clear();
+    this._lastSnapshotSeq = 0;
     this.onPlayerJoined = null;
     this.onPlayerLeft = null;
     this.onPositions = null;
@@ -99,6 +323,25 @@ export class NetworkManager {
     this.onNpcRemoved = null;
     this.onNpcSpawned = null;
     this.onPlayerLevelUp = null;
+    this.onXpGained = null;
+    this.onProfileReset = null;
+    this.onPlayerDamaged = null;
+    this.onPlayerDied = null;
+    this.onPlayerRespawned = null;
+    this.onChat = null;
+    this.onChatNotice = null;
     this.onGrenadeThrown = null;
+    this.onGrenadeRejected = null;
+    this.onGrenadeCharges = null;
+    this.onAbilityUsed = null;
+    this.onAbilityRejected = null;
+    this.onPlayerHealed = null;
+    this.onMoveAck = null;
+    this.onCorrection = null;
+    this.onFollowing = null;
+    this.onStatsUpdated = null;
+    this.onConnectionLost = null;
+    this.onReconnected = null;
+    this.onDisconnected = null;
   }
 }
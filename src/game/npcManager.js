@@ -13,9 +13,14 @@ import {
   TorusGeometry,
 } from "three";
 import { createNametag } from "./player.js";
-import { SELECTION_RING_RADIUS, SELECTION_RING_TUBE, NPC_DEATH_ANIM_DURATION, NPC_MAX_ADDICTION } from "../config.js";
-
-const TICK_RATE = 20;
+import { InterpolationBuffer } from "./interpolation.js";
+import {
+  SELECTION_RING_RADIUS,
+  SELECTION_RING_TUBE,
+  NPC_DEATH_ANIM_DURATION,
+  NPC_ARCHETYPES,
+  DEFAULT_NPC_ARCHETYPE,
+} from "../config.js";
 
 // NPC variants — picked deterministically per-id so every client renders the
 // same model for the same NPC. `hair` set => "girl" variant (hair on top + long
@@ -30,6 +35,14 @@ const NPC_VARIANTS = [
   { shirt: "#ff6fb5", hair: "#5a3a1c" },     // pink + brown hair — girl variant
 ];
 
+// The other archetypes have one look each, told apart by build and
+// accessories rather than just shirt colour. Kids use NPC_VARIANTS above.
+const ARCHETYPE_LOOKS = {
+  runner: { shirt: "#2ec4b6", hair: null, shoes: "#f0f0f0", scale: 0.95, headband: "#e63946" },
+  teen: { shirt: "#4a4a55", hair: null, scale: 1.15, hood: true },
+  influencer: { shirt: "#f5f5f5", hair: "#e8c25a", sunglasses: true, phone: true },
+};
+
 // Pull the trailing integer out of "npc_7"-style ids so variant selection is
 // stable regardless of map insertion order or respawn shuffling.
 function variantIndexFromId(id) {
@@ -37,17 +50,24 @@ function variantIndexFromId(id) {
   return m ? parseInt(m[1], 10) : 0;
 }
 
+function lookFor(id, archetype) {
+  return ARCHETYPE_LOOKS[archetype] ?? NPC_VARIANTS[variantIndexFromId(id) % NPC_VARIANTS.length];
+}
+
 function createHumanoidModel(variant) {
   const root = new Group();
+  const scale = variant.scale ?? 1;
 
   const skinMat = new MeshStandardMaterial({ color: "#e8b89d", roughness: 0.9 });
   const shirtMat = new MeshStandardMaterial({ color: variant.shirt, roughness: 0.85 });
   const pantsMat = new MeshStandardMaterial({ color: "#3a3a50", roughness: 0.9 });
-  const shoeMat = new MeshStandardMaterial({ color: "#2a1a0a", roughness: 1 });
+  const shoeMat = new MeshStandardMaterial({ color: variant.shoes ?? "#2a1a0a", roughness: 1 });
 
-  // Body offset group — shifts model down so shoe bottoms rest on y=0
+  // Body offset group — shifts model down so shoe bottoms rest on y=0. Build
+  // differences scale this group (not root, which the death animation owns).
   const body = new Group();
-  body.position.y = -0.33;
+  body.position.y = -0.33 * scale;
+  body.scale.setScalar(scale);
   root.add(body);
 
   // Head
@@ -71,6 +91,29 @@ function createHumanoidModel(variant) {
     body.add(hairBack);
   }
 
+  // Runner: sweatband around the forehead
+  if (variant.headband) {
+    const band = new Mesh(new TorusGeometry(0.175, 0.03, 6, 16), new MeshStandardMaterial({ color: variant.headband, roughness: 0.8 }));
+    band.rotation.x = Math.PI / 2;
+    band.position.y = 1.52;
+    body.add(band);
+  }
+
+  // Teen: hoodie hood bunched up behind the head
+  if (variant.hood) {
+    const hood = new Mesh(new BoxGeometry(0.34, 0.3, 0.14), shirtMat);
+    hood.position.set(0, 1.4, -0.16);
+    hood.castShadow = true;
+    body.add(hood);
+  }
+
+  // Influencer: sunglasses across the face
+  if (variant.sunglasses) {
+    const glasses = new Mesh(new BoxGeometry(0.3, 0.06, 0.04), new MeshStandardMaterial({ color: "#111111", roughness: 0.2 }));
+    glasses.position.set(0, 1.48, 0.16);
+    body.add(glasses);
+  }
+
   // Body/torso
   const torso = new Mesh(new BoxGeometry(0.4, 0.5, 0.22), shirtMat);
   torso.position.y = 1.05;
@@ -89,6 +132,13 @@ function createHumanoidModel(variant) {
   rightArm.castShadow = true;
   body.add(rightArm);
 
+  // Influencer: phone held out in the right hand, mid-selfie
+  if (variant.phone) {
+    const phone = new Mesh(new BoxGeometry(0.08, 0.15, 0.015), new MeshStandardMaterial({ color: "#1a1a1a", roughness: 0.3 }));
+    phone.position.set(0, -0.26, 0.06);
+    rightArm.add(phone);
+  }
+
   // Left leg
   const leftLeg = new Group();
   const leftLegMesh = new Mesh(new BoxGeometry(0.14, 0.4, 0.14), pantsMat);
@@ -143,7 +193,7 @@ function createAddictionBar() {
   return { sprite, canvas, texture };
 }
 
-function drawAddictionBar(canvas, texture, addiction) {
+function drawAddictionBar(canvas, texture, addiction, maxAddiction) {
   const ctx = canvas.getContext("2d");
   const w = canvas.width;
   const h = canvas.height;
@@ -174,7 +224,7 @@ function drawAddictionBar(canvas, texture, addiction) {
   ctx.fill();
 
   // Fill — green to orange to red as addiction rises
-  const pct = addiction / NPC_MAX_ADDICTION;
+  const pct = Math.min(1, addiction / maxAddiction);
   const fillW = Math.max(0, (w - 4) * pct);
   if (fillW > 0) {
     const r = Math.min(255, Math.floor(255 * pct * 2));
@@ -196,8 +246,9 @@ function drawAddictionBar(canvas, texture, addiction) {
 }
 
 export class NpcManager {
-  constructor(scene) {
+  constructor(scene, clock) {
     this.scene = scene;
+    this.clock = clock;
     this.npcs = new Map();
     this.selectedNpcId = null;
     this._selectionRing = null;
@@ -232,20 +283,22 @@ export class NpcManager {
     this.selectedNpcId = null;
   }
 
-  addNpc(id, name) {
+  addNpc(id, name, archetype = DEFAULT_NPC_ARCHETYPE) {
     if (this.npcs.has(id)) return;
 
-    const variant = NPC_VARIANTS[variantIndexFromId(id) % NPC_VARIANTS.length];
+    const variant = lookFor(id, archetype);
     const { root, leftLeg, rightLeg, leftArm, rightArm } = createHumanoidModel(variant);
+    // Taller builds push the labels up with them
+    const labelLift = ((variant.scale ?? 1) - 1) * 1.6;
 
     // Nametag
     const nametag = createNametag(name);
-    nametag.position.y = 1.8;
+    nametag.position.y = 1.8 + labelLift;
     root.add(nametag);
 
     // Addiction bar (above the nametag)
     const { sprite: addictionSprite, canvas: addictionCanvas, texture: addictionTexture } = createAddictionBar();
-    addictionSprite.position.y = 2.2;
+    addictionSprite.position.y = 2.2 + labelLift;
     root.add(addictionSprite);
 
     this.scene.add(root);
@@ -259,10 +312,10 @@ export class NpcManager {
       nametag,
       currentAnim: "idle",
       walkTime: 0,
-      prevX: 0, prevY: 0, prevZ: 0, prevRy: 0,
-      nextX: 0, nextY: 0, nextZ: 0, nextRy: 0,
-      t: 1,
+      buffer: new InterpolationBuffer(),
+      rendered: { x: 0, y: 0, z: 0, ry: 0, anim: "idle" },
       addiction: 0,
+      maxAddiction: (NPC_ARCHETYPES[archetype] ?? NPC_ARCHETYPES[DEFAULT_NPC_ARCHETYPE]).maxAddiction,
       dead: false,
       deathTime: 0,
       deathMaterials: null,
@@ -290,7 +343,7 @@ export class NpcManager {
     // Show and redraw the addiction bar
     if (addiction > 0 && npc.addictionSprite) {
       npc.addictionSprite.visible = true;
-      drawAddictionBar(npc.addictionCanvas, npc.addictionTexture, addiction);
+      drawAddictionBar(npc.addictionCanvas, npc.addictionTexture, addiction, npc.maxAddiction);
     }
   }
 
@@ -328,41 +381,25 @@ export class NpcManager {
     return npc.root.position.clone();
   }
 
-  updatePositions(states) {
+  updatePositions(states, time) {
     for (const s of states) {
-      const npc = this.npcs.get(s.id);
-      if (!npc) continue;
-
-      npc.prevX = npc.nextX;
-      npc.prevY = npc.nextY;
-      npc.prevZ = npc.nextZ;
-      npc.prevRy = npc.nextRy;
-      npc.nextX = s.x;
-      npc.nextY = s.y;
-      npc.nextZ = s.z;
-      npc.nextRy = s.ry;
-      npc.t = 0;
-      npc.currentAnim = s.anim;
+      this.npcs.get(s.id)?.buffer.push(time, s);
     }
   }
 
   update(dt) {
     const burnColor = new Color();
 
+    const renderTime = this.clock.renderTime;
+
     for (const [, npc] of this.npcs) {
       // Interpolate position (even during death, to keep in sync)
-      npc.t = Math.min(1, npc.t + dt * TICK_RATE);
-      const t = npc.t;
-
-      npc.root.position.x = npc.prevX + (npc.nextX - npc.prevX) * t;
-      npc.root.position.y = npc.prevY + (npc.nextY - npc.prevY) * t;
-      npc.root.position.z = npc.prevZ + (npc.nextZ - npc.prevZ) * t;
-
-      // Interpolate rotation via shortest path (wrap around ±π)
-      let angleDiff = npc.nextRy - npc.prevRy;
-      if (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
-      if (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
-      npc.root.rotation.y = npc.prevRy + angleDiff * t;
+      const rendered = npc.rendered;
+      if (npc.buffer.sample(renderTime, rendered)) {
+        npc.root.position.set(rendered.x, rendered.y, rendered.z);
+        npc.root.rotation.y = rendered.ry;
+        npc.currentAnim = rendered.anim;
+      }
 
       // Death animation
       if (npc.dead) {
@@ -407,10 +444,11 @@ export class NpcManager {
         continue;
       }
 
-      // Leg/arm swing animation when walking
-      if (npc.currentAnim === "walk") {
-        npc.walkTime += dt * 8;
-        const swing = Math.sin(npc.walkTime) * 0.5;
+      // Leg/arm swing animation when walking; running swings faster and wider
+      if (npc.currentAnim === "walk" || npc.currentAnim === "run") {
+        const running = npc.currentAnim === "run";
+        npc.walkTime += dt * (running ? 13 : 8);
+        const swing = Math.sin(npc.walkTime) * (running ? 0.85 : 0.5);
         npc.leftLeg.rotation.x = swing;
         npc.rightLeg.rotation.x = -swing;
         npc.leftArm.rotation.x = -swing * 0.6;
@@ -0,0 +1,77 @@
+import { Vector3 } from "three";
+import {
+  CAMERA_DISTANCE,
+  CAMERA_MIN_DISTANCE,
+  CAMERA_MAX_DISTANCE,
+  CAMERA_DEFAULT_PHI,
+  CAMERA_MIN_PHI,
+  CAMERA_MAX_PHI,
+  CAMERA_SMOOTH,
+  CAMERA_ROTATE_SPEED,
+} from "../config.js";
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+/**
+ * Camera orbiting a boar: drag circles it, the wheel zooms, and the camera
+ * eases toward its spot instead of being locked to it. Sits behind the local
+ * boar in ThirdPersonController, and behind whoever a spectator follows.
+ */
+export class OrbitCamera {
+  constructor(camera, input, { targetHeight = 1.25 } = {}) {
+    this.camera = camera;
+    this.input = input;
+    this.targetHeight = targetHeight;
+
+    this.distance = CAMERA_DISTANCE;
+    this.minDistance = CAMERA_MIN_DISTANCE;
+    this.maxDistance = CAMERA_MAX_DISTANCE;
+    this.yaw = 0;
+    this.phi = CAMERA_DEFAULT_PHI;
+    this.minPhi = CAMERA_MIN_PHI;
+    this.maxPhi = CAMERA_MAX_PHI;
+    this.cameraSmooth = CAMERA_SMOOTH;
+
+    // Temps
+    this._targetPos = new Vector3();
+    this._desiredCameraPos = new Vector3();
+    this._cameraOffset = new Vector3();
+  }
+
+  // Orbits `position`, the point the boar stands on
+  update(dt, position) {
+    const { dx, dy } = this.input.consumePointerDelta();
+    if (dx !== 0 || dy !== 0) {
+      this.yaw -= dx * CAMERA_ROTATE_SPEED;
+      this.phi = clamp(this.phi + dy * CAMERA_ROTATE_SPEED, this.minPhi, this.maxPhi);
+    }
+
+    const wheelDelta = this.input.consumeWheelDelta();
+    if (wheelDelta !== 0) {
+      this.distance = clamp(this.distance + wheelDelta * 0.85, this.minDistance, this.maxDistance);
+    }
+
+    // Target point for camera
+    this._targetPos.copy(position);
+    this._targetPos.y += this.targetHeight;
+
+    // Desired camera position from spherical coords
+    const sinPhi = Math.sin(this.phi);
+    const cosPhi = Math.cos(this.phi);
+    const sinYaw = Math.sin(this.yaw);
+    const cosYaw = Math.cos(this.yaw);
+    this._cameraOffset.set(
+      sinPhi * sinYaw * this.distance,
+      cosPhi * this.distance,
+      sinPhi * cosYaw * this.distance,
+    );
+    this._desiredCameraPos.copy(this._targetPos).add(this._cameraOffset);
+
+    // Smooth camera
+    const t = 1 - Math.exp(-this.cameraSmooth * dt);
+    this.camera.position.lerp(this._desiredCameraPos, t);
+    this.camera.lookAt(this._targetPos);
+  }
+}
@@ -68,6 +68,12 @@ export class PhoneProjectileManager {
     });
   }
 
+  // Drops phones still in flight without calling their onArrive
+  clear() {
+    for (const p of this.projectiles) this.scene.remove(p.mesh);
+    this.projectiles.length = 0;
+  }
+
   update(dt) {
     for (let i = this.projectiles.length - 1; i >= 0; i--) {
       const p = this.projectiles[i];
@@ -122,6 +122,108 @@ export function updateNametag(sprite, name, level) {
   applyCanvasToSprite(sprite, canvas);
 }
 
+const CHAT_BUBBLE_SPRITE_HEIGHT_PER_LINE = 0.32;
+const CHAT_BUBBLE_MAX_WIDTH = 520;
+const CHAT_BUBBLE_MAX_LINES = 3;
+
+/**
+ * Greedy word wrap against the canvas font. Words longer than a line are
+ * hard-broken; anything past maxLines is cut with an ellipsis.
+ */
+function wrapText(ctx, text, maxWidth, maxLines) {
+  const lines = [];
+  let line = "";
+  for (const word of text.split(/\s+/)) {
+    let candidate = line ? `${line} ${word}` : word;
+    while (ctx.measureText(candidate).width > maxWidth) {
+      if (line) {
+        lines.push(line);
+        line = "";
+        candidate = word;
+        continue;
+      }
+      // Single over-long word: break it at the widest fitting prefix
+      let cut = candidate.length - 1;
+      while (cut > 1 && ctx.measureText(candidate.slice(0, cut)).width > maxWidth) cut--;
+      lines.push(candidate.slice(0, cut));
+      candidate = candidate.slice(cut);
+    }
+    line = candidate;
+  }
+  if (line) lines.push(line);
+
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, -1)}…`;
+  }
+  return lines;
+}
+
+/**
+ * Renders a chat message as a white speech bubble with a tail pointing down.
+ */
+function renderChatBubbleCanvas(text) {
+  const canvas = document.createElement("canvas");
+  const ctx = canvas.getContext("2d");
+
+  const fontSize = 36;
+  const lineHeight = fontSize * 1.2;
+  const padding = 18;
+  const tail = 16;
+
+  ctx.font = `${fontSize}px Arial, sans-serif`;
+  const lines = wrapText(ctx, text, CHAT_BUBBLE_MAX_WIDTH, CHAT_BUBBLE_MAX_LINES);
+  const textWidth = Math.max(...lines.map((l) => ctx.measureText(l).width));
+
+  canvas.width = textWidth + padding * 2;
+  canvas.height = lines.length * lineHeight + padding * 2 + tail;
+  const w = canvas.width;
+  const h = canvas.height - tail;
+
+  ctx.fillStyle = "rgba(255, 255, 255, 0.92)";
+  ctx.beginPath();
+  ctx.roundRect(0, 0, w, h, 14);
+  ctx.moveTo(w / 2 - tail, h);
+  ctx.lineTo(w / 2, h + tail);
+  ctx.lineTo(w / 2 + tail, h);
+  ctx.closePath();
+  ctx.fill();
+
+  ctx.font = `${fontSize}px Arial, sans-serif`;
+  ctx.fillStyle = "#1a1a1a";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  lines.forEach((l, i) => {
+    ctx.fillText(l, w / 2, padding + lineHeight * (i + 0.5));
+  });
+
+  return { canvas, lineCount: lines.length };
+}
+
+/**
+ * Creates a speech bubble sprite for a chat message. The sprite is anchored
+ * at its bottom edge so it can sit directly on top of a nametag.
+ */
+export function createChatBubble(text) {
+  const { canvas, lineCount } = renderChatBubbleCanvas(text);
+  const texture = new CanvasTexture(canvas);
+  texture.needsUpdate = true;
+
+  const material = new SpriteMaterial({
+    map: texture,
+    transparent: true,
+    depthTest: false,
+    depthWrite: false,
+  });
+
+  const sprite = new Sprite(material);
+  sprite.center.set(0.5, 0);
+  const height = CHAT_BUBBLE_SPRITE_HEIGHT_PER_LINE * (lineCount + 1);
+  sprite.scale.set(height * (canvas.width / canvas.height), height, 1);
+
+  return sprite;
+}
+
 /**
  * Configures the player model's materials and shadows
  */
@@ -148,6 +250,7 @@ export function loadPlayer(scene, camera, input, environment, options = {}) {
   const {
     modelUrl,
     playerName = "Player",
+    level = 1,
     desiredHeight = PLAYER_DESIRED_HEIGHT,
     color = null,
     onProgress = () => {},
@@ -182,7 +285,7 @@ export function loadPlayer(scene, camera, input, environment, options = {}) {
         setupPlayerMaterials(playerModel, color);
 
         // Add nametag above player
-        const nametag = createNametag(playerName, 1);
+        const nametag = createNametag(playerName, level);
         const playerBounds = new Box3().setFromObject(playerModel);
         const playerHeight = playerBounds.max.y - playerBounds.min.y;
         nametag.position.y = playerHeight + 0.4;
@@ -243,10 +346,9 @@ export function loadPlayer(scene, camera, input, environment, options = {}) {
           }
         };
 
-        // Calculate collision radius and camera target height
+        // Calculate camera target height
         const sized = new Vector3();
         new Box3().setFromObject(playerRoot).getSize(sized);
-        const playerRadius = Math.max(sized.x, sized.z) * 0.28;
         const targetHeight = Math.max(0.8, Math.min(1.6, sized.y * 0.55));
 
         // Create controller with animation callbacks
@@ -256,7 +358,6 @@ export function loadPlayer(scene, camera, input, environment, options = {}) {
           input,
           environment,
           targetHeight,
-          playerRadius,
           onJump: () => playAnimation("jump"),
           onMovementChange: (isMoving) => {
             if (isMoving) {
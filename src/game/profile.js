@@ -0,0 +1,20 @@
+// The server keys saved progress by an opaque token it issues on first join.
+// We keep that token (plus the last name/color, to prefill the menus) in
+// localStorage so the next session restores the same boar.
+const STORAGE_KEY = "boarscape.profile";
+
+export function loadSavedProfile() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveProfile({ token, name, color }) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ token, name, color }));
+  } catch {
+    // Storage disabled (private mode etc.) — progress just won't carry over.
+  }
+}
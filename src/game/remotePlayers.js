@@ -9,14 +9,14 @@ import {
 } from "three";
 import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader.js";
 import { clone as cloneModel } from "three/examples/jsm/utils/SkeletonUtils.js";
-import { createNametag, updateNametag } from "./player.js";
-import { PLAYER_DESIRED_HEIGHT } from "../config.js";
-
-const TICK_RATE = 20;
+import { createChatBubble, createNametag, updateNametag } from "./player.js";
+import { InterpolationBuffer } from "./interpolation.js";
+import { CHAT_BUBBLE_DURATION, PLAYER_DESIRED_HEIGHT } from "../config.js";
 
 export class RemotePlayerManager {
-  constructor(scene, modelUrl) {
+  constructor(scene, modelUrl, clock) {
     this.scene = scene;
+    this.clock = clock;
     this.players = new Map();
     this.template = null;
     this.templateAnimations = null;
@@ -101,12 +101,13 @@ export class RemotePlayerManager {
       mixer,
       actions,
       nametag,
+      chatBubble: null,
+      chatBubbleTime: 0,
       name,
       level,
       currentAnim: null,
-      prevX: 0, prevY: 0, prevZ: 0, prevRy: 0,
-      nextX: 0, nextY: 0, nextZ: 0, nextRy: 0,
-      t: 1,
+      buffer: new InterpolationBuffer(),
+      rendered: { x: 0, y: 0, z: 0, ry: 0, anim: null },
     });
   }
 
@@ -117,6 +118,39 @@ export class RemotePlayerManager {
     updateNametag(player.nametag, player.name, level);
   }
 
+  // Downed boars are hidden until the server respawns them
+  setDead(id, dead) {
+    const player = this.players.get(id);
+    if (player) player.root.visible = !dead;
+  }
+
+  // Snap straight to a position instead of interpolating there (respawns)
+  teleport(id, x, y, z) {
+    const player = this.players.get(id);
+    if (!player) return;
+    player.buffer.reset(this.clock.latestTime, { x, y, z, ry: player.rendered.ry, anim: "idle" });
+  }
+
+  // Speech bubble above the nametag; a newer message replaces the old one
+  showChatBubble(id, text) {
+    const player = this.players.get(id);
+    if (!player) return;
+    this._removeChatBubble(player);
+    const bubble = createChatBubble(text);
+    bubble.position.y = player.nametag.position.y + player.nametag.scale.y / 2 + 0.1;
+    player.root.add(bubble);
+    player.chatBubble = bubble;
+    player.chatBubbleTime = 0;
+  }
+
+  _removeChatBubble(player) {
+    if (!player.chatBubble) return;
+    player.root.remove(player.chatBubble);
+    player.chatBubble.material.map?.dispose();
+    player.chatBubble.material.dispose();
+    player.chatBubble = null;
+  }
+
   getRoot(id) {
     return this.players.get(id)?.root ?? null;
   }
@@ -132,56 +166,46 @@ export class RemotePlayerManager {
     this.players.delete(id);
   }
 
-  updatePositions(states) {
+  updatePositions(states, time) {
     for (const s of states) {
-      const player = this.players.get(s.id);
-      if (!player) continue;
-
-      // Shift next → prev, store new target
-      player.prevX = player.nextX;
-      player.prevY = player.nextY;
-      player.prevZ = player.nextZ;
-      player.prevRy = player.nextRy;
-      player.nextX = s.x;
-      player.nextY = s.y;
-      player.nextZ = s.z;
-      player.nextRy = s.ry;
-      player.t = 0;
-
-      // Update animation if changed
-      if (s.anim !== player.currentAnim) {
-        if (player.currentAnim && player.actions[player.currentAnim]) {
-          player.actions[player.currentAnim].fadeOut(0.2);
-        }
-        if (s.anim && player.actions[s.anim]) {
-          player.actions[s.anim]
-            .reset()
-            .setLoop(LoopRepeat, Infinity)
-            .fadeIn(0.2)
-            .play();
-        }
-        player.currentAnim = s.anim;
-      }
+      this.players.get(s.id)?.buffer.push(time, s);
+    }
+  }
+
+  _playAnim(player, anim) {
+    if (anim === player.currentAnim) return;
+    if (player.currentAnim && player.actions[player.currentAnim]) {
+      player.actions[player.currentAnim].fadeOut(0.2);
+    }
+    if (anim && player.actions[anim]) {
+      player.actions[anim]
+        .reset()
+        .setLoop(LoopRepeat, Infinity)
+        .fadeIn(0.2)
+        .play();
     }
+    player.currentAnim = anim;
   }
 
   update(dt) {
+    const renderTime = this.clock.renderTime;
     for (const [, player] of this.players) {
-      // Interpolate between prev and next server positions
-      player.t = Math.min(1, player.t + dt * TICK_RATE);
-      const t = player.t;
-
-      player.root.position.x = player.prevX + (player.nextX - player.prevX) * t;
-      player.root.position.y = player.prevY + (player.nextY - player.prevY) * t;
-      player.root.position.z = player.prevZ + (player.nextZ - player.prevZ) * t;
-
-      // Interpolate rotation via shortest path (wrap around ±π)
-      let angleDiff = player.nextRy - player.prevRy;
-      if (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
-      if (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
-      player.root.rotation.y = player.prevRy + angleDiff * t;
+      const rendered = player.rendered;
+      if (player.buffer.sample(renderTime, rendered)) {
+        player.root.position.set(rendered.x, rendered.y, rendered.z);
+        player.root.rotation.y = rendered.ry;
+        this._playAnim(player, rendered.anim);
+      }
 
       if (player.mixer) player.mixer.update(dt);
+
+      if (player.chatBubble) {
+        player.chatBubbleTime += dt;
+        // Fade over the last half second
+        const remaining = CHAT_BUBBLE_DURATION - player.chatBubbleTime;
+        player.chatBubble.material.opacity = Math.min(1, remaining / 0.5);
+        if (remaining <= 0) this._removeChatBubble(player);
+      }
     }
   }
 }
@@ -0,0 +1,222 @@
+import { decodeSnapshot, dequantizeEntity, snapshotBaselineSeq } from "../net/snapshotCodec.js";
+import {
+  REPLAY_EVENTS,
+  REPLAY_HEADER,
+  REPLAY_SNAPSHOT,
+  REPLAY_VERSION,
+  decodeReplayRecords,
+} from "../net/replayFormat.js";
+
+// Snapshots reach the managers this far ahead of the playback time, so
+// there's always a later one to interpolate toward (two ticks at 20Hz)
+const READAHEAD_MS = 100;
+
+/**
+ * Reads a replay file recorded by the server (see src/net/replayFormat.js).
+ * Snapshots stay encoded until playback reaches them; events are small and
+ * parsed up front. Throws with a readable message for anything that isn't a
+ * replay this client can play.
+ */
+export async function loadReplay(file) {
+  const reader = file.stream().pipeThrough(new DecompressionStream("gzip")).getReader();
+  const chunks = [];
+  let length = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      length += value.byteLength;
+    }
+  } catch {
+    // A recording the server never finished still plays up to its last flush
+    if (!length) throw new Error("Not a replay file");
+  }
+
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+
+  let records;
+  try {
+    records = decodeReplayRecords(bytes);
+  } catch {
+    throw new Error("Replay file is damaged");
+  }
+  const header = records[0]?.kind === REPLAY_HEADER ? records[0].payload : null;
+  if (!header) throw new Error("Not a replay file");
+  if (header.version !== REPLAY_VERSION) throw new Error("This replay was recorded by a different server version");
+
+  const snapshots = [];
+  const events = [];
+  for (const { kind, time, payload } of records) {
+    if (kind === REPLAY_SNAPSHOT) snapshots.push({ time, data: payload, keyframe: snapshotBaselineSeq(payload) === 0 });
+    else if (kind === REPLAY_EVENTS) events.push({ time, events: payload });
+  }
+  if (!snapshots.length) throw new Error("Replay is empty");
+
+  return { header, snapshots, events, duration: snapshots[snapshots.length - 1].time };
+}
+
+/**
+ * Plays a loaded replay back through the same messages a live session
+ * receives. Doubles as the managers' interpolation clock: `renderTime` is the
+ * playback position and `latestTime` the newest snapshot handed out.
+ *
+ * Callbacks:
+ *   onReset({ players, npcs }, time) — everything in the world at `time`, in
+ *     spawn-info shape; after a seek the scene is rebuilt from this
+ *   onEvent(msg, time) — a recorded message, as playback passes it
+ *   onPositions(players, npcs, time) — a snapshot, like NetworkManager's
+ */
+export class ReplayPlayer {
+  constructor({ header, snapshots, events, duration }) {
+    this.header = header;
+    this.duration = duration;
+    this.time = 0;
+    this.latestTime = 0;
+    this.speed = 1;
+    this.paused = false;
+    this._snapshots = snapshots;
+    this._events = events;
+    this.onReset = null;
+    this.onEvent = null;
+    this.onPositions = null;
+    this._rewind();
+  }
+
+  get renderTime() {
+    return this.time;
+  }
+
+  // Replay time per real second; animations and effects scale their dt by it
+  get rate() {
+    return this.paused ? 0 : this.speed;
+  }
+
+  update(dt) {
+    if (!this.paused) {
+      this.time = Math.min(this.duration, this.time + dt * 1000 * this.speed);
+      if (this.time >= this.duration) this.paused = true;
+    }
+    this._playEvents(this.time, true);
+    this._decodeUntil(this.time + READAHEAD_MS, true);
+  }
+
+  /**
+   * Jumps to `time`. Going back starts over from the beginning of the
+   * events; snapshots skip ahead to the last full one before `time`. Events
+   * in between only update the world's bookkeeping, then onReset hands over
+   * the result.
+   */
+  seek(time) {
+    time = Math.max(0, Math.min(this.duration, time));
+    if (time < this.time) this._rewind();
+    this._playEvents(time, false);
+
+    const keyframe = this._keyframeBefore(time);
+    if (keyframe > this._snapshotIndex) {
+      this._snapshotIndex = keyframe;
+      this._snapshot = null;
+    }
+    this._decodeUntil(time, false);
+    this.time = time;
+
+    // Spawn info carries where things were when they appeared; the world
+    // should appear as it is now
+    const snapshotTime = this._snapshot?.time ?? time;
+    const players = [...this._players.values()].map((p) => this._placed(p, this._snapshot?.players));
+    const npcs = [...this._npcs.values()].map((n) => this._placed(n, this._snapshot?.npcs));
+    this.onReset?.({ players, npcs }, snapshotTime);
+    this._decodeUntil(time + READAHEAD_MS, true);
+  }
+
+  _rewind() {
+    this.time = 0;
+    this.latestTime = 0;
+    this._eventIndex = 0;
+    this._snapshotIndex = 0;
+    this._snapshot = null;
+    this._players = new Map(); // id -> spawn info, kept current
+    this._npcs = new Map();
+    this._netIds = new Map(); // snapshot net id -> player/npc id
+  }
+
+  _keyframeBefore(time) {
+    let found = 0;
+    for (let i = 0; i < this._snapshots.length && this._snapshots[i].time <= time; i++) {
+      if (this._snapshots[i].keyframe) found = i;
+    }
+    return found;
+  }
+
+  _placed(entity, states) {
+    const q = states?.get(entity.netId);
+    return q ? { ...entity, ...dequantizeEntity(q) } : entity;
+  }
+
+  _playEvents(limit, live) {
+    while (this._eventIndex < this._events.length && this._events[this._eventIndex].time <= limit) {
+      const { time, events } = this._events[this._eventIndex++];
+      for (const msg of events) {
+        this._track(msg);
+        if (live) this.onEvent?.(msg, time);
+      }
+    }
+  }
+
+  // Keeps the roster that onReset hands out in step with the events
+  _track(msg) {
+    if (msg.type === "playerJoined") {
+      const { type, ...info } = msg;
+      this._players.set(msg.id, info);
+      this._netIds.set(msg.netId, msg.id);
+    } else if (msg.type === "playerLeft") {
+      this._netIds.delete(this._players.get(msg.id)?.netId);
+      this._players.delete(msg.id);
+    } else if (msg.type === "npcSpawned") {
+      this._npcs.set(msg.npc.id, { ...msg.npc, dead: false });
+      this._netIds.set(msg.npc.netId, msg.npc.id);
+    } else if (msg.type === "npcRemoved") {
+      this._netIds.delete(this._npcs.get(msg.npcId)?.netId);
+      this._npcs.delete(msg.npcId);
+    } else if (msg.type === "npcHit") {
+      const npc = this._npcs.get(msg.npcId);
+      if (npc) npc.addiction = msg.addiction;
+    } else if (msg.type === "npcDied") {
+      const npc = this._npcs.get(msg.npcId);
+      if (npc) npc.dead = true;
+    } else if (msg.type === "playerLevelUp") {
+      const player = this._players.get(msg.id);
+      if (player) player.level = msg.level;
+    } else if (msg.type === "playerDied" || msg.type === "playerRespawned") {
+      const player = this._players.get(msg.id);
+      if (player) player.dead = msg.type === "playerDied";
+    }
+  }
+
+  _decodeUntil(limit, live) {
+    while (this._snapshotIndex < this._snapshots.length && this._snapshots[this._snapshotIndex].time <= limit) {
+      const previous = this._snapshot;
+      const snapshot = decodeSnapshot(this._snapshots[this._snapshotIndex++].data, (seq) =>
+        previous?.seq === seq ? previous : null,
+      );
+      if (!snapshot) continue;
+      this._snapshot = snapshot;
+      this.latestTime = snapshot.time;
+      if (live) this.onPositions?.(this._resolveEntities(snapshot.players), this._resolveEntities(snapshot.npcs), snapshot.time);
+    }
+  }
+
+  _resolveEntities(entities) {
+    const states = [];
+    for (const [netId, q] of entities) {
+      const id = this._netIds.get(netId);
+      if (id !== undefined) states.push({ id, ...dequantizeEntity(q) });
+    }
+    return states;
+  }
+}
@@ -0,0 +1,12 @@
+// Production: the Node server hosts both the site and the WebSocket on one
+// port, so derive the socket URL from the page. Dev: Vite serves the client
+// on its own port, so fall back to the local game server.
+export const SERVER_URL =
+  import.meta.env.VITE_SERVER_URL ||
+  (import.meta.env.DEV
+    ? "ws://localhost:3001"
+    : `${location.protocol === "https:" ? "wss" : "ws"}://${location.host}`);
+
+// The JSON endpoints (room list, leaderboards) live on the same host, over
+// plain HTTP(S)
+export const API_URL = `${SERVER_URL.replace(/^ws/, "http")}/api`;
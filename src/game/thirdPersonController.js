@@ -1,28 +1,27 @@
-import { MathUtils, Quaternion, Vector3 } from "three";
+import { Vector3 } from "three";
+import { OrbitCamera } from "./orbitCamera.js";
 import {
-  WALK_SPEED,
-  RUN_SPEED,
-  JUMP_SPEED,
-  GRAVITY,
-  ROTATION_SPEED,
-  CAMERA_DISTANCE,
-  CAMERA_MIN_DISTANCE,
-  CAMERA_MAX_DISTANCE,
-  CAMERA_DEFAULT_PHI,
-  CAMERA_MIN_PHI,
-  CAMERA_MAX_PHI,
-  CAMERA_SMOOTH,
-  CAMERA_ROTATE_SPEED,
-} from "../config.js";
-
-function damp(current, target, lambda, dt) {
-  return MathUtils.lerp(current, target, 1 - Math.exp(-lambda * dt));
-}
-
-function clamp(v, min, max) {
-  return Math.max(min, Math.min(max, v));
-}
-
+  MOVE_STEP,
+  createInputFrame,
+  resetMovement,
+  stepMovement,
+} from "../sim/movement.js";
+
+// Unacknowledged inputs kept for replay. Four seconds of frames — past that
+// the server has stopped answering and replaying wouldn't help anyway.
+const MAX_PENDING_INPUTS = 240;
+// Server corrections smaller than this are blended out visually; anything
+// larger (a respawn, a long stall) snaps.
+const CORRECTION_SNAP_DISTANCE = 3;
+const CORRECTION_SMOOTH = 10;
+
+/**
+ * Orbit camera plus client-side prediction for the local boar. Keyboard and
+ * gamepad input becomes fixed-step input frames that are simulated here
+ * immediately and queued for the server; when the server reports where it
+ * ended up after a given frame, the unacknowledged frames are replayed on top
+ * of that state and the difference is eased out rather than snapped.
+ */
 export class ThirdPersonController {
   constructor({
     camera,
@@ -30,7 +29,6 @@ export class ThirdPersonController {
     input,
     environment,
     targetHeight = 1.25,
-    playerRadius = 0.55,
     onJump = null,
     onMovementChange = null,
   }) {
@@ -42,93 +40,106 @@ export class ThirdPersonController {
     this.onMovementChange = onMovementChange;
     this._isMoving = false;
 
-    // Player params
-    this.targetHeight = targetHeight;
-    this.playerRadius = playerRadius;
-    this.walkSpeed = WALK_SPEED;
-    this.runSpeed = RUN_SPEED;
-    this.jumpSpeed = JUMP_SPEED;
-    this.gravity = GRAVITY;
-    this.rotationSpeed = ROTATION_SPEED;
-
-    // Camera params
-    this.distance = CAMERA_DISTANCE;
-    this.minDistance = CAMERA_MIN_DISTANCE;
-    this.maxDistance = CAMERA_MAX_DISTANCE;
-    this.yaw = 0;
-    this.phi = CAMERA_DEFAULT_PHI;
-    this.minPhi = CAMERA_MIN_PHI;
-    this.maxPhi = CAMERA_MAX_PHI;
-    this.cameraSmooth = CAMERA_SMOOTH;
-
-    // State
-    this.velocity = new Vector3(0, 0, 0);
-    this.onGround = true;
+    this.orbit = new OrbitCamera(camera, input, { targetHeight });
+
+    // Predicted state, in the same shape the server simulates
+    this.body = { x: 0, y: 0, z: 0, ry: 0, vx: 0, vy: 0, vz: 0, onGround: true };
+    const { x, y, z } = target.position;
+    resetMovement(this.body, x, y, z);
+    this._prevPos = new Vector3(x, y, z);
+    this._correction = new Vector3();
+    this._accumulator = 0;
+    this._seq = 0;
+    this._jumpQueued = false;
+    this._pendingInputs = [];
+    this._unsentInputs = [];
 
     // Temps
     this._up = new Vector3(0, 1, 0);
     this._camForward = new Vector3();
     this._camRight = new Vector3();
     this._moveDir = new Vector3();
-    this._desiredVel = new Vector3();
-    this._targetPos = new Vector3();
-    this._desiredCameraPos = new Vector3();
-    this._cameraOffset = new Vector3();
-    this._desiredFacing = new Quaternion();
   }
 
   get isMoving() {
     return this._isMoving;
   }
 
+  get onGround() {
+    return this.body.onGround;
+  }
+
   /**
-   * Immediately stops horizontal movement (e.g. when a menu opens).
-   * Fires onMovementChange so walk animations stop too.
+   * Input frames simulated since the last call, for the network layer to send.
    */
-  halt() {
-    this.velocity.x = 0;
-    this.velocity.z = 0;
-    if (this._isMoving) {
-      this._isMoving = false;
-      if (this.onMovementChange) this.onMovementChange(false);
-    }
+  consumeInputs() {
+    const frames = this._unsentInputs;
+    this._unsentInputs = [];
+    return frames;
   }
 
-  update(dt) {
-    if (!this.target) return;
+  /**
+   * Places the boar somewhere new (e.g. a server respawn) and forgets any
+   * inputs that were predicted from the old spot.
+   */
+  teleport(x, y, z) {
+    resetMovement(this.body, x, y, z);
+    this._prevPos.set(x, y, z);
+    this._correction.set(0, 0, 0);
+    this._pendingInputs = [];
+    this._unsentInputs = [];
+    this._syncTarget(1);
+  }
 
-    // Consume input deltas
-    const { dx, dy } = this.input.consumePointerDelta();
-    if (dx !== 0 || dy !== 0) {
-      this.yaw -= dx * CAMERA_ROTATE_SPEED;
-      this.phi = clamp(this.phi + dy * CAMERA_ROTATE_SPEED, this.minPhi, this.maxPhi);
+  /**
+   * Applies the server's authoritative state as of input `state.seq`, then
+   * replays every newer input so the prediction carries on from there.
+   */
+  reconcile(state) {
+    const pending = this._pendingInputs;
+    let acked = 0;
+    while (acked < pending.length && pending[acked].seq <= state.seq) acked++;
+    pending.splice(0, acked);
+
+    const body = this.body;
+    const oldX = body.x;
+    const oldY = body.y;
+    const oldZ = body.z;
+
+    body.x = state.x;
+    body.y = state.y;
+    body.z = state.z;
+    body.ry = state.ry;
+    body.vx = state.vx;
+    body.vy = state.vy;
+    body.vz = state.vz;
+    body.onGround = state.onGround;
+    for (const frame of pending) {
+      stepMovement(body, frame, MOVE_STEP, this.environment);
     }
 
-    const wheelDelta = this.input.consumeWheelDelta();
-    if (wheelDelta !== 0) {
-      this.distance = clamp(this.distance + wheelDelta * 0.85, this.minDistance, this.maxDistance);
+    const dx = body.x - oldX;
+    const dy = body.y - oldY;
+    const dz = body.z - oldZ;
+    this._prevPos.x += dx;
+    this._prevPos.y += dy;
+    this._prevPos.z += dz;
+    if (dx * dx + dy * dy + dz * dz > CORRECTION_SNAP_DISTANCE * CORRECTION_SNAP_DISTANCE) {
+      this._correction.set(0, 0, 0);
+    } else {
+      // Keep the boar drawn where it was and ease toward the corrected spot
+      this._correction.x -= dx;
+      this._correction.y -= dy;
+      this._correction.z -= dz;
     }
+  }
 
-    // Target point for camera
-    this._targetPos.copy(this.target.position);
-    this._targetPos.y += this.targetHeight;
-
-    // Desired camera position from spherical coords
-    const sinPhi = Math.sin(this.phi);
-    const cosPhi = Math.cos(this.phi);
-    const sinYaw = Math.sin(this.yaw);
-    const cosYaw = Math.cos(this.yaw);
-    this._cameraOffset.set(
-      sinPhi * sinYaw * this.distance,
-      cosPhi * this.distance,
-      sinPhi * cosYaw * this.distance,
-    );
-    this._desiredCameraPos.copy(this._targetPos).add(this._cameraOffset);
+  // `acceptInput` false still steps the simulation, just with no keys held,
+  // so an open menu lets the boar coast to a stop the same way on both ends.
+  update(dt, { acceptInput = true } = {}) {
+    if (!this.target) return;
 
-    // Smooth camera
-    const t = 1 - Math.exp(-this.cameraSmooth * dt);
-    this.camera.position.lerp(this._desiredCameraPos, t);
-    this.camera.lookAt(this._targetPos);
+    this.orbit.update(dt, this.target.position);
 
     // Movement input in camera space (horizontal only)
     this.camera.getWorldDirection(this._camForward);
@@ -140,19 +151,26 @@ export class ThirdPersonController {
     }
     this._camRight.crossVectors(this._camForward, this._up).normalize();
 
-    const xInput =
-      (this.input.isKeyDown("KeyD") ? 1 : 0) +
-      (this.input.isKeyDown("KeyA") ? -1 : 0);
-    const zInput =
-      (this.input.isKeyDown("KeyW") ? 1 : 0) +
-      (this.input.isKeyDown("KeyS") ? -1 : 0);
+    let xInput = 0;
+    let zInput = 0;
+    let isRunning = false;
+    if (acceptInput) {
+      const axes = this.input.getMoveAxes();
+      xInput = axes.x;
+      zInput = axes.z;
+      isRunning = this.input.isActionDown("run");
+      // Held until the next fixed step so a quick tap between steps still jumps
+      if (this.input.wasJumpPressed()) this._jumpQueued = true;
+    }
 
     this._moveDir.set(0, 0, 0);
     if (xInput !== 0) this._moveDir.addScaledVector(this._camRight, xInput);
     if (zInput !== 0) this._moveDir.addScaledVector(this._camForward, zInput);
 
+    // Full speed on keys or a stick pushed all the way; a half-pushed stick
+    // walks slower
     const hasMove = this._moveDir.lengthSq() > 1e-6;
-    if (hasMove) this._moveDir.normalize();
+    if (this._moveDir.lengthSq() > 1) this._moveDir.normalize();
 
     // Notify when movement state changes
     if (hasMove !== this._isMoving) {
@@ -160,78 +178,37 @@ export class ThirdPersonController {
       if (this.onMovementChange) this.onMovementChange(hasMove);
     }
 
-    const isRunning =
-      this.input.isKeyDown("ShiftLeft") || this.input.isKeyDown("ShiftRight");
-    const maxSpeed = isRunning ? this.runSpeed : this.walkSpeed;
-    this._desiredVel.copy(this._moveDir).multiplyScalar(hasMove ? maxSpeed : 0);
+    // Fixed-step simulation; every step is one input frame for the server
+    this._accumulator += dt;
+    while (this._accumulator >= MOVE_STEP) {
+      this._accumulator -= MOVE_STEP;
+      const frame = createInputFrame(++this._seq, this._moveDir.x, this._moveDir.z, isRunning, this._jumpQueued);
+      this._jumpQueued = false;
 
-    const accel = hasMove ? 18 : 14;
-    this.velocity.x = damp(this.velocity.x, this._desiredVel.x, accel, dt);
-    this.velocity.z = damp(this.velocity.z, this._desiredVel.z, accel, dt);
+      this._prevPos.set(this.body.x, this.body.y, this.body.z);
+      const { jumped } = stepMovement(this.body, frame, MOVE_STEP, this.environment);
+      if (jumped && this.onJump) this.onJump();
 
-    // Jump/gravity
-    if (this.onGround && this.input.wasJumpPressed()) {
-      this.velocity.y = this.jumpSpeed;
-      this.onGround = false;
-      if (this.onJump) this.onJump();
+      this._pendingInputs.push(frame);
+      this._unsentInputs.push(frame);
     }
-
-    if (!this.onGround) {
-      this.velocity.y -= this.gravity * dt;
+    if (this._pendingInputs.length > MAX_PENDING_INPUTS) {
+      this._pendingInputs.splice(0, this._pendingInputs.length - MAX_PENDING_INPUTS);
     }
 
-    // Integrate
-    this.target.position.x += this.velocity.x * dt;
-    this.target.position.y += this.velocity.y * dt;
-    this.target.position.z += this.velocity.z * dt;
-
-    // Ground collision
-    const groundY = this.environment?.groundY ?? 0;
-    if (this.target.position.y <= groundY) {
-      this.target.position.y = groundY;
-      this.velocity.y = 0;
-      this.onGround = true;
-    }
-
-    // World bounds
-    const half = this.environment?.boundsHalfSize ?? 260;
-    const margin = 2.0;
-    this.target.position.x = clamp(this.target.position.x, -half + margin, half - margin);
-    this.target.position.z = clamp(this.target.position.z, -half + margin, half - margin);
-
-    // Tree collisions (2D circles)
-    const colliders = this.environment?.treeColliders ?? [];
-    if (colliders.length) {
-      for (let i = 0; i < colliders.length; i++) {
-        const c = colliders[i];
-        const cdx = this.target.position.x - c.position.x;
-        const cdz = this.target.position.z - c.position.z;
-        const r = this.playerRadius + c.radius;
-        const d2 = cdx * cdx + cdz * cdz;
-        if (d2 < r * r) {
-          const d = Math.sqrt(d2) || 0.0001;
-          const nx = cdx / d;
-          const nz = cdz / d;
-          const push = r - d;
-          this.target.position.x += nx * push;
-          this.target.position.z += nz * push;
-
-          // Cancel velocity into the collider normal
-          const vn = this.velocity.x * nx + this.velocity.z * nz;
-          if (vn < 0) {
-            this.velocity.x -= vn * nx;
-            this.velocity.z -= vn * nz;
-          }
-        }
-      }
-    }
+    this._correction.multiplyScalar(Math.exp(-CORRECTION_SMOOTH * dt));
+    this._syncTarget(this._accumulator / MOVE_STEP);
+  }
 
-    // Face movement direction
-    if (hasMove) {
-      const facingYaw = Math.atan2(this._moveDir.x, this._moveDir.z);
-      this._desiredFacing.setFromAxisAngle(this._up, facingYaw);
-      const rt = 1 - Math.exp(-this.rotationSpeed * dt);
-      this.target.quaternion.slerp(this._desiredFacing, rt);
-    }
+  // Draws the boar between the last two fixed steps, plus whatever is left of
+  // the latest server correction.
+  _syncTarget(alpha) {
+    const body = this.body;
+    this.target.position.set(
+      this._prevPos.x + (body.x - this._prevPos.x) * alpha + this._correction.x,
+      this._prevPos.y + (body.y - this._prevPos.y) * alpha + this._correction.y,
+      this._prevPos.z + (body.z - this._prevPos.z) * alpha + this._correction.z,
+    );
+    this.target.quaternion.setFromAxisAngle(this._up, body.ry);
   }
 }
@@ -2,29 +2,73 @@ import "./style.css";
 
 import { mount } from "svelte";
 import App from "./App.svelte";
-import { loading, actionBar, playerStats, gameMenu, resetUiState } from "./ui/stores.svelte.js";
+import {
+  loading,
+  actionBar,
+  playerStats,
+  gameMenu,
+  chat,
+  netDebug,
+  connection,
+  spectator,
+  session,
+  replayPlayback,
+  keyBindings,
+  inputDevice,
+  addChatMessage,
+  resetUiState,
+} from "./ui/stores.svelte.js";
 import { createScene } from "./game/scene.js";
 import { createEnvironment } from "./game/environment/index.js";
 import { InputManager } from "./game/input.js";
+import { bindingLabel } from "./game/keyBindings.js";
 import { loadPlayer, createLevelUpAura, updateNametag } from "./game/player.js";
 import { RemotePlayerManager } from "./game/remotePlayers.js";
 import { NpcManager } from "./game/npcManager.js";
+import { InterpolationClock } from "./game/interpolation.js";
 import { PhoneProjectileManager } from "./game/phoneProjectile.js";
 import { GrenadeManager, GrenadeAimer } from "./game/grenadeProjectile.js";
-import { ATTACK_COOLDOWN, ATTACK_RANGE, GRENADE_COOLDOWN, GRENADE_RANGE, XP_PER_KILL, XP_BASE_THRESHOLD, XP_THRESHOLD_INCREMENT } from "./config.js";
+import { AbilityEffectManager } from "./game/abilityEffects.js";
+import { ReplayPlayer } from "./game/replay.js";
+import { FreeCamera } from "./game/freeCamera.js";
+import { OrbitCamera } from "./game/orbitCamera.js";
+import { ABILITIES, ATTACK_RANGE, GAMEPAD_AIM_SPEED, cumulativeXpForLevel, findAbility } from "./config.js";
 import { DoubleSide, Mesh, MeshBasicMaterial, Plane as ThreePlane, Raycaster, TorusGeometry, Vector2, Vector3 } from "three";
 
 const modelUrl = new URL("../boar3.glb", import.meta.url).href;
 
+// Kids can be selected as far away as the longest-reaching ability aimed at
+// one can hit
+const NPC_SELECT_RANGE = Math.max(...ABILITIES.filter((a) => a.targeting === "npc").map((a) => a.range));
+
+// Whether an npcHit came with a thrown device to draw. Older replays don't
+// name the ability; everything was a phone then.
+function isThrownHit(msg) {
+  return findAbility(msg.ability ?? "phone")?.effect === "phone";
+}
+
 mount(App, {
   target: document.getElementById("app"),
   props: {
     modelUrl,
     onstart: startGame,
+    onspectate: startSpectating,
+    onreplay: startReplay,
   },
 });
 
-function startGame({ name, color, network, existingPlayers, existingNpcs }) {
+// XP / leveling — the server owns both numbers; we only mirror them into the
+// HUD and play the level-up effects when it tells us.
+function setXp(xp, level) {
+  playerStats.xp = xp;
+  playerStats.level = level;
+  const xpAtCurrentLevel = cumulativeXpForLevel(level);
+  const xpAtNextLevel = cumulativeXpForLevel(level + 1);
+  playerStats.xpIntoCurrentLevel = xp - xpAtCurrentLevel;
+  playerStats.xpForNextLevel = xpAtNextLevel - xpAtCurrentLevel;
+}
+
+function startGame({ profile, network, existingPlayers, existingNpcs }) {
   const canvas = document.getElementById("game");
   canvas.style.display = "block";
 
@@ -35,48 +79,99 @@ function startGame({ name, color, network, existingPlayers, existingNpcs }) {
   const env = createEnvironment(scene);
   loading.text = null;
 
-  const input = new InputManager(canvas);
-  const remotePlayers = new RemotePlayerManager(scene, modelUrl);
-  const npcManager = new NpcManager(scene);
+  const input = new InputManager(canvas, keyBindings);
+  const interpolationClock = new InterpolationClock();
+  const remotePlayers = new RemotePlayerManager(scene, modelUrl, interpolationClock);
+  const npcManager = new NpcManager(scene, interpolationClock);
   const phoneProjectiles = new PhoneProjectileManager(scene);
   const grenadeManager = new GrenadeManager(scene);
   const grenadeAimer = new GrenadeAimer(scene);
+  const abilityEffects = new AbilityEffectManager(scene);
 
-  // Raycaster for NPC click selection + grenade ground targeting
+  // Raycaster for NPC click selection + ground targeting
   const raycaster = new Raycaster();
   const pointerNdc = new Vector2();
   const groundPlane = new ThreePlane(new Vector3(0, 1, 0), 0);
-  let attackCooldown = 0;
-  let grenadeCooldown = 0;
+  // Grenades drawn on throw that the server hasn't answered for yet, oldest
+  // first; it answers each with grenadeThrown or grenadeRejected, in order
+  const unconfirmedGrenades = [];
   let levelUpAura = null;
+  // Abilities up to this level have been announced as unlocked
+  let unlockedLevel = profile.level;
   let wasMenuOpen = false;
+  // Where a gamepad is aiming the armed ability, as an offset from the boar;
+  // null when aiming with the pointer
+  let padAim = null;
+  const aimForward = new Vector3();
 
-  // Range indicator ring shown around the player while a grenade is armed
-  const grenadeRangeRing = new Mesh(
-    new TorusGeometry(GRENADE_RANGE, 0.06, 8, 64),
-    new MeshBasicMaterial({ color: 0xff8c3a, transparent: true, opacity: 0.55, side: DoubleSide, depthWrite: false }),
+  // Range indicator rings shown around the player while a ground-aimed
+  // ability is armed, one per ability
+  const rangeRings = new Map(
+    ABILITIES.filter((a) => a.targeting === "ground").map((ability) => {
+      const ring = new Mesh(
+        new TorusGeometry(ability.range, 0.06, 8, 64),
+        new MeshBasicMaterial({ color: 0xff8c3a, transparent: true, opacity: 0.55, side: DoubleSide, depthWrite: false }),
+      );
+      ring.rotation.x = -Math.PI / 2;
+      ring.position.y = 0.05;
+      return [ability.id, ring];
+    }),
   );
-  grenadeRangeRing.rotation.x = -Math.PI / 2;
-  grenadeRangeRing.position.y = 0.05;
 
-  function setGrenadeArmed(armed) {
-    if (actionBar.grenadeArmed === armed) return;
-    actionBar.grenadeArmed = armed;
-    if (armed && player?.root) {
-      player.root.add(grenadeRangeRing);
+  // Arms a ground-aimed ability (the next click uses it), or disarms with
+  // null. Armed from a gamepad, the right stick aims it instead, starting
+  // halfway out in front of the camera.
+  function setArmedAbility(ability, { gamepad = false } = {}) {
+    const id = ability?.id ?? null;
+    if (actionBar.armedAbility === id) return;
+    rangeRings.get(actionBar.armedAbility)?.removeFromParent();
+    actionBar.armedAbility = id;
+    padAim = null;
+    input.aimWithStick = false;
+    if (ability && gamepad) {
+      cameraGroundForward(aimForward);
+      padAim = { x: aimForward.x * ability.range * 0.5, z: aimForward.z * ability.range * 0.5 };
+      input.aimWithStick = true;
+    }
+    if (ability && player?.root) {
+      player.root.add(rangeRings.get(id));
       canvas.classList.add("aiming");
       grenadeAimer.show();
     } else {
-      grenadeRangeRing.parent?.remove(grenadeRangeRing);
       canvas.classList.remove("aiming");
       grenadeAimer.hide();
     }
   }
 
-  // Resolve a screen position to a clamped throw target on the ground plane.
-  // Returns null if no plane intersection (e.g. camera looking up).
+  // Unlocked, off cooldown and, for grenades, in stock. The server checks
+  // all of this again.
+  function isReady(ability) {
+    return (
+      playerStats.level >= ability.level &&
+      actionBar.cooldowns[ability.id] <= 0 &&
+      !(ability.rationed && actionBar.grenades === 0)
+    );
+  }
+
+  // The server's word on cooldowns still running, when we (re)join
+  function setCooldowns(cooldowns = {}) {
+    for (const ability of ABILITIES) actionBar.cooldowns[ability.id] = cooldowns[ability.id] ?? 0;
+  }
+
+  // The server's word on the grenade slot: on joining, and whenever it turns
+  // a throw down
+  function setGrenadeStatus({ grenadeCooldown, grenades, maxGrenades }) {
+    actionBar.cooldowns.grenade = grenadeCooldown;
+    actionBar.grenades = grenades;
+    actionBar.maxGrenades = maxGrenades;
+    if (actionBar.armedAbility === "grenade" && !isReady(findAbility("grenade"))) setArmedAbility(null);
+  }
+
+  // Resolve a screen position to a target on the ground plane, clamped to
+  // `range` of the player. Returns null if no plane intersection (e.g. camera
+  // looking up).
   const aimerTarget = new Vector3();
-  function resolveAimTarget(screenX, screenY) {
+  function resolveAimTarget(screenX, screenY, range) {
     if (!player?.root) return null;
     pointerNdc.x = (screenX / window.innerWidth) * 2 - 1;
     pointerNdc.y = -(screenY / window.innerHeight) * 2 + 1;
@@ -89,114 +184,278 @@ function startGame({ name, color, network, existingPlayers, existingNpcs }) {
     const dx = hit.x - playerPos.x;
     const dz = hit.z - playerPos.z;
     const distSq = dx * dx + dz * dz;
-    if (distSq > GRENADE_RANGE * GRENADE_RANGE) {
-      const scale = GRENADE_RANGE / Math.sqrt(distSq);
+    if (distSq > range * range) {
+      const scale = range / Math.sqrt(distSq);
       hit.x = playerPos.x + dx * scale;
       hit.z = playerPos.z + dz * scale;
     }
     return hit;
   }
 
-  // XP / leveling helpers
-  function cumulativeXpForLevel(level) {
-    // Level 1 = 0 XP, level 2 = 1000, level 3 = 2100, etc.
-    if (level <= 1) return 0;
-    const n = level - 1;
-    return n * XP_BASE_THRESHOLD + (n * (n - 1) / 2) * XP_THRESHOLD_INCREMENT;
+  // The camera's view direction flattened onto the ground
+  function cameraGroundForward(target) {
+    camera.getWorldDirection(target);
+    target.y = 0;
+    if (target.lengthSq() < 1e-6) target.set(0, 0, -1);
+    return target.normalize();
   }
 
-  function addXp(amount) {
-    const oldLevel = playerStats.level;
-    playerStats.xp += amount;
-
-    // Recalculate level
-    let lvl = oldLevel;
-    while (playerStats.xp >= cumulativeXpForLevel(lvl + 1)) {
-      lvl++;
+  // Moves the gamepad aim point with the right stick, screen-relative and
+  // kept within `range` of the boar. Returns the point on the ground.
+  function updatePadAim(dt, range) {
+    const stick = input.getAimStick();
+    const forward = cameraGroundForward(aimForward);
+    // Right of forward on the ground is (-z, x)
+    padAim.x += (-forward.z * stick.x - forward.x * stick.y) * GAMEPAD_AIM_SPEED * dt;
+    padAim.z += (forward.x * stick.x - forward.z * stick.y) * GAMEPAD_AIM_SPEED * dt;
+    const dist = Math.hypot(padAim.x, padAim.z);
+    if (dist > range) {
+      padAim.x *= range / dist;
+      padAim.z *= range / dist;
     }
-    playerStats.level = lvl;
-
-    // Update bar progress
-    const xpAtCurrentLevel = cumulativeXpForLevel(lvl);
-    const xpAtNextLevel = cumulativeXpForLevel(lvl + 1);
-    playerStats.xpIntoCurrentLevel = playerStats.xp - xpAtCurrentLevel;
-    playerStats.xpForNextLevel = xpAtNextLevel - xpAtCurrentLevel;
+    const playerPos = player.root.position;
+    return aimerTarget.set(playerPos.x + padAim.x, 0, playerPos.z + padAim.z);
+  }
 
-    // Level up glow + nametag + network broadcast
-    if (lvl > oldLevel) {
-      if (player?.root) {
-        levelUpAura?.cancel();
-        levelUpAura = createLevelUpAura(player.root);
+  function playLocalLevelUp(level) {
+    if (player?.root) {
+      levelUpAura?.cancel();
+      levelUpAura = createLevelUpAura(player.root);
+    }
+    if (player?.nametag) updateNametag(player.nametag, player.name, level);
+    for (const ability of ABILITIES) {
+      if (ability.level > unlockedLevel && ability.level <= level) {
+        addChatMessage(null, `Unlocked ${ability.name}! Press ${bindingLabel(keyBindings, ability.id)} to use it.`);
       }
-      if (player?.nametag) updateNametag(player.nametag, player.name, lvl);
-      network.sendLevelUp(lvl);
     }
+    unlockedLevel = Math.max(unlockedLevel, level);
   }
 
-  function getPlayerYaw() {
-    if (!player?.root) return 0;
-    // The boar only ever rotates around Y, so the quaternion is
-    // (0, sin(yaw/2), 0, cos(yaw/2)) and yaw falls out directly.
-    const q = player.root.quaternion;
-    return 2 * Math.atan2(q.y, q.w);
-  }
+  setXp(profile.xp, profile.level);
+  playerStats.hp = profile.hp;
+  playerStats.maxHp = profile.maxHp;
+  playerStats.dead = profile.dead;
+  playerStats.respawnIn = profile.respawnIn;
+  session.room = network.room;
+  session.playerId = network.playerId;
+  Object.assign(session, profile.stats);
+  setCooldowns(profile.cooldowns);
+  setGrenadeStatus(profile);
 
-  function sendIdleState() {
-    if (!player?.root) return;
-    const pos = player.root.position;
-    network.sendState(pos.x, pos.y, pos.z, getPlayerYaw(), "idle");
+  function spawnExistingPlayer(p) {
+    remotePlayers.addPlayer(p.id, p.name, p.color, p.level ?? 1).then(() => {
+      if (p.dead) remotePlayers.setDead(p.id, true);
+    });
   }
 
-  function pauseLocalPlayer() {
-    if (!player?.controller) return;
-    player.controller.halt();
-    sendIdleState();
+  function spawnExistingNpc(n) {
+    npcManager.addNpc(n.id, n.name, n.archetype);
+    if (n.addiction > 0) {
+      npcManager.setAddiction(n.id, n.addiction);
+    }
   }
 
   // Spawn existing players that were already on the server
-  for (const p of existingPlayers) {
-    remotePlayers.addPlayer(p.id, p.name, p.color, p.level ?? 1);
-  }
+  for (const p of existingPlayers) spawnExistingPlayer(p);
 
   // Spawn NPCs that are already on the server
-  for (const n of existingNpcs) {
-    npcManager.addNpc(n.id, n.name);
-    if (n.addiction > 0) {
-      npcManager.setAddiction(n.id, n.addiction);
+  for (const n of existingNpcs) spawnExistingNpc(n);
+
+  // After a reconnect the "joined" payload is the whole truth: anything that
+  // came or went while we were away is added/removed, and the local boar
+  // takes the server's position and stats.
+  function resyncWorld(msg) {
+    const players = new Map(msg.players.map((p) => [p.id, p]));
+    for (const id of [...remotePlayers.players.keys()]) {
+      if (!players.has(id)) remotePlayers.removePlayer(id);
+    }
+    for (const p of players.values()) {
+      if (!remotePlayers.players.has(p.id)) {
+        spawnExistingPlayer(p);
+        continue;
+      }
+      remotePlayers.setLevel(p.id, p.level);
+      remotePlayers.setDead(p.id, p.dead);
+    }
+
+    const npcs = new Map(msg.npcs.map((n) => [n.id, n]));
+    for (const id of [...npcManager.npcs.keys()]) {
+      if (!npcs.has(id)) npcManager.removeNpc(id);
+    }
+    for (const n of npcs.values()) {
+      if (!npcManager.npcs.has(n.id)) spawnExistingNpc(n);
+      else npcManager.setAddiction(n.id, n.addiction);
+    }
+    if (actionBar.selectedNpcId && !npcs.has(actionBar.selectedNpcId)) {
+      actionBar.selectedNpcId = null;
+    }
+
+    setXp(msg.xp, msg.level);
+    if (player?.nametag) updateNametag(player.nametag, player.name, msg.level);
+    playerStats.hp = msg.hp;
+    playerStats.maxHp = msg.maxHp;
+    playerStats.dead = msg.dead;
+    playerStats.respawnIn = msg.respawnIn;
+    // A new session if the old boar wasn't there to resume
+    session.playerId = msg.id;
+    Object.assign(session, msg.stats);
+    // Throws from before the drop may never be answered
+    unconfirmedGrenades.length = 0;
+    setCooldowns(msg.cooldowns);
+    setGrenadeStatus(msg);
+    if (player?.root) {
+      player.controller.teleport(msg.x, msg.y, msg.z);
+      player.root.visible = !msg.dead;
     }
   }
 
   // Wire up network events
+  network.onConnectionLost = () => {
+    connection.status = "reconnecting";
+    setArmedAbility(null);
+  };
+  network.onReconnected = (msg) => {
+    connection.status = "connected";
+    resyncWorld(msg);
+    if (!msg.resumed) addChatMessage(null, "Reconnected as a new session.");
+  };
+  network.onDisconnected = (reason) => {
+    connection.status = "lost";
+    connection.message = reason;
+  };
+  // Joined/left and spawned/removed also mean "came into / went out of
+  // range": the server only tells us about entities near our boar
   network.onPlayerJoined = (msg) => {
-    remotePlayers.addPlayer(msg.id, msg.name, msg.color, msg.level ?? 1);
+    spawnExistingPlayer(msg);
   };
   network.onPlayerLeft = (msg) => {
     remotePlayers.removePlayer(msg.id);
   };
   network.onPlayerLevelUp = (msg) => {
+    if (msg.id === network.playerId) {
+      playLocalLevelUp(msg.level);
+      return;
+    }
     remotePlayers.setLevel(msg.id, msg.level);
   };
+  network.onXpGained = (msg) => {
+    setXp(msg.xp, msg.level);
+  };
+  network.onPlayerDamaged = (msg) => {
+    playerStats.hp = msg.hp;
+  };
+  network.onPlayerDied = (msg) => {
+    if (msg.id !== network.playerId) {
+      remotePlayers.setDead(msg.id, true);
+      return;
+    }
+    playerStats.hp = 0;
+    playerStats.dead = true;
+    playerStats.respawnIn = msg.respawnIn;
+    setArmedAbility(null);
+    npcManager.deselectNpc();
+    actionBar.selectedNpcId = null;
+    if (player?.root) player.root.visible = false;
+  };
+  network.onPlayerRespawned = (msg) => {
+    if (msg.id !== network.playerId) {
+      remotePlayers.teleport(msg.id, msg.x, msg.y, msg.z);
+      remotePlayers.setDead(msg.id, false);
+      return;
+    }
+    playerStats.hp = msg.hp;
+    playerStats.dead = false;
+    playerStats.respawnIn = 0;
+    if (player?.root) {
+      player.controller.teleport(msg.x, msg.y, msg.z);
+      player.root.visible = true;
+    }
+  };
+  network.onMoveAck = (msg) => {
+    player?.controller.reconcile(msg);
+  };
+  network.onCorrection = (msg) => {
+    player?.controller.teleport(msg.x, msg.y, msg.z);
+  };
+  network.onChat = (msg) => {
+    addChatMessage(msg.name, msg.text);
+    remotePlayers.showChatBubble(msg.id, msg.text);
+  };
+  network.onChatNotice = (msg) => {
+    addChatMessage(null, msg.text);
+  };
+  network.onStatsUpdated = (msg) => {
+    Object.assign(session, msg.stats);
+  };
+  network.onProfileReset = (msg) => {
+    setXp(msg.xp, msg.level);
+    if (player?.nametag) updateNametag(player.nametag, player.name, msg.level);
+    // Abilities above the new level are locked again, and unlock anew
+    unlockedLevel = msg.level;
+    if (actionBar.armedAbility && findAbility(actionBar.armedAbility).level > msg.level) setArmedAbility(null);
+  };
   network.onGrenadeThrown = (msg) => {
     // Attacker already spawned locally on press. Observers spawn here.
-    if (msg.attackerId === network.playerId) return;
+    if (msg.attackerId === network.playerId) {
+      unconfirmedGrenades.shift();
+      return;
+    }
     const startPos = new Vector3(msg.startX, msg.startY + 1.2, msg.startZ);
     const targetPos = new Vector3(msg.targetX, 0, msg.targetZ);
     grenadeManager.throwAt(startPos, targetPos);
   };
-  network.onPositions = (states) => {
+  network.onGrenadeRejected = (msg) => {
+    const projectile = unconfirmedGrenades.shift();
+    if (projectile) grenadeManager.cancel(projectile);
+    setGrenadeStatus(msg);
+  };
+  network.onGrenadeCharges = (msg) => {
+    actionBar.grenades = msg.grenades;
+  };
+  network.onAbilityUsed = (msg) => {
+    abilityEffects.play(msg);
+  };
+  network.onAbilityRejected = (msg) => {
+    actionBar.cooldowns[msg.id] = msg.cooldown;
+  };
+  network.onPlayerHealed = (msg) => {
+    playerStats.hp = msg.hp;
+  };
+  network.onPositions = (states, time) => {
+    interpolationClock.observe(time);
     const remoteStates = states.filter((s) => s.id !== network.playerId);
-    remotePlayers.updatePositions(remoteStates);
+    remotePlayers.updatePositions(remoteStates, time);
   };
-  network.onNpcPositions = (states) => {
-    npcManager.updatePositions(states);
+  network.onNpcPositions = (states, time) => {
+    npcManager.updatePositions(states, time);
   };
 
+  // Net debug overlay (F3), refreshed a few times a second while visible
+  let netDebugTimer = 0;
+  let lastSnapshotStats = { ...network.snapshotStats };
+  function updateNetDebug(dt) {
+    netDebugTimer += dt;
+    if (netDebugTimer < 0.5) return;
+    netDebugTimer = 0;
+
+    const { received, lost } = network.snapshotStats;
+    const receivedDelta = received - lastSnapshotStats.received;
+    const lostDelta = lost - lastSnapshotStats.lost;
+    lastSnapshotStats = { received, lost };
+    if (!netDebug.visible) return;
+
+    netDebug.bufferedMs = interpolationClock.bufferedMs;
+    netDebug.delayMs = interpolationClock.delay;
+    netDebug.jitterMs = interpolationClock.jitter;
+    netDebug.lossPct = receivedDelta + lostDelta > 0 ? (lostDelta / (receivedDelta + lostDelta)) * 100 : 0;
+  }
+
   // Attack events
   network.onNpcHit = (msg) => {
     npcManager.setAddiction(msg.npcId, msg.addiction);
 
-    // Spawn phone visual for remote players' attacks
-    if (msg.attackerId !== network.playerId) {
+    // Spawn phone visual for remote players' throws
+    if (msg.attackerId !== network.playerId && isThrownHit(msg)) {
       const startPos = new Vector3(msg.attackerX, msg.attackerY + 1.2, msg.attackerZ);
       const endPos = npcManager.getNpcWorldPosition(msg.npcId);
       if (endPos) {
@@ -207,9 +466,6 @@ function startGame({ name, color, network, existingPlayers, existingNpcs }) {
   };
   network.onNpcDied = (msg) => {
     npcManager.killNpc(msg.npcId);
-    if (msg.killerId === network.playerId) {
-      addXp(XP_PER_KILL);
-    }
   };
   network.onNpcRemoved = (msg) => {
     npcManager.removeNpc(msg.npcId);
@@ -218,7 +474,7 @@ function startGame({ name, color, network, existingPlayers, existingNpcs }) {
     }
   };
   network.onNpcSpawned = (msg) => {
-    npcManager.addNpc(msg.npc.id, msg.npc.name);
+    spawnExistingNpc(msg.npc);
   };
 
   function setRayFromClick(clickEvent) {
@@ -242,7 +498,7 @@ function startGame({ name, color, network, existingPlayers, existingNpcs }) {
       const distToPlayer = Math.sqrt(
         (npcPos.x - playerPos.x) ** 2 + (npcPos.z - playerPos.z) ** 2
       );
-      if (distToPlayer > ATTACK_RANGE) continue;
+      if (distToPlayer > NPC_SELECT_RANGE) continue;
 
       const intersects = raycaster.intersectObject(npc.root, true);
       if (intersects.length > 0) {
@@ -254,32 +510,117 @@ function startGame({ name, color, network, existingPlayers, existingNpcs }) {
       }
     }
 
-    if (bestId) {
-      npcManager.selectNpc(bestId);
-      actionBar.selectedNpcId = bestId;
+    selectNpc(bestId);
+  }
+
+  function selectNpc(id) {
+    if (id) {
+      npcManager.selectNpc(id);
+      actionBar.selectedNpcId = id;
     } else {
       npcManager.deselectNpc();
       actionBar.selectedNpcId = null;
     }
   }
 
-  // Grenade throw via click — uses the same aim resolver as the preview
-  function handleGrenadeThrowClick(clickEvent) {
-    const hit = resolveAimTarget(clickEvent.clientX, clickEvent.clientY);
-    if (!hit) return false;
+  // Gamepad targeting, with no pointer to click with: the nearest live kid in
+  // throwing range, then the next nearest on each press
+  function cycleNpcTarget() {
+    if (!player?.root) return;
+    const playerPos = player.root.position;
+    const inRange = [];
+    for (const [id, npc] of npcManager.npcs) {
+      if (npc.dead) continue;
+      const dist = Math.hypot(npc.root.position.x - playerPos.x, npc.root.position.z - playerPos.z);
+      if (dist <= ATTACK_RANGE) inRange.push({ id, dist });
+    }
+    inRange.sort((a, b) => a.dist - b.dist);
+    const current = inRange.findIndex((n) => n.id === npcManager.selectedNpcId);
+    selectNpc(inRange[(current + 1) % inRange.length]?.id ?? null);
+  }
+
+  // Armed ability used via click — uses the same aim resolver as the preview
+  function handleGroundAbilityClick(clickEvent, ability) {
+    const hit = resolveAimTarget(clickEvent.clientX, clickEvent.clientY, ability.range);
+    if (hit) useGroundAbility(ability, hit);
+  }
+
+  // Grenades are drawn straight away; other effects wait for the server's
+  // abilityUsed
+  function useGroundAbility(ability, hit) {
+    actionBar.cooldowns[ability.id] = ability.cooldown;
+
+    if (ability.effect === "grenade") {
+      const startPos = player.root.position.clone();
+      startPos.y += 1.2;
+      const landPos = new Vector3(hit.x, 0, hit.z);
+      unconfirmedGrenades.push(grenadeManager.throwAt(startPos, landPos));
+      if (actionBar.grenades !== null) actionBar.grenades--;
+    }
+    network.sendAbility(ability.id, { x: hit.x, z: hit.z });
+
+    setArmedAbility(null);
+  }
+
+  // Throws a device (phone, tablet) at the selected kid, if it's in range
+  function throwAtSelectedNpc(ability) {
+    const npcId = npcManager.selectedNpcId;
+    const targetPos = npcId && npcManager.getNpcWorldPosition(npcId);
+    if (!targetPos) return;
+    const playerPos = player.root.position;
+    const dist = Math.sqrt((targetPos.x - playerPos.x) ** 2 + (targetPos.z - playerPos.z) ** 2);
+    if (dist > ability.range) return;
 
-    grenadeCooldown = GRENADE_COOLDOWN;
-    actionBar.grenadeCooldownRemaining = GRENADE_COOLDOWN;
-    actionBar.grenadeCooldownTotal = GRENADE_COOLDOWN;
+    actionBar.cooldowns[ability.id] = ability.cooldown;
 
-    const startPos = player.root.position.clone();
+    const startPos = playerPos.clone();
     startPos.y += 1.2;
-    const landPos = new Vector3(hit.x, 0, hit.z);
-    grenadeManager.throwAt(startPos, landPos);
-    network.sendGrenade(hit.x, hit.z);
+    targetPos.y += 0.8;
+
+    // The server judges the throw against the world as drawn here and lands
+    // it after the same flight time. Movement goes first so it knows where
+    // we threw from.
+    if (player.controller) {
+      const frames = player.controller.consumeInputs();
+      if (frames.length) network.sendInputs(frames);
+    }
+    network.sendAbility(ability.id, { npcId, time: Math.round(interpolationClock.renderTime) });
+    phoneProjectiles.spawn(startPos, targetPos, null);
+  }
+
+  // An action bar key or button: selects the slot, then aims, arms or fires
+  // the ability depending on its targeting. `source` is "keyboard" or
+  // "gamepad".
+  function handleAbilityKey(ability, slot, source) {
+    actionBar.selectedSlot = slot;
+    if (playerStats.level < ability.level) {
+      setArmedAbility(null);
+      addChatMessage(null, `${ability.name} unlocks at level ${ability.level}.`);
+      return;
+    }
+
+    // Ground abilities toggle armed; the next click throws them. On a
+    // gamepad the second press throws at the stick's aim point.
+    if (ability.targeting === "ground") {
+      if (actionBar.armedAbility !== ability.id) {
+        if (isReady(ability)) setArmedAbility(ability, { gamepad: source === "gamepad" });
+      } else if (source === "gamepad" && padAim) {
+        useGroundAbility(ability, updatePadAim(0, ability.range));
+      } else {
+        setArmedAbility(null);
+      }
+      return;
+    }
 
-    setGrenadeArmed(false);
-    return true;
+    setArmedAbility(null);
+    if (!isReady(ability)) return;
+    if (ability.targeting === "npc") {
+      if (source === "gamepad" && !npcManager.selectedNpcId) cycleNpcTarget();
+      throwAtSelectedNpc(ability);
+    } else {
+      actionBar.cooldowns[ability.id] = ability.cooldown;
+      network.sendAbility(ability.id);
+    }
   }
 
   let player = null;
@@ -287,8 +628,9 @@ function startGame({ name, color, network, existingPlayers, existingNpcs }) {
 
   loadPlayer(scene, camera, input, env, {
     modelUrl,
-    playerName: name,
-    color,
+    playerName: profile.name,
+    level: profile.level,
+    color: profile.color,
     onProgress: (pct) => {
       loading.text = `Loading player... ${pct}%`;
     },
@@ -300,6 +642,12 @@ function startGame({ name, color, network, existingPlayers, existingNpcs }) {
       }
       player = result;
       loading.text = null;
+      // A boar resumed after a page reload keeps its place, and stays down
+      // if it was knocked out
+      if (profile.resumed) {
+        player.controller.teleport(profile.x, profile.y, profile.z);
+        player.root.visible = !playerStats.dead;
+      }
     })
     .catch((err) => {
       if (destroyed) return;
@@ -307,32 +655,50 @@ function startGame({ name, color, network, existingPlayers, existingNpcs }) {
       loading.text = "Failed to load player model. Check console.";
     });
 
-  // Send local player state to server at ~20Hz
+  // Batch predicted input frames to the server at ~20Hz
   let sendTimer = 0;
 
   start((dt) => {
     if (destroyed) return;
 
+    input.pollGamepad(dt);
+    inputDevice.gamepad = input.usingGamepad;
+    if (input.wasPadPressed("menu")) gameMenu.open = !gameMenu.open;
+
     if (gameMenu.open && !wasMenuOpen) {
-      pauseLocalPlayer();
-      setGrenadeArmed(false);
+      setArmedAbility(null);
     }
     wasMenuOpen = gameMenu.open;
+    input.setKeyboardSuspended(chat.typing);
 
-    if (gameMenu.open) {
+    // While knocked out or offline the boar is frozen exactly like with the
+    // menu open
+    const paused = gameMenu.open || playerStats.dead || connection.status !== "connected";
+    if (paused) {
       input.clearTransientInputs();
     }
 
-    if (!gameMenu.open && player?.controller) player.controller.update(dt);
+    if (playerStats.dead) {
+      playerStats.respawnIn = Math.max(0, playerStats.respawnIn - dt);
+    }
+
+    // The menu only cuts input; the boar keeps simulating (and coasts to a
+    // stop) so prediction stays in step with the server. A downed boar is
+    // frozen on both ends, so its simulation simply pauses.
+    if (!playerStats.dead && player?.controller) player.controller.update(dt, { acceptInput: !paused });
     if (player?.mixer) player.mixer.update(dt);
+    interpolationClock.update(dt);
+    updateNetDebug(dt);
     remotePlayers.update(dt);
     npcManager.update(dt);
     phoneProjectiles.update(dt);
     grenadeManager.update(dt);
+    abilityEffects.update(dt);
 
-    if (actionBar.grenadeArmed && player?.root) {
+    const armed = findAbility(actionBar.armedAbility);
+    if (armed && player?.root) {
       const ptr = input.getPointerPosition();
-      const aim = resolveAimTarget(ptr.x, ptr.y);
+      const aim = padAim ? updatePadAim(dt, armed.range) : resolveAimTarget(ptr.x, ptr.y, armed.range);
       if (aim) {
         const playerPos = player.root.position;
         grenadeAimer.update(dt, playerPos.x, playerPos.y + 1.2, playerPos.z, aim.x, aim.z);
@@ -340,101 +706,334 @@ function startGame({ name, color, network, existingPlayers, existingNpcs }) {
     }
     if (levelUpAura && !levelUpAura.done) levelUpAura.update(dt);
 
-    // Attack cooldown
-    if (attackCooldown > 0) {
-      attackCooldown -= dt;
-      if (attackCooldown < 0) attackCooldown = 0;
-      actionBar.cooldownRemaining = attackCooldown;
-    }
-
-    // Grenade cooldown
-    if (grenadeCooldown > 0) {
-      grenadeCooldown -= dt;
-      if (grenadeCooldown < 0) grenadeCooldown = 0;
-      actionBar.grenadeCooldownRemaining = grenadeCooldown;
+    // Ability cooldowns
+    for (const ability of ABILITIES) {
+      const remaining = actionBar.cooldowns[ability.id];
+      if (remaining > 0) actionBar.cooldowns[ability.id] = Math.max(0, remaining - dt);
     }
 
-    // Handle click — armed grenade throws to ground point, otherwise NPC select
+    // Handle click — an armed ability goes to the ground point, otherwise NPC select
     const click = input.consumeClick();
-    if (!gameMenu.open && click) {
-      if (actionBar.grenadeArmed) {
-        handleGrenadeThrowClick(click);
+    if (!paused && click) {
+      if (armed) {
+        handleGroundAbilityClick(click, armed);
       } else {
         handleNpcSelectClick(click);
       }
     }
 
-    // Handle 1 key for phone — selects slot 1 (disarming grenade), then fires if able
-    if (!gameMenu.open && input.wasAttackPressed() && player?.root) {
-      actionBar.selectedSlot = 1;
-      if (actionBar.grenadeArmed) setGrenadeArmed(false);
-
-      if (npcManager.selectedNpcId && attackCooldown <= 0) {
-        const targetPos = npcManager.getNpcWorldPosition(npcManager.selectedNpcId);
-        if (targetPos) {
-          const playerPos = player.root.position;
-          const dist = Math.sqrt(
-            (targetPos.x - playerPos.x) ** 2 + (targetPos.z - playerPos.z) ** 2
-          );
-
-          if (dist <= ATTACK_RANGE) {
-            attackCooldown = ATTACK_COOLDOWN;
-            actionBar.cooldownRemaining = ATTACK_COOLDOWN;
-            actionBar.cooldownTotal = ATTACK_COOLDOWN;
-
-            const startPos = player.root.position.clone();
-            startPos.y += 1.2;
-            targetPos.y += 0.8;
-
-            const npcId = npcManager.selectedNpcId;
-            phoneProjectiles.spawn(startPos, targetPos, () => {
-              network.sendAttack(npcId);
-            });
-          }
-        }
-      }
-    }
+    // Gamepad targeting and aim cancel
+    if (!paused && input.wasPadPressed("target")) cycleNpcTarget();
+    if (!paused && input.wasPadPressed("cancel")) setArmedAbility(null);
 
-    // Handle 2 key for grenade — selects slot 2; toggles armed when allowed
-    if (!gameMenu.open && input.wasGrenadePressed() && player?.root) {
-      actionBar.selectedSlot = 2;
-      if (actionBar.grenadeArmed) {
-        setGrenadeArmed(false);
-      } else if (grenadeCooldown <= 0) {
-        setGrenadeArmed(true);
-      }
+    // Action bar keys and buttons
+    for (const [i, ability] of ABILITIES.entries()) {
+      const source = input.wasAbilityPressed(ability.id);
+      if (!paused && source && player?.root) handleAbilityKey(ability, i + 1, source);
     }
 
-    // Send position to server at ~20Hz
-    if (!gameMenu.open && player?.root) {
+    // Send inputs to server at ~20Hz
+    if (player?.controller) {
       sendTimer += dt;
       if (sendTimer >= 0.05) {
         sendTimer = 0;
-        const pos = player.root.position;
-        const ry = getPlayerYaw();
-        let anim = "idle";
-        if (!player.controller.onGround) anim = "jump";
-        else if (player.controller.isMoving) anim = "walk";
-        network.sendState(pos.x, pos.y, pos.z, ry, anim);
+        const frames = player.controller.consumeInputs();
+        if (frames.length) network.sendInputs(frames);
       }
     }
   });
 
-  function disposeSceneGraph() {
-    scene.traverse((obj) => {
-      if (obj.geometry?.dispose) obj.geometry.dispose();
+  function destroy() {
+    if (destroyed) return;
+    destroyed = true;
+    network.disconnect();
+    input.dispose();
+    gameMenu.open = false;
+    canvas.classList.remove("dragging");
+    canvas.style.display = "none";
+    stop();
+    disposeSceneGraph(scene);
+    resetUiState();
+  }
 
-      const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
-      for (const material of materials) {
-        if (!material) continue;
-        for (const value of Object.values(material)) {
-          if (value?.isTexture && value.dispose) value.dispose();
-        }
-        material.dispose?.();
-      }
+  function resetProgress() {
+    network.sendResetProfile();
+  }
+
+  function sendChat(text) {
+    network.sendChat(text);
+  }
+
+  return { destroy, resetProgress, sendChat };
+}
+
+// Watches a live world without a boar. The world is drawn exactly as in
+// startGame; the camera orbits whoever is being followed (or flies free) and
+// the HUD shows the followed player's stats.
+function startSpectating({ network, existingPlayers, existingNpcs, maxHp }) {
+  const canvas = document.getElementById("game");
+  canvas.style.display = "block";
+
+  const { scene, camera, start, stop } = createScene(canvas);
+  let destroyed = false;
+  createEnvironment(scene);
+
+  const input = new InputManager(canvas, keyBindings);
+  const interpolationClock = new InterpolationClock();
+  const remotePlayers = new RemotePlayerManager(scene, modelUrl, interpolationClock);
+  const npcManager = new NpcManager(scene, interpolationClock);
+  const phoneProjectiles = new PhoneProjectileManager(scene);
+  const grenadeManager = new GrenadeManager(scene);
+  const abilityEffects = new AbilityEffectManager(scene);
+  const orbitCamera = new OrbitCamera(camera, input);
+  const freeCamera = new FreeCamera(camera, input);
+  freeCamera.lookAt(new Vector3(0, 30, 40), new Vector3(0, 0, 0));
+  const cameraDirection = new Vector3();
+  let levelUpAura = null;
+  // The free camera tells the server where it is a few times a second, so
+  // NPCs around it stay in view
+  let cameraReportTimer = 0;
+
+  spectator.active = true;
+  playerStats.maxHp = maxHp;
+  session.room = network.room;
+
+  // Every player in the world, in the order they can be cycled through
+  const roster = new Map(); // id -> name
+  let followId = null;
+
+  function spawnPlayer(p) {
+    roster.set(p.id, p.name);
+    remotePlayers.addPlayer(p.id, p.name, p.color, p.level ?? 1).then(() => {
+      if (p.dead) remotePlayers.setDead(p.id, true);
     });
   }
 
+  function spawnNpc(n) {
+    npcManager.addNpc(n.id, n.name, n.archetype);
+    if (n.addiction > 0) npcManager.setAddiction(n.id, n.addiction);
+  }
+
+  for (const p of existingPlayers) spawnPlayer(p);
+  for (const n of existingNpcs) spawnNpc(n);
+
+  // Stats arrive with the server's "following" reply
+  function follow(id) {
+    followId = id;
+    spectator.following = id === null ? null : roster.get(id);
+    if (id === null) {
+      playerStats.dead = false;
+      return;
+    }
+    spectator.mode = "follow";
+    network.sendSpectate({ follow: id });
+  }
+
+  function cycle(step) {
+    const ids = [...roster.keys()];
+    if (ids.length === 0) {
+      follow(null);
+      return;
+    }
+    const index = ids.indexOf(followId);
+    const next = index < 0 ? (step > 0 ? 0 : ids.length - 1) : (index + step + ids.length) % ids.length;
+    follow(ids[next]);
+  }
+
+  function setFreeCamera() {
+    // Carry on from the current view rather than jumping
+    camera.getWorldDirection(cameraDirection);
+    freeCamera.lookAt(camera.position.clone(), cameraDirection.add(camera.position));
+    spectator.mode = "free";
+    followId = null;
+    spectator.following = null;
+    playerStats.dead = false;
+    cameraReportTimer = Infinity;
+  }
+
+  cycle(1);
+
+  // The "joined" payload after a reconnect lists everything again
+  function resyncWorld(msg) {
+    const players = new Map(msg.players.map((p) => [p.id, p]));
+    for (const id of [...remotePlayers.players.keys()]) {
+      if (!players.has(id)) {
+        remotePlayers.removePlayer(id);
+        roster.delete(id);
+      }
+    }
+    for (const p of players.values()) {
+      if (!remotePlayers.players.has(p.id)) {
+        spawnPlayer(p);
+        continue;
+      }
+      remotePlayers.setLevel(p.id, p.level);
+      remotePlayers.setDead(p.id, p.dead);
+    }
+
+    const npcs = new Map(msg.npcs.map((n) => [n.id, n]));
+    for (const id of [...npcManager.npcs.keys()]) {
+      if (!npcs.has(id)) npcManager.removeNpc(id);
+    }
+    for (const n of npcs.values()) {
+      if (!npcManager.npcs.has(n.id)) spawnNpc(n);
+      else npcManager.setAddiction(n.id, n.addiction);
+    }
+
+    // A new connection follows nobody until told again
+    if (spectator.mode === "free") cameraReportTimer = Infinity;
+    else if (roster.has(followId)) network.sendSpectate({ follow: followId });
+    else cycle(1);
+  }
+
+  network.onConnectionLost = () => {
+    connection.status = "reconnecting";
+  };
+  network.onReconnected = (msg) => {
+    connection.status = "connected";
+    resyncWorld(msg);
+  };
+  network.onDisconnected = (reason) => {
+    connection.status = "lost";
+    connection.message = reason;
+  };
+  network.onPlayerJoined = (msg) => {
+    spawnPlayer(msg);
+    if (spectator.mode === "follow" && followId === null) follow(msg.id);
+  };
+  network.onPlayerLeft = (msg) => {
+    remotePlayers.removePlayer(msg.id);
+    roster.delete(msg.id);
+    if (msg.id === followId) cycle(1);
+  };
+  network.onFollowing = (msg) => {
+    if (msg.id !== followId) return;
+    setXp(msg.xp, msg.level);
+    playerStats.hp = msg.hp;
+    playerStats.maxHp = msg.maxHp;
+    playerStats.dead = msg.dead;
+    playerStats.respawnIn = msg.respawnIn;
+  };
+  // These three are only sent for the followed player
+  network.onXpGained = (msg) => {
+    setXp(msg.xp, msg.level);
+  };
+  network.onProfileReset = (msg) => {
+    setXp(msg.xp, msg.level);
+  };
+  network.onPlayerDamaged = (msg) => {
+    playerStats.hp = msg.hp;
+  };
+  network.onPlayerHealed = (msg) => {
+    playerStats.hp = msg.hp;
+  };
+  network.onPlayerLevelUp = (msg) => {
+    remotePlayers.setLevel(msg.id, msg.level);
+    const root = remotePlayers.getRoot(msg.id);
+    if (msg.id === followId && root) {
+      levelUpAura?.cancel();
+      levelUpAura = createLevelUpAura(root);
+    }
+  };
+  network.onPlayerDied = (msg) => {
+    remotePlayers.setDead(msg.id, true);
+    if (msg.id !== followId) return;
+    playerStats.hp = 0;
+    playerStats.dead = true;
+    playerStats.respawnIn = msg.respawnIn;
+  };
+  network.onPlayerRespawned = (msg) => {
+    remotePlayers.teleport(msg.id, msg.x, msg.y, msg.z);
+    remotePlayers.setDead(msg.id, false);
+    if (msg.id !== followId) return;
+    playerStats.hp = msg.hp;
+    playerStats.dead = false;
+    playerStats.respawnIn = 0;
+  };
+  network.onChat = (msg) => {
+    addChatMessage(msg.name, msg.text);
+    remotePlayers.showChatBubble(msg.id, msg.text);
+  };
+  network.onChatNotice = (msg) => {
+    addChatMessage(null, msg.text);
+  };
+  network.onGrenadeThrown = (msg) => {
+    const startPos = new Vector3(msg.startX, msg.startY + 1.2, msg.startZ);
+    const targetPos = new Vector3(msg.targetX, 0, msg.targetZ);
+    grenadeManager.throwAt(startPos, targetPos);
+  };
+  network.onAbilityUsed = (msg) => {
+    abilityEffects.play(msg);
+  };
+  network.onPositions = (states, time) => {
+    interpolationClock.observe(time);
+    remotePlayers.updatePositions(states, time);
+  };
+  network.onNpcPositions = (states, time) => {
+    npcManager.updatePositions(states, time);
+  };
+  network.onNpcHit = (msg) => {
+    npcManager.setAddiction(msg.npcId, msg.addiction);
+    if (!isThrownHit(msg)) return;
+    const startPos = new Vector3(msg.attackerX, msg.attackerY + 1.2, msg.attackerZ);
+    const endPos = npcManager.getNpcWorldPosition(msg.npcId);
+    if (endPos) {
+      endPos.y += 0.8;
+      phoneProjectiles.spawn(startPos, endPos, null);
+    }
+  };
+  network.onNpcDied = (msg) => {
+    npcManager.killNpc(msg.npcId);
+  };
+  network.onNpcRemoved = (msg) => {
+    npcManager.removeNpc(msg.npcId);
+  };
+  network.onNpcSpawned = (msg) => {
+    spawnNpc(msg.npc);
+  };
+
+  start((dt) => {
+    if (destroyed) return;
+
+    input.pollGamepad(dt);
+    inputDevice.gamepad = input.usingGamepad;
+    if (input.wasPadPressed("menu")) gameMenu.open = !gameMenu.open;
+    input.setKeyboardSuspended(chat.typing);
+    if (gameMenu.open) input.clearTransientInputs();
+
+    if (input.wasKeyPressed("KeyF")) {
+      if (spectator.mode === "free") cycle(1);
+      else setFreeCamera();
+    }
+    if (input.wasKeyPressed("ArrowRight") || input.wasPadPressed("target")) cycle(1);
+    if (input.wasKeyPressed("ArrowLeft")) cycle(-1);
+
+    if (playerStats.dead) {
+      playerStats.respawnIn = Math.max(0, playerStats.respawnIn - dt);
+    }
+
+    interpolationClock.update(dt);
+    remotePlayers.update(dt);
+    npcManager.update(dt);
+    phoneProjectiles.update(dt);
+    grenadeManager.update(dt);
+    abilityEffects.update(dt);
+    if (levelUpAura && !levelUpAura.done) levelUpAura.update(dt);
+
+    const followed = followId === null ? null : remotePlayers.getRoot(followId);
+    if (spectator.mode === "follow") {
+      if (followed) orbitCamera.update(dt, followed.position);
+      return;
+    }
+
+    if (!gameMenu.open) freeCamera.update(dt);
+    cameraReportTimer += dt;
+    if (cameraReportTimer >= 0.25) {
+      cameraReportTimer = 0;
+      network.sendSpectate({ x: camera.position.x, z: camera.position.z });
+    }
+  });
+
   function destroy() {
     if (destroyed) return;
     destroyed = true;
@@ -444,9 +1043,189 @@ function startGame({ name, color, network, existingPlayers, existingNpcs }) {
     canvas.classList.remove("dragging");
     canvas.style.display = "none";
     stop();
-    disposeSceneGraph();
+    disposeSceneGraph(scene);
     resetUiState();
   }
 
   return { destroy };
 }
+
+// Watches a recorded match (see game/replay.js) with the live game's managers
+// and a free camera instead of a boar. Playback time drives everything the
+// server's snapshots and events would; the camera runs on real time.
+function startReplay({ replay: recording }) {
+  const canvas = document.getElementById("game");
+  canvas.style.display = "block";
+
+  const { scene, camera, start, stop } = createScene(canvas);
+  let destroyed = false;
+  createEnvironment(scene);
+
+  const input = new InputManager(canvas, keyBindings);
+  const replay = new ReplayPlayer(recording);
+  const remotePlayers = new RemotePlayerManager(scene, modelUrl, replay);
+  const npcManager = new NpcManager(scene, replay);
+  const phoneProjectiles = new PhoneProjectileManager(scene);
+  const grenadeManager = new GrenadeManager(scene);
+  const abilityEffects = new AbilityEffectManager(scene);
+  const freeCamera = new FreeCamera(camera, input);
+  freeCamera.lookAt(new Vector3(0, 30, 40), new Vector3(0, 0, 0));
+
+  Object.assign(replayPlayback, {
+    name: recording.header.name,
+    startedAt: recording.header.startedAt,
+    time: 0,
+    duration: replay.duration,
+    paused: false,
+    speed: 1,
+  });
+
+  // Snapshots run a little ahead of playback, so the ones from just before
+  // something appears were dropped; its spawn info fills the gap
+  function spawnPlayer(p, time) {
+    remotePlayers.addPlayer(p.id, p.name, p.color, p.level ?? 1).then(() => {
+      remotePlayers.updatePositions([p], time);
+      if (p.dead) remotePlayers.setDead(p.id, true);
+    });
+  }
+
+  function spawnNpc(n, time) {
+    npcManager.addNpc(n.id, n.name, n.archetype);
+    npcManager.updatePositions([n], time);
+    if (n.addiction > 0) npcManager.setAddiction(n.id, n.addiction);
+    if (n.dead) npcManager.killNpc(n.id);
+  }
+
+  // After a seek. Boars that are still around are moved rather than rebuilt
+  // (their models are the expensive part); NPCs are cheap, and a dead one
+  // can't be brought back, so they all start over.
+  replay.onReset = ({ players, npcs }, time) => {
+    const present = new Map(players.map((p) => [p.id, p]));
+    for (const id of [...remotePlayers.players.keys()]) {
+      if (!present.has(id)) remotePlayers.removePlayer(id);
+    }
+    for (const p of players) {
+      if (!remotePlayers.players.has(p.id)) {
+        spawnPlayer(p, time);
+        continue;
+      }
+      remotePlayers.teleport(p.id, p.x, p.y, p.z);
+      remotePlayers.setLevel(p.id, p.level);
+      remotePlayers.setDead(p.id, p.dead);
+    }
+
+    for (const id of [...npcManager.npcs.keys()]) npcManager.removeNpc(id);
+    for (const n of npcs) spawnNpc(n, time);
+
+    phoneProjectiles.clear();
+    grenadeManager.dispose();
+    abilityEffects.dispose();
+  };
+
+  replay.onEvent = (msg, time) => {
+    if (msg.type === "playerJoined") {
+      spawnPlayer(msg, time);
+    } else if (msg.type === "playerLeft") {
+      remotePlayers.removePlayer(msg.id);
+    } else if (msg.type === "npcSpawned") {
+      spawnNpc(msg.npc, time);
+    } else if (msg.type === "npcRemoved") {
+      npcManager.removeNpc(msg.npcId);
+    } else if (msg.type === "npcHit") {
+      npcManager.setAddiction(msg.npcId, msg.addiction);
+      const startPos = new Vector3(msg.attackerX, msg.attackerY + 1.2, msg.attackerZ);
+      const endPos = isThrownHit(msg) && npcManager.getNpcWorldPosition(msg.npcId);
+      if (endPos) {
+        endPos.y += 0.8;
+        phoneProjectiles.spawn(startPos, endPos, null);
+      }
+    } else if (msg.type === "npcDied") {
+      npcManager.killNpc(msg.npcId);
+    } else if (msg.type === "grenadeThrown") {
+      const startPos = new Vector3(msg.startX, msg.startY + 1.2, msg.startZ);
+      const targetPos = new Vector3(msg.targetX, 0, msg.targetZ);
+      grenadeManager.throwAt(startPos, targetPos);
+    } else if (msg.type === "abilityUsed") {
+      abilityEffects.play(msg);
+    } else if (msg.type === "playerLevelUp") {
+      remotePlayers.setLevel(msg.id, msg.level);
+    } else if (msg.type === "playerDied") {
+      remotePlayers.setDead(msg.id, true);
+    } else if (msg.type === "playerRespawned") {
+      remotePlayers.teleport(msg.id, msg.x, msg.y, msg.z);
+      remotePlayers.setDead(msg.id, false);
+    } else if (msg.type === "chat") {
+      remotePlayers.showChatBubble(msg.id, msg.text);
+    }
+  };
+
+  replay.onPositions = (players, npcs, time) => {
+    remotePlayers.updatePositions(players, time);
+    npcManager.updatePositions(npcs, time);
+  };
+
+  replay.seek(0);
+
+  start((dt) => {
+    if (destroyed) return;
+
+    input.pollGamepad(dt);
+    freeCamera.update(dt);
+    replay.update(dt);
+
+    // Animations and effects follow playback: frozen while paused, faster
+    // when sped up
+    const replayDt = dt * replay.rate;
+    remotePlayers.update(replayDt);
+    npcManager.update(replayDt);
+    phoneProjectiles.update(replayDt);
+    grenadeManager.update(replayDt);
+    abilityEffects.update(replayDt);
+
+    replayPlayback.time = replay.time;
+    replayPlayback.paused = replay.paused;
+  });
+
+  function destroy() {
+    if (destroyed) return;
+    destroyed = true;
+    input.dispose();
+    canvas.classList.remove("dragging");
+    canvas.style.display = "none";
+    stop();
+    disposeSceneGraph(scene);
+    resetUiState();
+  }
+
+  function seek(time) {
+    replay.seek(time);
+    replayPlayback.time = replay.time;
+  }
+
+  function setPaused(paused) {
+    replay.paused = paused;
+    replayPlayback.paused = paused;
+  }
+
+  function setSpeed(speed) {
+    replay.speed = speed;
+    replayPlayback.speed = speed;
+  }
+
+  return { destroy, seek, setPaused, setSpeed };
+}
+
+function disposeSceneGraph(scene) {
+  scene.traverse((obj) => {
+    if (obj.geometry?.dispose) obj.geometry.dispose();
+
+    const materials = Array.isArray(obj.material) ? obj.material : [obj.material];
+    for (const material of materials) {
+      if (!material) continue;
+      for (const value of Object.values(material)) {
+        if (value?.isTexture && value.dispose) value.dispose();
+      }
+      material.dispose?.();
+    }
+  });
+}
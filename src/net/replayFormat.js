@@ -0,0 +1,73 @@
+// =============================================================================
+// Replay file format
+// =============================================================================
+// Shared by the server's ReplayRecorder (write) and the client's replay mode
+// (read). A replay is a gzip stream of records, one after another:
+//
+//   u8  record kind
+//   u32 time (ms since the recording started)
+//   u32 payload length
+//   ... payload
+//
+// The first record is a REPLAY_HEADER. After that every recorded tick writes
+// a REPLAY_EVENTS record (if anything happened) followed by a
+// REPLAY_SNAPSHOT. Snapshots use the binary snapshot codec covering the whole
+// world, each delta-encoded against the previous tick, with a full snapshot
+// every so often so playback can seek without decoding from the start.
+// Events are the broadcast messages clients receive, plus the joins, leaves,
+// spawns and removals the recorder sees between ticks.
+
+export const REPLAY_VERSION = 1;
+
+// JSON { version, room, name, startedAt, tickRate }
+export const REPLAY_HEADER = 1;
+// A snapshot codec message
+export const REPLAY_SNAPSHOT = 2;
+// JSON array of event messages, in the order they happened
+export const REPLAY_EVENTS = 3;
+
+const RECORD_HEADER_BYTES = 1 + 4 + 4;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * @param {number} kind
+ * @param {number} time
+ * @param {Uint8Array | object} payload — snapshot bytes, or a value to write as JSON
+ * @returns {Uint8Array}
+ */
+export function encodeReplayRecord(kind, time, payload) {
+  const body = payload instanceof Uint8Array ? payload : textEncoder.encode(JSON.stringify(payload));
+  const record = new Uint8Array(RECORD_HEADER_BYTES + body.byteLength);
+  const view = new DataView(record.buffer);
+  view.setUint8(0, kind);
+  view.setUint32(1, time >>> 0, true);
+  view.setUint32(5, body.byteLength, true);
+  record.set(body, RECORD_HEADER_BYTES);
+  return record;
+}
+
+/**
+ * Splits decompressed replay bytes into { kind, time, payload } records:
+ * snapshot payloads stay as bytes, the rest are parsed. A truncated last
+ * record (a recording cut off mid-write) is dropped.
+ */
+export function decodeReplayRecords(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const records = [];
+  let offset = 0;
+  while (offset + RECORD_HEADER_BYTES <= bytes.byteLength) {
+    const kind = view.getUint8(offset);
+    const time = view.getUint32(offset + 1, true);
+    const length = view.getUint32(offset + 5, true);
+    offset += RECORD_HEADER_BYTES;
+    if (offset + length > bytes.byteLength) break;
+
+    const body = bytes.subarray(offset, offset + length);
+    offset += length;
+    const payload = kind === REPLAY_SNAPSHOT ? body : JSON.parse(textDecoder.decode(body));
+    records.push({ kind, time, payload });
+  }
+  return records;
+}
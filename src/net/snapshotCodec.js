@@ -0,0 +1,211 @@
+// =============================================================================
+// Binary snapshot codec
+// =============================================================================
+// Shared by the server (encode) and NetworkManager (decode). A snapshot is the
+// quantized state of every player and NPC in a room, keyed by small integer
+// net ids. Each one is delta-encoded against a baseline snapshot the client
+// has acknowledged: only fields that changed since the baseline are written,
+// entities missing from the baseline are written in full, and entities that
+// disappeared are listed by id. With no baseline the whole state is written.
+//
+// Layout (little-endian):
+//   u8  message kind (SNAPSHOT_MESSAGE)
+//   u32 seq
+//   u32 baseline seq (0 = full snapshot)
+//   u32 server time (ms since the room started; drives client interpolation)
+//   u16 player entry count, then per entry: u16 netId, u8 field mask, fields
+//   u16 npc entry count,    then per entry: u16 netId, u8 field mask, fields
+//   u16 removed count,      then per entry: u16 netId
+// Fields, in mask-bit order: i16 x, i16 y, i16 z, u16 ry, u8 anim, u8 addiction
+
+export const SNAPSHOT_MESSAGE = 1;
+
+// Anim names on the wire. Append only — the index is the wire value.
+export const SNAPSHOT_ANIMS = ["idle", "walk", "jump", "dead", "run"];
+
+const POSITION_SCALE = 100; // centimetres; i16 covers ±327m, the field is 120m
+const YAW_SCALE = 65536 / (Math.PI * 2);
+
+const FIELD_X = 1;
+const FIELD_Y = 2;
+const FIELD_Z = 4;
+const FIELD_RY = 8;
+const FIELD_ANIM = 16;
+const FIELD_ADDICTION = 32;
+const ALL_FIELDS = 63;
+
+const HEADER_BYTES = 1 + 4 + 4 + 4;
+const MAX_ENTRY_BYTES = 2 + 1 + 2 + 2 + 2 + 2 + 1 + 1;
+
+function quantizePosition(v) {
+  return Math.max(-32768, Math.min(32767, Math.round(v * POSITION_SCALE)));
+}
+
+function quantizeYaw(ry) {
+  const wrapped = ((ry % (Math.PI * 2)) + Math.PI * 2) % (Math.PI * 2);
+  return Math.round(wrapped * YAW_SCALE) & 0xffff;
+}
+
+/**
+ * Quantizes an entity to its wire representation. Quantizing before diffing
+ * means the server and client compare exactly the same integers.
+ */
+export function quantizeEntity(entity) {
+  const anim = SNAPSHOT_ANIMS.indexOf(entity.anim);
+  return {
+    x: quantizePosition(Number(entity.x) || 0),
+    y: quantizePosition(Number(entity.y) || 0),
+    z: quantizePosition(Number(entity.z) || 0),
+    ry: quantizeYaw(Number(entity.ry) || 0),
+    anim: anim < 0 ? 0 : anim,
+    addiction: Math.max(0, Math.min(255, entity.addiction | 0)),
+  };
+}
+
+export function dequantizeEntity(q) {
+  return {
+    x: q.x / POSITION_SCALE,
+    y: q.y / POSITION_SCALE,
+    z: q.z / POSITION_SCALE,
+    ry: q.ry / YAW_SCALE,
+    anim: SNAPSHOT_ANIMS[q.anim] ?? "idle",
+    addiction: q.addiction,
+  };
+}
+
+function changedFields(current, base, fieldMask) {
+  if (!base) return fieldMask;
+  let mask = 0;
+  if (current.x !== base.x) mask |= FIELD_X;
+  if (current.y !== base.y) mask |= FIELD_Y;
+  if (current.z !== base.z) mask |= FIELD_Z;
+  if (current.ry !== base.ry) mask |= FIELD_RY;
+  if (current.anim !== base.anim) mask |= FIELD_ANIM;
+  if (current.addiction !== base.addiction) mask |= FIELD_ADDICTION;
+  return mask & fieldMask;
+}
+
+function writeEntries(view, offset, current, baseline, fieldMask) {
+  const countOffset = offset;
+  offset += 2;
+  let count = 0;
+  for (const [netId, q] of current) {
+    const mask = changedFields(q, baseline?.get(netId), fieldMask);
+    if (!mask) continue;
+    count++;
+    view.setUint16(offset, netId, true);
+    view.setUint8(offset + 2, mask);
+    offset += 3;
+    if (mask & FIELD_X) { view.setInt16(offset, q.x, true); offset += 2; }
+    if (mask & FIELD_Y) { view.setInt16(offset, q.y, true); offset += 2; }
+    if (mask & FIELD_Z) { view.setInt16(offset, q.z, true); offset += 2; }
+    if (mask & FIELD_RY) { view.setUint16(offset, q.ry, true); offset += 2; }
+    if (mask & FIELD_ANIM) { view.setUint8(offset, q.anim); offset += 1; }
+    if (mask & FIELD_ADDICTION) { view.setUint8(offset, q.addiction); offset += 1; }
+  }
+  view.setUint16(countOffset, count, true);
+  return offset;
+}
+
+/**
+ * @param {number} seq
+ * @param {number} baselineSeq — 0 when `baseline` is null
+ * @param {{ time: number, players: Map<number, object>, npcs: Map<number, object> }} snapshot
+ *   server time plus quantized entities keyed by net id
+ * @param {typeof snapshot | null} baseline
+ * @returns {Uint8Array}
+ */
+export function encodeSnapshot(seq, baselineSeq, snapshot, baseline) {
+  const removed = [];
+  if (baseline) {
+    for (const netId of baseline.players.keys()) {
+      if (!snapshot.players.has(netId)) removed.push(netId);
+    }
+    for (const netId of baseline.npcs.keys()) {
+      if (!snapshot.npcs.has(netId)) removed.push(netId);
+    }
+  }
+
+  const maxBytes =
+    HEADER_BYTES + 6 + (snapshot.players.size + snapshot.npcs.size) * MAX_ENTRY_BYTES + removed.length * 2;
+  const buffer = new ArrayBuffer(maxBytes);
+  const view = new DataView(buffer);
+
+  view.setUint8(0, SNAPSHOT_MESSAGE);
+  view.setUint32(1, seq, true);
+  view.setUint32(5, baseline ? baselineSeq : 0, true);
+  view.setUint32(9, snapshot.time >>> 0, true);
+  let offset = HEADER_BYTES;
+  // Players never carry addiction; leaving it out of their mask saves a byte
+  offset = writeEntries(view, offset, snapshot.players, baseline?.players, ALL_FIELDS & ~FIELD_ADDICTION);
+  offset = writeEntries(view, offset, snapshot.npcs, baseline?.npcs, ALL_FIELDS);
+  view.setUint16(offset, removed.length, true);
+  offset += 2;
+  for (const netId of removed) {
+    view.setUint16(offset, netId, true);
+    offset += 2;
+  }
+
+  return new Uint8Array(buffer, 0, offset);
+}
+
+// The seq a snapshot was delta-encoded against; 0 for a full snapshot
+export function snapshotBaselineSeq(data) {
+  const view = new DataView(data.buffer ?? data, data.byteOffset ?? 0, data.byteLength);
+  return view.getUint32(5, true);
+}
+
+function readEntries(view, offset, target) {
+  const count = view.getUint16(offset, true);
+  offset += 2;
+  for (let i = 0; i < count; i++) {
+    const netId = view.getUint16(offset, true);
+    const mask = view.getUint8(offset + 2);
+    offset += 3;
+    const q = { x: 0, y: 0, z: 0, ry: 0, anim: 0, addiction: 0, ...target.get(netId) };
+    if (mask & FIELD_X) { q.x = view.getInt16(offset, true); offset += 2; }
+    if (mask & FIELD_Y) { q.y = view.getInt16(offset, true); offset += 2; }
+    if (mask & FIELD_Z) { q.z = view.getInt16(offset, true); offset += 2; }
+    if (mask & FIELD_RY) { q.ry = view.getUint16(offset, true); offset += 2; }
+    if (mask & FIELD_ANIM) { q.anim = view.getUint8(offset); offset += 1; }
+    if (mask & FIELD_ADDICTION) { q.addiction = view.getUint8(offset); offset += 1; }
+    target.set(netId, q);
+  }
+  return offset;
+}
+
+/**
+ * Decodes a snapshot into the full quantized state by applying it on top of
+ * its baseline. `getBaseline(seq)` returns a previously decoded snapshot;
+ * returns null if the baseline is unknown (the caller should just drop it).
+ */
+export function decodeSnapshot(data, getBaseline) {
+  const view = new DataView(data.buffer ?? data, data.byteOffset ?? 0, data.byteLength);
+  if (view.getUint8(0) !== SNAPSHOT_MESSAGE) return null;
+  const seq = view.getUint32(1, true);
+  const baselineSeq = view.getUint32(5, true);
+  const time = view.getUint32(9, true);
+
+  let players = new Map();
+  let npcs = new Map();
+  if (baselineSeq) {
+    const baseline = getBaseline(baselineSeq);
+    if (!baseline) return null;
+    players = new Map(baseline.players);
+    npcs = new Map(baseline.npcs);
+  }
+
+  let offset = HEADER_BYTES;
+  offset = readEntries(view, offset, players);
+  offset = readEntries(view, offset, npcs);
+  const removedCount = view.getUint16(offset, true);
+  offset += 2;
+  for (let i = 0; i < removedCount; i++) {
+    const netId = view.getUint16(offset, true);
+    offset += 2;
+    players.delete(netId);
+    npcs.delete(netId);
+  }
+
+  return { seq, time, players, npcs };
+}
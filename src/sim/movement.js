@@ -0,0 +1,138 @@
+import {
+  WALK_SPEED,
+  RUN_SPEED,
+  JUMP_SPEED,
+  GRAVITY,
+  ROTATION_SPEED,
+  PLAYER_RADIUS,
+} from "../config.js";
+import { resolveTreeCollisions } from "./treeColliders.js";
+
+// Boar movement is simulated in fixed steps so the client's prediction and
+// the server's authoritative copy integrate identical inputs identically.
+export const MOVE_STEP_RATE = 60;
+export const MOVE_STEP = 1 / MOVE_STEP_RATE;
+
+// Keep the player this far inside the field edge
+const BOUNDS_MARGIN = 2.0;
+const ACCEL_MOVING = 18;
+const ACCEL_STOPPING = 14;
+
+const INPUT_RUN = 1;
+const INPUT_JUMP = 2;
+
+function damp(current, target, lambda, dt) {
+  return current + (target - current) * (1 - Math.exp(-lambda * dt));
+}
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function wrapAngle(a) {
+  return Math.atan2(Math.sin(a), Math.cos(a));
+}
+
+// Move components are rounded before the client applies them so the copy the
+// server receives is bit-for-bit what was predicted.
+function quantizeAxis(v) {
+  return Math.round(clamp(v, -1, 1) * 1000) / 1000;
+}
+
+export function createInputFrame(seq, moveX, moveZ, run, jump) {
+  return { seq, moveX: quantizeAxis(moveX), moveZ: quantizeAxis(moveZ), run, jump };
+}
+
+// Wire form: [seq, moveX, moveZ, flags]
+export function packInputFrame(frame) {
+  return [frame.seq, frame.moveX, frame.moveZ, (frame.run ? INPUT_RUN : 0) | (frame.jump ? INPUT_JUMP : 0)];
+}
+
+// Returns null for anything that isn't a well-formed frame
+export function unpackInputFrame(packed) {
+  if (!Array.isArray(packed) || packed.length !== 4) return null;
+  const [seq, moveX, moveZ, flags] = packed;
+  if (!Number.isInteger(seq) || seq < 1) return null;
+  if (!Number.isFinite(moveX) || !Number.isFinite(moveZ) || !Number.isInteger(flags)) return null;
+  return createInputFrame(seq, moveX, moveZ, (flags & INPUT_RUN) !== 0, (flags & INPUT_JUMP) !== 0);
+}
+
+/**
+ * Movement fields live directly on the object (the client's prediction state
+ * or the server's player record): x, y, z, ry, vx, vy, vz, onGround.
+ */
+export function resetMovement(body, x, y, z) {
+  body.x = x;
+  body.y = y;
+  body.z = z;
+  body.vx = 0;
+  body.vy = 0;
+  body.vz = 0;
+  body.onGround = true;
+}
+
+/**
+ * Advances one body by one input frame. `world` is
+ * { groundY, boundsHalfSize, treeColliders: [{ x, z, radius }] }.
+ * Returns { moving, jumped } so callers can drive animations.
+ */
+export function stepMovement(body, frame, dt, world) {
+  let mx = frame.moveX;
+  let mz = frame.moveZ;
+  const lenSq = mx * mx + mz * mz;
+  const moving = lenSq > 1e-6;
+  if (lenSq > 1) {
+    const len = Math.sqrt(lenSq);
+    mx /= len;
+    mz /= len;
+  }
+
+  const maxSpeed = moving ? (frame.run ? RUN_SPEED : WALK_SPEED) : 0;
+  const accel = moving ? ACCEL_MOVING : ACCEL_STOPPING;
+  body.vx = damp(body.vx, mx * maxSpeed, accel, dt);
+  body.vz = damp(body.vz, mz * maxSpeed, accel, dt);
+
+  // Jump/gravity
+  let jumped = false;
+  if (body.onGround && frame.jump) {
+    body.vy = JUMP_SPEED;
+    body.onGround = false;
+    jumped = true;
+  }
+  if (!body.onGround) {
+    body.vy -= GRAVITY * dt;
+  }
+
+  // Integrate
+  body.x += body.vx * dt;
+  body.y += body.vy * dt;
+  body.z += body.vz * dt;
+
+  // Ground collision
+  if (body.y <= world.groundY) {
+    body.y = world.groundY;
+    body.vy = 0;
+    body.onGround = true;
+  }
+
+  // World bounds
+  const limit = world.boundsHalfSize - BOUNDS_MARGIN;
+  body.x = clamp(body.x, -limit, limit);
+  body.z = clamp(body.z, -limit, limit);
+
+  // Tree collisions (2D circles)
+  resolveTreeCollisions(body, PLAYER_RADIUS, world.treeColliders);
+
+  // Face movement direction
+  if (moving) {
+    const facing = Math.atan2(mx, mz);
+    body.ry = wrapAngle(body.ry + wrapAngle(facing - body.ry) * (1 - Math.exp(-ROTATION_SPEED * dt)));
+  }
+
+  return { moving, jumped };
+}
+
+export function movementAnim(body, moving) {
+  if (!body.onGround) return "jump";
+  return moving ? "walk" : "idle";
+}
@@ -0,0 +1,46 @@
+// Trunk collision radius per tree type, derived from the same spawn fields the
+// renderer sizes the canopy from. Shared so the server blocks movement exactly
+// where the client draws trees.
+const COLLIDER_RADIUS = {
+  pine: (tree) => tree.scale * 0.8,
+  round: (tree) => tree.canopyScale * 0.7,
+  birch: (tree) => tree.canopyWidth * 0.6,
+};
+
+export function treeColliderRadius(tree) {
+  return COLLIDER_RADIUS[tree.type]?.(tree) ?? 0;
+}
+
+export function buildTreeColliders(treeDefinitions) {
+  return treeDefinitions.map((tree) => ({ x: tree.x, z: tree.z, radius: treeColliderRadius(tree) }));
+}
+
+/**
+ * Pushes a circle of `radius` out of any trunk it overlaps and cancels the
+ * part of its velocity (vx/vz) heading into the trunk. Used by the boar's
+ * movement step and the server's NPCs alike.
+ */
+export function resolveTreeCollisions(body, radius, colliders) {
+  for (let i = 0; i < colliders.length; i++) {
+    const c = colliders[i];
+    const cdx = body.x - c.x;
+    const cdz = body.z - c.z;
+    const r = radius + c.radius;
+    const d2 = cdx * cdx + cdz * cdz;
+    if (d2 >= r * r) continue;
+
+    const d = Math.sqrt(d2) || 0.0001;
+    const nx = cdx / d;
+    const nz = cdz / d;
+    const push = r - d;
+    body.x += nx * push;
+    body.z += nz * push;
+
+    // Cancel velocity into the collider normal
+    const vn = body.vx * nx + body.vz * nz;
+    if (vn < 0) {
+      body.vx -= vn * nx;
+      body.vz -= vn * nz;
+    }
+  }
+}
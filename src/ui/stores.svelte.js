@@ -1,30 +1,109 @@
 // Shared reactive state between game code and Svelte UI
+import { ABILITIES, PLAYER_MAX_HP, CHAT_HISTORY_SIZE } from "../config.js";
+import { loadKeyBindings } from "../game/keyBindings.js";
 
-const ACTION_BAR_DEFAULTS = {
-  cooldownRemaining: 0,
-  cooldownTotal: 0,
-  grenadeCooldownRemaining: 0,
-  grenadeCooldownTotal: 0,
-  grenadeArmed: false,
-  selectedSlot: null,
-  selectedNpcId: null,
-};
+// A function so every reset gets its own cooldowns object
+function actionBarDefaults() {
+  return {
+    // Seconds left before each ability (ABILITIES in config.js) can be used
+    // again, by id
+    cooldowns: Object.fromEntries(ABILITIES.map((a) => [a.id, 0])),
+    // The ground-aimed ability waiting for a click, if any
+    armedAbility: null,
+    // Grenades carried, out of maxGrenades; both null in worlds without a cap
+    grenades: null,
+    maxGrenades: null,
+    selectedSlot: null,
+    selectedNpcId: null,
+  };
+}
 
 const PLAYER_STATS_DEFAULTS = {
   xp: 0,
   level: 1,
   xpForNextLevel: 1000,
   xpIntoCurrentLevel: 0,
+  hp: PLAYER_MAX_HP,
+  maxHp: PLAYER_MAX_HP,
+  dead: false,
+  respawnIn: 0,
 };
 
 export const loading = $state({ text: null });
-export const actionBar = $state({ ...ACTION_BAR_DEFAULTS });
+export const actionBar = $state(actionBarDefaults());
 export const playerStats = $state({ ...PLAYER_STATS_DEFAULTS });
 export const gameMenu = $state({ open: false });
+export const chat = $state({ messages: [], typing: false });
+// "connected" | "reconnecting" | "lost"; `message` explains a lost connection
+export const connection = $state({ status: "connected", message: "" });
+// Interpolation/packet stats for the F3 overlay. `visible` survives leaving a
+// world; the numbers are refreshed by the game loop only while it's shown.
+export const netDebug = $state({
+  visible: false,
+  bufferedMs: 0,
+  delayMs: 0,
+  jitterMs: 0,
+  lossPct: 0,
+});
+// Spectator mode: the HUD shows the followed player's stats (in playerStats)
+// while `mode` is "follow"; "free" is the free-fly camera
+const SPECTATOR_DEFAULTS = {
+  active: false,
+  mode: "follow",
+  following: null, // followed player's name
+};
+export const spectator = $state({ ...SPECTATOR_DEFAULTS });
+
+// The world we're in and this session's tallies, as the server counts them
+// (server/stats.js). `playerId` is null while spectating.
+const SESSION_DEFAULTS = {
+  room: null,
+  playerId: null,
+  phoneKills: 0,
+  grenadeKills: 0,
+  abilityKills: 0,
+  bestMultiKill: 0,
+  xpEarned: 0,
+};
+export const session = $state({ ...SESSION_DEFAULTS });
+
+// Replay mode's transport bar; times are ms into the recording
+const REPLAY_PLAYBACK_DEFAULTS = {
+  name: "",
+  startedAt: "",
+  time: 0,
+  duration: 0,
+  paused: false,
+  speed: 1,
+};
+export const replayPlayback = $state({ ...REPLAY_PLAYBACK_DEFAULTS });
+// Action id -> key codes (game/keyBindings.js). Kept across worlds and
+// sessions, so resetUiState leaves it alone.
+export const keyBindings = $state(loadKeyBindings());
+// Whether the HUD labels controls for a gamepad: the last input came from one
+export const inputDevice = $state({ gamepad: false });
+
+let nextChatKey = 1;
+
+// `name` is null for server notices (rate limit warnings etc.)
+export function addChatMessage(name, text) {
+  chat.messages.push({ key: nextChatKey++, name, text });
+  if (chat.messages.length > CHAT_HISTORY_SIZE) {
+    chat.messages.splice(0, chat.messages.length - CHAT_HISTORY_SIZE);
+  }
+}
 
 export function resetUiState() {
   loading.text = null;
-  Object.assign(actionBar, ACTION_BAR_DEFAULTS);
+  Object.assign(actionBar, actionBarDefaults());
   Object.assign(playerStats, PLAYER_STATS_DEFAULTS);
   gameMenu.open = false;
+  chat.messages = [];
+  chat.typing = false;
+  connection.status = "connected";
+  connection.message = "";
+  Object.assign(spectator, SPECTATOR_DEFAULTS);
+  Object.assign(session, SESSION_DEFAULTS);
+  Object.assign(replayPlayback, REPLAY_PLAYBACK_DEFAULTS);
+  inputDevice.gamepad = false;
 }
@@ -0,0 +1,98 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { admitPlayer } from "../server/admission.js";
+import { ProfileStore } from "../server/profiles.js";
+
+// Just the parts of a Room that admission looks at
+function fakeRoom({ full = false, players = [] } = {}) {
+  return {
+    isFull: full,
+    players,
+    findByToken(token) {
+      return players.find((p) => p.token === token) ?? null;
+    },
+    leave(id) {
+      this.players = this.players.filter((p) => p.id !== id);
+    },
+  };
+}
+
+function withStore(fn) {
+  return async () => {
+    const dir = mkdtempSync(path.join(tmpdir(), "boarscape-profiles-"));
+    const profiles = new ProfileStore(path.join(dir, "profiles.json"));
+    try {
+      await fn(profiles);
+    } finally {
+      await profiles.flush();
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test(
+  "a tokenless join into a full world saves no profile",
+  withStore((profiles) => {
+    const target = fakeRoom({ full: true });
+    const admission = admitPlayer(new Map([["w", target]]), target, profiles, { name: "Boar" });
+    assert.equal(admission.type, "full");
+    assert.equal(profiles.profiles.size, 0);
+    assert.equal(profiles._saveTimer, null);
+  }),
+);
+
+test(
+  "a join turned away because the profile is playing leaves the store as it was",
+  withStore((profiles) => {
+    const { token, profile } = profiles.create({ name: "Boar", color: "#ffffff" });
+    const before = structuredClone(profile);
+    const target = fakeRoom();
+    const other = fakeRoom({ players: [{ id: "1", token, ws: {} }] });
+    const rooms = new Map([["w1", target], ["w2", other]]);
+
+    const admission = admitPlayer(rooms, target, profiles, { token, name: "Impostor", color: "#000000" });
+    assert.deepEqual(admission, { type: "reject", reason: "This profile is already playing" });
+    assert.equal(profiles.profiles.size, 1);
+    assert.deepEqual(profiles.find(token), before);
+  }),
+);
+
+test(
+  "admitted joins create a profile, or update and reuse the saved one",
+  withStore((profiles) => {
+    const target = fakeRoom();
+    const rooms = new Map([["w", target]]);
+
+    const fresh = admitPlayer(rooms, target, profiles, { name: "Boar", color: "#ff0000" });
+    assert.equal(fresh.type, "join");
+    assert.equal(profiles.find(fresh.token), fresh.profile);
+    assert.equal(fresh.profile.name, "Boar");
+
+    const again = admitPlayer(rooms, target, profiles, { token: fresh.token, name: "Hog" });
+    assert.equal(again.token, fresh.token);
+    assert.equal(again.profile.name, "Hog");
+    assert.equal(again.profile.color, "#ff0000");
+    assert.equal(profiles.profiles.size, 1);
+
+    // Tokens the server didn't issue get a new profile, not the one asked for
+    const forged = admitPlayer(rooms, target, profiles, { token: "00000000-0000-0000-0000-000000000000" });
+    assert.notEqual(forged.token, "00000000-0000-0000-0000-000000000000");
+  }),
+);
+
+test(
+  "a boar held for reconnecting is resumed without touching its profile",
+  withStore((profiles) => {
+    const { token } = profiles.create({ name: "Boar", color: "#ffffff" });
+    const held = { id: "7", token, ws: null };
+    const target = fakeRoom({ full: true, players: [held] });
+
+    const admission = admitPlayer(new Map([["w", target]]), target, profiles, { token, name: "Other" });
+    assert.equal(admission.type, "resume");
+    assert.equal(admission.player, held);
+    assert.equal(profiles.find(token).name, "Boar");
+  }),
+);
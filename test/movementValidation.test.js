@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateStateUpdate } from "../server/movementValidation.js";
+import { TREE_COLLIDERS } from "../server/terrain.js";
+import { GROUND_Y, RUN_SPEED } from "../src/config.js";
+
+const NOW = 100_000;
+
+// A spot on the ground with at least `clearance` between it and any trunk, so
+// short moves from it can't end up inside one
+function clearSpot(clearance = 3) {
+  for (let x = -50; x <= 50; x += 0.5) {
+    for (let z = -50; z <= 50; z += 0.5) {
+      if (TREE_COLLIDERS.every((c) => Math.hypot(x - c.x, z - c.z) > c.radius + clearance)) return { x, z };
+    }
+  }
+  throw new Error("no clear spot on the field");
+}
+
+// The server's last accepted state, `sinceMs` before NOW
+function lastState(overrides = {}, sinceMs = 100) {
+  const { x, z } = clearSpot();
+  return { x, y: GROUND_Y, z, lastStateAt: NOW - sinceMs, airborneSince: 0, ...overrides };
+}
+
+function update(player, overrides = {}) {
+  return { x: player.x, y: player.y, z: player.z, ry: 0, anim: "idle", ...overrides };
+}
+
+test("a plausible walk passes", () => {
+  const player = lastState();
+  const msg = update(player, { x: player.x + RUN_SPEED * 0.1, anim: "walk" });
+  assert.equal(validateStateUpdate(player, msg, NOW), null);
+});
+
+test("moving faster than running allows is rejected", () => {
+  const player = lastState({}, 1000);
+  // A second of running plus the slack is about 10m
+  assert.notEqual(validateStateUpdate(player, update(player, { x: player.x + 8 }), NOW), "moved too fast");
+  assert.equal(validateStateUpdate(player, update(player, { x: player.x + 12 }), NOW), "moved too fast");
+});
+
+test("standing above the highest jump is rejected", () => {
+  const player = lastState();
+  assert.equal(validateStateUpdate(player, update(player, { y: GROUND_Y + 5, anim: "jump" }), NOW), "impossible height");
+  assert.equal(validateStateUpdate(player, update(player, { y: GROUND_Y - 1 }), NOW), "impossible height");
+});
+
+test("hanging in the air longer than a jump is rejected", () => {
+  const y = GROUND_Y + 1;
+  const hopping = lastState({ y, airborneSince: NOW - 500 });
+  assert.equal(validateStateUpdate(hopping, update(hopping, { anim: "jump" }), NOW), null);
+
+  const flying = lastState({ y, airborneSince: NOW - 2000 });
+  assert.equal(validateStateUpdate(flying, update(flying, { anim: "jump" }), NOW), "airborne too long");
+});
+
+test("ending up inside a tree trunk is rejected", () => {
+  const tree = TREE_COLLIDERS[0];
+  const player = lastState({ x: tree.x + tree.radius + 0.5, z: tree.z });
+  assert.equal(validateStateUpdate(player, update(player, { x: tree.x }), NOW), "inside a tree");
+});
+
+test("anims the client can't report are rejected", () => {
+  const player = lastState();
+  assert.equal(validateStateUpdate(player, update(player, { anim: "dead" }), NOW), "unknown anim");
+  assert.equal(validateStateUpdate(player, update(player, { anim: "fly" }), NOW), "unknown anim");
+  assert.equal(validateStateUpdate(player, update(player, { anim: undefined }), NOW), "unknown anim");
+});
+
+test("back-to-back updates are measured over the minimum interval", () => {
+  // Both packets arrive in the same millisecond: with no time between them
+  // only the flat slack would be allowed, but MIN_ELAPSED_S adds a little
+  // running distance on top
+  const player = lastState({}, 0);
+  assert.equal(validateStateUpdate(player, update(player, { x: player.x + 1.4 }), NOW), null);
+  assert.equal(validateStateUpdate(player, update(player, { x: player.x + 1.6 }), NOW), "moved too fast");
+});
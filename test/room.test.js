@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Room } from "../server/room.js";
+
+// A socket that keeps what it was sent
+function fakeSocket() {
+  return {
+    readyState: 1,
+    sent: [],
+    send(data) {
+      if (typeof data === "string") this.sent.push(JSON.parse(data));
+    },
+    close() {},
+  };
+}
+
+function createRoom() {
+  const room = new Room({ id: "w", name: "World", maxPlayers: 4, maxSpectators: 2, profiles: { update() {} }, seed: 7 });
+  const sockets = {};
+  for (const [id, x] of [["near", 0], ["far", 150]]) {
+    sockets[id] = fakeSocket();
+    room.join(sockets[id], id, { ip: "127.0.0.1", token: id, profile: { name: id, color: "#ffffff" } });
+    const player = room.players.get(id);
+    player.x = x;
+    player.z = 0;
+  }
+  room.world.step(0);
+  room.sendInterestUpdates();
+  for (const ws of Object.values(sockets)) ws.sent.length = 0;
+  return { room, sockets };
+}
+
+const received = (ws, type) => ws.sent.filter((m) => m.type === type);
+
+test("nearby world events only reach viewers who can see that spot", () => {
+  const { room, sockets } = createRoom();
+  room.dispatch([
+    { type: "npcHit", near: { x: 5, z: 0 }, npcId: "npc_1", addiction: 1 },
+    { type: "playerDied", about: "near", id: "near", killerId: "npc_1" },
+    { type: "chatNotice", text: "Everyone hears this" },
+  ]);
+
+  assert.equal(received(sockets.near, "npcHit").length, 1);
+  assert.equal(received(sockets.far, "npcHit").length, 0);
+  // Nobody far away has the knocked-out boar in view
+  assert.equal(received(sockets.near, "playerDied").length, 1);
+  assert.equal(received(sockets.far, "playerDied").length, 0);
+  assert.equal(received(sockets.far, "chatNotice").length, 1);
+  // The routing fields stay on the server
+  assert.equal(received(sockets.near, "npcHit")[0].near, undefined);
+});
+
+test("events about a player reach those who have them in view", () => {
+  const { room, sockets } = createRoom();
+  room.players.get("far").x = 20;
+  room.world.step(0);
+  room.sendInterestUpdates();
+
+  room.dispatch([{ type: "playerLevelUp", about: "far", id: "far", level: 2 }]);
+  assert.equal(received(sockets.near, "playerLevelUp").length, 1);
+  assert.equal(received(sockets.far, "playerLevelUp").length, 1);
+});
@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { decodeSnapshot, dequantizeEntity, encodeSnapshot, quantizeEntity } from "../src/net/snapshotCodec.js";
+
+// Positions go over the wire in whole centimetres
+const POSITION_STEP = 0.01;
+
+// A snapshot as the server builds it: quantized entities keyed by net id
+function snapshotOf(time, players, npcs) {
+  const quantize = (entities) => new Map(Object.entries(entities).map(([id, e]) => [Number(id), quantizeEntity(e)]));
+  return { time, players: quantize(players), npcs: quantize(npcs) };
+}
+
+function assertDecodedAs(decoded, entities) {
+  assert.deepEqual([...decoded.keys()].sort(), Object.keys(entities).map(Number).sort());
+  for (const [id, source] of Object.entries(entities)) {
+    const entity = dequantizeEntity(decoded.get(Number(id)));
+    for (const axis of ["x", "y", "z"]) {
+      assert.ok(Math.abs(entity[axis] - source[axis]) <= POSITION_STEP, `${id}.${axis}: ${entity[axis]} vs ${source[axis]}`);
+    }
+    assert.equal(entity.anim, source.anim);
+    assert.equal(entity.addiction, source.addiction ?? 0);
+  }
+}
+
+const fullPlayers = {
+  1: { x: 12.345, y: 0, z: -40.004, ry: 1.2, anim: "walk" },
+  2: { x: -59.999, y: 1.387, z: 3.3333, ry: 5.9, anim: "jump" },
+};
+const fullNpcs = {
+  10: { x: 0.004, y: 0, z: 0.006, ry: 0, anim: "idle", addiction: 2 },
+  11: { x: 25.5, y: 0, z: 25.5, ry: 3.1, anim: "run", addiction: 0 },
+};
+
+test("a full snapshot round-trips to within a centimetre", () => {
+  const data = encodeSnapshot(1, 0, snapshotOf(1500, fullPlayers, fullNpcs), null);
+  const decoded = decodeSnapshot(data, () => assert.fail("a full snapshot needs no baseline"));
+
+  assert.equal(decoded.seq, 1);
+  assert.equal(decoded.time, 1500);
+  assertDecodedAs(decoded.players, fullPlayers);
+  assertDecodedAs(decoded.npcs, fullNpcs);
+});
+
+test("a delta applied to its baseline adds, updates and removes entities", () => {
+  const baseline = snapshotOf(1500, fullPlayers, fullNpcs);
+  const decodedBaseline = decodeSnapshot(encodeSnapshot(1, 0, baseline, null), () => null);
+
+  // Player 1 moves, player 2 leaves and 3 joins; NPC 10 despawns, 11 stands
+  // still and 12 spawns
+  const players = {
+    1: { ...fullPlayers[1], x: 13.1, z: -39.25, anim: "idle" },
+    3: { x: 7.77, y: 0, z: 8.88, ry: 0.5, anim: "idle" },
+  };
+  const npcs = {
+    11: fullNpcs[11],
+    12: { x: -20.015, y: 0, z: 44.4, ry: 2, anim: "walk", addiction: 1 },
+  };
+  const data = encodeSnapshot(2, 1, snapshotOf(1600, players, npcs), baseline);
+  const decoded = decodeSnapshot(data, (seq) => (seq === 1 ? decodedBaseline : null));
+
+  assert.equal(decoded.seq, 2);
+  assert.equal(decoded.time, 1600);
+  assertDecodedAs(decoded.players, players);
+  assertDecodedAs(decoded.npcs, npcs);
+  // Unchanged entities aren't written again
+  assert.ok(data.byteLength < encodeSnapshot(2, 0, snapshotOf(1600, players, npcs), null).byteLength);
+});
+
+test("a delta against an unknown baseline is dropped", () => {
+  const baseline = snapshotOf(1500, fullPlayers, fullNpcs);
+  const data = encodeSnapshot(2, 1, snapshotOf(1600, fullPlayers, {}), baseline);
+  assert.equal(decodeSnapshot(data, () => null), null);
+});
@@ -0,0 +1,352 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { World } from "../server/world.js";
+import { createInputFrame, packInputFrame } from "../src/sim/movement.js";
+import {
+  ATTACK_COOLDOWN,
+  ATTACK_RANGE,
+  GRENADE_COOLDOWN,
+  GRENADE_FUSE,
+  GRENADE_PLAYER_DAMAGE,
+  GRENADE_RECHARGE_TIME,
+  NPC_DESPAWN_DELAY,
+  NPC_MIN_COUNT,
+  NPC_PER_PLAYER,
+  PHONE_FLIGHT_TIME,
+  PLAYER_MAX_HP,
+  PLAYER_RESPAWN_DELAY,
+  findAbility,
+} from "../src/config.js";
+
+const DT = 1 / 20;
+
+function createWorld(seed = 7) {
+  const world = new World({ seed });
+  const player = world.join("p1", { name: "Boar", color: "#ffffff" });
+  return { world, player };
+}
+
+// Steps the world for `seconds`, collecting every event along the way
+function run(world, seconds) {
+  const events = [];
+  for (let t = 0; t < seconds; t += DT) events.push(...world.step(DT));
+  return events;
+}
+
+// Parks an NPC at (x, z) and keeps it there: idle for good, hostile so it
+// stands its ground when boars come near, and the only kid in the world so
+// nobody nudges it
+function placeNpc(world, x, z) {
+  const npc = world.npcs[0];
+  world.npcs.splice(1);
+  Object.assign(npc, { x, z, hostile: true, state: "idle", stateTimer: 0, nextChange: Infinity });
+  world.rebuildGrids();
+  return npc;
+}
+
+// Throws a phone and steps the world until it lands and the boar can throw
+// again, then puts the kid (who panics when hit) back where it was. Returns
+// the events about this kid or for this boar.
+function throwPhone(world, player, npc, time) {
+  const { x, z } = npc;
+  world.applyInput(player.id, { type: "attack", npcId: npc.id, time });
+  const events = run(world, PHONE_FLIGHT_TIME + DT);
+  run(world, ATTACK_COOLDOWN - PHONE_FLIGHT_TIME);
+  if (npc.state !== "dead") Object.assign(npc, { x, z, panicTimer: 0, state: "idle", stateTimer: 0 });
+  return events.filter((e) => e.npcId === npc.id || (e.to === player.id && e.type !== "moveAck"));
+}
+
+test("the same seed and inputs replay identically", () => {
+  const trace = (seed) => {
+    const { world } = createWorld(seed);
+    run(world, 20);
+    return world.npcs.map((n) => [n.id, n.archetype, n.x.toFixed(6), n.z.toFixed(6), n.state]);
+  };
+  assert.deepEqual(trace(42), trace(42));
+  assert.notDeepEqual(trace(42), trace(43));
+});
+
+test("attacks out of range are turned down", () => {
+  const { world, player } = createWorld();
+  const npc = placeNpc(world, 30, 30);
+  const [rejected, ...rest] = throwPhone(world, player, npc);
+  assert.equal(rejected.type, "abilityRejected");
+  assert.equal(rejected.id, "phone");
+  assert.equal(rejected.reason, "range");
+  assert.equal(rejected.cooldown, 0);
+  assert.deepEqual(rest, []);
+  assert.equal(npc.addiction, 0);
+});
+
+test("attacks hit, and the last one kills and awards XP", () => {
+  const { world, player } = createWorld();
+  const npc = placeNpc(world, 3, 0);
+
+  for (let i = 1; i < npc.maxAddiction; i++) {
+    const [hit, ...rest] = throwPhone(world, player, npc);
+    assert.equal(hit.type, "npcHit");
+    assert.equal(hit.addiction, i);
+    assert.deepEqual(rest, []);
+  }
+
+  const types = throwPhone(world, player, npc).map((e) => e.type);
+  assert.deepEqual(types, ["npcHit", "npcDied", "xpGained", "statsUpdated"]);
+  assert.equal(npc.state, "dead");
+  assert.equal(player.xp, npc.xp);
+
+  // Dead kids can't be hit again
+  assert.deepEqual(throwPhone(world, player, npc).map((e) => e.reason), ["target"]);
+});
+
+test("phones land after their flight time, and the server enforces the cooldown", () => {
+  const { world, player } = createWorld();
+  const npc = placeNpc(world, 3, 0);
+
+  world.applyInput(player.id, { type: "attack", npcId: npc.id });
+  assert.deepEqual(world.drainEvents(), [], "nothing lands on the throw");
+
+  // A second throw straight away is still cooling down
+  const landed = throwPhone(world, player, npc);
+  assert.deepEqual(landed.map((e) => e.reason ?? e.type), ["cooldown", "npcHit"]);
+  assert.equal(npc.addiction, 1);
+
+  assert.equal(throwPhone(world, player, npc)[0]?.type, "npcHit");
+  assert.equal(npc.addiction, 2);
+});
+
+test("throws are range-checked where the kid was when the boar threw", () => {
+  const { world, player } = createWorld();
+  const npc = placeNpc(world, 3, 0);
+  run(world, 1);
+  const thrownAt = world.now() - 100;
+
+  // The kid has since run off out of range
+  npc.x = ATTACK_RANGE + 10;
+  run(world, 0.2);
+
+  assert.equal(throwPhone(world, player, npc, thrownAt)[0]?.type, "npcHit");
+  assert.deepEqual(throwPhone(world, player, npc, world.now()).map((e) => e.reason), ["range"], "out of range now");
+  // Claims from further back than the server rewinds are checked as of its limit
+  assert.deepEqual(throwPhone(world, player, npc, thrownAt - 10_000).map((e) => e.reason), ["range"]);
+});
+
+test("abilities unlock at their level and apply their own effects", () => {
+  const world = new World({ seed: 7 });
+  const player = world.join("p1", { name: "Boar", color: "#ffffff", level: 4 });
+  const npc = placeNpc(world, 8, 0);
+  const ability = (id, target) => {
+    world.applyInput(player.id, { type: "ability", id, ...target });
+    return world.drainEvents();
+  };
+
+  // The tablet (level 3) reaches further than a phone and hits twice as hard
+  assert.deepEqual(ability("tablet", { npcId: npc.id }), []);
+  const [hit] = run(world, PHONE_FLIGHT_TIME + DT).filter((e) => e.type === "npcHit");
+  assert.equal(hit.ability, "tablet");
+  assert.equal(hit.addiction, 2);
+
+  // The hotspot needs level 5, then reaches every kid around where it's put
+  const [locked] = ability("hotspot", { x: 6, z: 0 });
+  assert.equal(locked.type, "abilityRejected");
+  assert.equal(locked.reason, "locked");
+  world.awardXp(player.id, 10_000);
+  world.drainEvents();
+  const pulse = ability("hotspot", { x: 6, z: 0 });
+  assert.deepEqual(pulse.slice(0, 3).map((e) => e.type), ["abilityUsed", "npcHit", "npcDied"]);
+  assert.equal(pulse[1].ability, "hotspot");
+  assert.equal(npc.state, "dead");
+  // Its kills are the hotspot's, not the phone's
+  assert.equal(player.stats.abilityKills, 1);
+  assert.equal(player.stats.phoneKills, 0);
+
+  // The truffle heals its eater, and only them
+  world.damagePlayer(player, 60, "test");
+  world.drainEvents();
+  const healed = ability("truffle").find((e) => e.type === "playerHealed");
+  assert.equal(healed.to, player.id);
+  assert.equal(player.hp, PLAYER_MAX_HP - 60 + findAbility("truffle").heal);
+  assert.equal(ability("truffle")[0].reason, "cooldown");
+});
+
+test("grenades detonate after the fuse, killing kids and hurting boars in the blast", () => {
+  const { world, player } = createWorld();
+  // Hostile kids stand their ground, so this one stays put while the fuse burns
+  const npc = placeNpc(world, 8, 0);
+  npc.hostile = true;
+  const bystander = world.join("p2", { name: "Other", color: "#000000" });
+  Object.assign(bystander, { x: 10.5, z: 0 });
+
+  world.applyInput(player.id, { type: "grenade", x: 50, z: 0 });
+  const [rejected, ...rest] = world.drainEvents();
+  assert.equal(rejected.type, "grenadeRejected", "out-of-range throw is rejected");
+  assert.equal(rejected.to, player.id);
+  assert.equal(rejected.reason, "range");
+  assert.deepEqual(rest, []);
+
+  world.applyInput(player.id, { type: "grenade", x: 9, z: 0 });
+  assert.equal(world.drainEvents()[0].type, "grenadeThrown");
+
+  const early = run(world, GRENADE_FUSE - 0.2);
+  assert.ok(!early.some((e) => e.type === "npcDied"));
+  assert.notEqual(npc.state, "dead");
+
+  const events = run(world, 0.4);
+  const died = events.find((e) => e.type === "npcDied");
+  assert.equal(died?.npcId, npc.id);
+  assert.equal(died.killerId, player.id);
+  assert.ok(events.some((e) => e.type === "xpGained" && e.to === player.id));
+  const damaged = events.filter((e) => e.type === "playerDamaged");
+  assert.deepEqual(damaged.map((e) => e.to), [bystander.id], "only boars in the blast are hurt");
+  assert.equal(bystander.hp, PLAYER_MAX_HP - GRENADE_PLAYER_DAMAGE);
+  assert.equal(player.hp, PLAYER_MAX_HP);
+});
+
+test("the server holds boars to the grenade cooldown and, where rationed, their ammo", () => {
+  const world = new World({ seed: 7, grenadeCharges: 2 });
+  const player = world.join("p1", { name: "Boar", color: "#ffffff" });
+  placeNpc(world, 40, 40);
+  const throwGrenade = () => {
+    world.applyInput(player.id, { type: "grenade", x: 5, z: 0 });
+    return world.drainEvents().filter((e) => e.type.startsWith("grenade"));
+  };
+
+  const first = throwGrenade();
+  assert.deepEqual(first.map((e) => e.type), ["grenadeCharges", "grenadeThrown"]);
+  assert.equal(first[0].grenades, 1);
+
+  const [tooSoon] = throwGrenade();
+  assert.equal(tooSoon.type, "grenadeRejected");
+  assert.equal(tooSoon.reason, "cooldown");
+  assert.ok(tooSoon.grenadeCooldown > 0 && tooSoon.grenadeCooldown <= GRENADE_COOLDOWN);
+  assert.equal(tooSoon.grenades, 1);
+  assert.equal(tooSoon.maxGrenades, 2);
+
+  run(world, GRENADE_COOLDOWN);
+  assert.equal(throwGrenade().at(-1).type, "grenadeThrown");
+  run(world, GRENADE_COOLDOWN);
+  const [empty] = throwGrenade();
+  assert.equal(empty.reason, "empty");
+  assert.equal(empty.grenades, 0);
+
+  // One comes back a recharge after the first throw, then the other
+  const recharged = run(world, GRENADE_RECHARGE_TIME - 2 * GRENADE_COOLDOWN + 0.1).filter((e) => e.type === "grenadeCharges");
+  assert.deepEqual(recharged.map((e) => e.grenades), [1]);
+  assert.equal(throwGrenade().at(-1).type, "grenadeThrown");
+});
+
+test("kills and XP are tallied per session, with grenade multi-kills", () => {
+  const { world, player } = createWorld();
+  // Three hostile kids (who stand still) in one blast, then one to phone
+  world.npcs.splice(4);
+  const [npc, ...kids] = world.npcs;
+  Object.assign(npc, { x: 3, z: 0, hostile: true, state: "idle", stateTimer: 0, nextChange: Infinity });
+  kids.forEach((kid, i) => Object.assign(kid, { x: 8, z: i - 1, hostile: true, state: "idle", nextChange: Infinity }));
+  world.rebuildGrids();
+
+  world.applyInput(player.id, { type: "grenade", x: 8, z: 0 });
+  const events = run(world, GRENADE_FUSE + 0.2);
+  const grenadeStats = events.filter((e) => e.type === "statsUpdated");
+  assert.equal(grenadeStats.length, 1, "one update per grenade");
+  assert.equal(grenadeStats[0].to, player.id);
+  assert.equal(grenadeStats[0].stats.grenadeKills, 3);
+  assert.equal(grenadeStats[0].stats.bestMultiKill, 3);
+
+  const phoneEvents = [];
+  for (let i = 0; i < npc.maxAddiction; i++) phoneEvents.push(...throwPhone(world, player, npc));
+  const [phoneStats] = phoneEvents.filter((e) => e.type === "statsUpdated");
+  assert.deepEqual(phoneStats.stats, {
+    phoneKills: 1,
+    grenadeKills: 3,
+    abilityKills: 0,
+    bestMultiKill: 3,
+    xpEarned: player.xp,
+  });
+  assert.equal(player.stats.xpEarned, player.xp);
+});
+
+test("knocked-out boars respawn at full health", () => {
+  const { world, player } = createWorld();
+  placeNpc(world, 40, 40);
+
+  world.damagePlayer(player, PLAYER_MAX_HP, "test");
+  const [damaged, died] = world.drainEvents();
+  assert.equal(damaged.type, "playerDamaged");
+  assert.equal(died.type, "playerDied");
+  assert.equal(player.dead, true);
+
+  // Downed boars can't act
+  world.applyInput(player.id, { type: "grenade", x: 1, z: 0 });
+  assert.deepEqual(world.drainEvents().map((e) => e.reason), ["dead"]);
+
+  const before = run(world, PLAYER_RESPAWN_DELAY - 0.5);
+  assert.ok(!before.some((e) => e.type === "playerRespawned"));
+  const after = run(world, 1);
+  assert.ok(after.some((e) => e.type === "playerRespawned" && e.id === player.id));
+  assert.equal(player.dead, false);
+  assert.equal(player.hp, PLAYER_MAX_HP);
+});
+
+test("dead kids despawn and the population director replaces them", () => {
+  const { world, player } = createWorld();
+  const npc = placeNpc(world, 3, 0);
+  for (let i = 1; i < npc.maxAddiction; i++) throwPhone(world, player, npc);
+  world.applyInput(player.id, { type: "attack", npcId: npc.id });
+  run(world, PHONE_FLIGHT_TIME + DT);
+  assert.equal(npc.state, "dead");
+
+  run(world, NPC_DESPAWN_DELAY - 1);
+  assert.ok(world.npcs.includes(npc), "body stays for the death animation");
+  run(world, 2);
+  assert.ok(!world.npcs.includes(npc));
+
+  run(world, 60);
+  const living = world.npcs.filter((n) => n.state !== "dead").length;
+  assert.equal(living, NPC_MIN_COUNT + NPC_PER_PLAYER);
+});
+
+test("an admin-set NPC count overrides the player scaling, and respawning replaces every kid", () => {
+  const { world } = createWorld();
+  assert.equal(world.setNpcCount(4), 4);
+  world.respawnNpcs();
+  assert.equal(world.npcs.length, 4);
+
+  const before = new Set(world.npcs.map((n) => n.id));
+  world.respawnNpcs();
+  assert.ok(world.npcs.every((n) => !before.has(n.id)), "all new kids");
+
+  world.setNpcCount(null);
+  run(world, 60);
+  const living = world.npcs.filter((n) => n.state !== "dead").length;
+  assert.equal(living, NPC_MIN_COUNT + NPC_PER_PLAYER);
+});
+
+test("input frames move the boar and are acknowledged", () => {
+  const { world, player } = createWorld();
+  placeNpc(world, 40, 40);
+  world.step(0.5); // let the input budget fill
+
+  const frames = [];
+  for (let seq = 1; seq <= 20; seq++) frames.push(packInputFrame(createInputFrame(seq, 0, 1, false, false)));
+  world.applyInput(player.id, { type: "input", frames });
+  const ack = world.step(DT).find((e) => e.type === "moveAck");
+
+  assert.equal(ack?.to, player.id);
+  assert.equal(ack.seq, 20);
+  assert.ok(player.z > 0.5, `moved forward (z=${player.z})`);
+  assert.equal(ack.z, player.z);
+});
+
+test("input frames past the per-message cap are dropped but acknowledged", () => {
+  const { world, player } = createWorld();
+  placeNpc(world, 40, 40);
+  world.step(0.5);
+
+  // Sent after a stall: more frames than one message may simulate
+  const frames = [];
+  for (let seq = 1; seq <= 40; seq++) frames.push(packInputFrame(createInputFrame(seq, 0, 1, false, false)));
+  world.applyInput(player.id, { type: "input", frames });
+  const ack = world.step(DT).find((e) => e.type === "moveAck");
+
+  assert.equal(ack?.seq, 40);
+  assert.equal(player.lastInputSeq, 40);
+});